@@ -0,0 +1,320 @@
+const _ = require('lodash')
+
+const DISTRIBUTION_DOMAIN_NAME = 'd111111abcdef8.cloudfront.net'
+const CLIENT_IP = '203.0.113.178'
+
+// Headers Lambda@Edge functions can never add or change
+const DISALLOWED_HEADERS = [
+  'connection',
+  'expect',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'trailer',
+  'upgrade',
+  'x-accel-buffering',
+  'x-accel-charset',
+  'x-accel-limit-rate',
+  'x-accel-redirect',
+  'x-cache',
+  'x-forwarded-proto',
+  'x-real-ip'
+]
+const DISALLOWED_HEADER_PREFIXES = ['x-amz-cf-', 'x-edge-']
+
+// Headers that are read-only for each event type
+const READ_ONLY_HEADERS = {
+  'viewer-request': ['content-length', 'host', 'transfer-encoding', 'via'],
+  'origin-request': [
+    'accept-encoding',
+    'content-length',
+    'if-modified-since',
+    'if-none-match',
+    'if-range',
+    'if-unmodified-since',
+    'transfer-encoding',
+    'via'
+  ],
+  'origin-response': ['transfer-encoding', 'via'],
+  'viewer-response': [
+    'content-encoding',
+    'content-length',
+    'transfer-encoding',
+    'via',
+    'warning'
+  ]
+}
+
+// Largest body a function can generate or replace, in bytes
+const MAX_BODY_SIZE = {
+  'viewer-request': 40 * 1024,
+  'origin-request': 1024 * 1024,
+  'origin-response': 1024 * 1024,
+  'viewer-response': 40 * 1024
+}
+
+function isRequestEvent(eventType) {
+  return /-request$/.test(eventType)
+}
+
+/**
+ * Turns `{ name: value }` or `['name:value']` into CloudFront's header format:
+ * `{ 'lower-case-name': [{ key: 'Name', value: 'value' }] }`
+ */
+function toCloudFrontHeaders(headers) {
+  const pairs = Array.isArray(headers)
+    ? headers.map((header) => {
+        const idx = header.indexOf(':')
+
+        if (idx < 1) {
+          throw new Error(`Header "${header}" must look like "name:value"`)
+        }
+
+        return [header.slice(0, idx).trim(), header.slice(idx + 1).trim()]
+      })
+    : _.toPairs(headers)
+
+  return pairs.reduce((memo, [key, value]) => {
+    const name = key.toLowerCase()
+
+    memo[name] = (memo[name] || []).concat({ key, value: String(value) })
+    return memo
+  }, {})
+}
+
+/**
+ * Builds the event CloudFront passes to a Lambda@Edge function for
+ * `eventType`. `options` can set the request's `uri`, `method`, `querystring`,
+ * `headers` and `body` (exposed to the function when `includeBody` is set),
+ * and the `status` and `responseHeaders` of the response for response events.
+ */
+function buildEvent(eventType, options) {
+  const opts = Object.assign(
+    {
+      distributionID: 'EDFDVBD6EXAMPLE',
+      uri: '/',
+      method: 'GET',
+      querystring: '',
+      headers: {},
+      status: 200,
+      responseHeaders: {}
+    },
+    _.omitBy(options, _.isUndefined)
+  )
+  const request = {
+    clientIp: CLIENT_IP,
+    headers: Object.assign(
+      toCloudFrontHeaders({
+        Host: DISTRIBUTION_DOMAIN_NAME,
+        'User-Agent': 'curl/7.66.0'
+      }),
+      toCloudFrontHeaders(opts.headers)
+    ),
+    method: opts.method.toUpperCase(),
+    querystring: opts.querystring,
+    uri: opts.uri
+  }
+
+  if (eventType.startsWith('origin-')) {
+    Object.assign(
+      request.headers,
+      toCloudFrontHeaders({ Via: '2.0 CloudFront' })
+    )
+    request.origin = {
+      custom: {
+        customHeaders: {},
+        domainName: 'example.org',
+        keepaliveTimeout: 5,
+        path: '',
+        port: 443,
+        protocol: 'https',
+        readTimeout: 30,
+        sslProtocols: ['TLSv1.2']
+      }
+    }
+  }
+
+  if (opts.includeBody && isRequestEvent(eventType)) {
+    request.body = {
+      action: 'read-only',
+      data: Buffer.from(opts.body || '').toString('base64'),
+      encoding: 'base64',
+      inputTruncated: false
+    }
+  }
+
+  const cf = {
+    config: {
+      distributionDomainName: DISTRIBUTION_DOMAIN_NAME,
+      distributionId: opts.distributionID,
+      eventType,
+      requestId: '4TyzHTaYWb1GX1qTfsHhEqV6HUDd_BzoBZnwfnvQc_1oF26ClkoUSEQ=='
+    },
+    request
+  }
+
+  if (!isRequestEvent(eventType)) {
+    cf.response = {
+      headers: toCloudFrontHeaders(
+        Object.assign({ 'Content-Type': 'text/html' }, opts.responseHeaders)
+      ),
+      status: String(opts.status),
+      statusDescription: 'OK'
+    }
+  }
+
+  return { Records: [{ cf }] }
+}
+
+function getBodySize(body, encoding) {
+  return Buffer.byteLength(body, encoding === 'base64' ? 'base64' : 'utf8')
+}
+
+function checkHeaders(before, after, readOnlyHeaders, problems) {
+  const names = _.union(_.keys(before), _.keys(after))
+
+  names.forEach((name) => {
+    if (_.isEqual(before[name], after[name])) {
+      return
+    }
+
+    if (
+      DISALLOWED_HEADERS.includes(name) ||
+      DISALLOWED_HEADER_PREFIXES.some((prefix) => name.startsWith(prefix))
+    ) {
+      problems.push(`header "${name}" can not be added or changed`)
+    } else if (readOnlyHeaders.includes(name)) {
+      problems.push(`header "${name}" is read-only`)
+    }
+
+    _.each(after[name], (header) => {
+      if (header.key && header.key.toLowerCase() !== name) {
+        problems.push(
+          `header "${name}" has the key "${header.key}", it must only differ in case`
+        )
+      }
+    })
+  })
+}
+
+function checkGeneratedResponse(eventType, response, problems) {
+  const status = Number(response.status)
+
+  if (!(status >= 100 && status <= 599)) {
+    problems.push(`status "${response.status}" is not a valid HTTP status`)
+  }
+
+  if (
+    response.body !== undefined &&
+    getBodySize(response.body, response.bodyEncoding) > MAX_BODY_SIZE[eventType]
+  ) {
+    problems.push(
+      `the body of the response is larger than the ${
+        MAX_BODY_SIZE[eventType] / 1024
+      } KB allowed in ${eventType} events`
+    )
+  }
+}
+
+/**
+ * Checks what a Lambda@Edge function returned for `event` (as built by
+ * `buildEvent`) against the rules CloudFront enforces for its event type.
+ * `event` must be a copy the function did not get to modify. Returns the list
+ * of broken rules, empty if the result is valid.
+ */
+function checkResult(eventType, event, result) {
+  const cf = event.Records[0].cf
+  const problems = []
+
+  if (!_.isPlainObject(result)) {
+    return [
+      `the function must return a ${
+        isRequestEvent(eventType) ? 'request or a response' : 'response'
+      }, it returned ${JSON.stringify(result)}`
+    ]
+  }
+
+  const isResponse = result.status !== undefined
+
+  if (isRequestEvent(eventType) && isResponse) {
+    checkGeneratedResponse(eventType, result, problems)
+    checkHeaders({}, result.headers || {}, [], problems)
+    return problems
+  }
+
+  if (!isRequestEvent(eventType)) {
+    if (!isResponse) {
+      return ['the function must return a response']
+    }
+
+    if (
+      eventType === 'viewer-response' &&
+      String(result.status) !== cf.response.status
+    ) {
+      problems.push('the status is read-only in viewer-response events')
+    }
+
+    if (result.body !== undefined) {
+      checkGeneratedResponse(eventType, result, problems)
+    }
+
+    checkHeaders(
+      cf.response.headers,
+      result.headers || {},
+      READ_ONLY_HEADERS[eventType],
+      problems
+    )
+    return problems
+  }
+
+  if (result.clientIp !== cf.request.clientIp) {
+    problems.push('the clientIp of the request is read-only')
+  }
+
+  if (result.method !== cf.request.method) {
+    problems.push('the method of the request is read-only')
+  }
+
+  if (typeof result.uri !== 'string' || !result.uri.startsWith('/')) {
+    problems.push(`the uri "${result.uri}" must start with "/"`)
+  }
+
+  if (
+    eventType !== 'origin-request' &&
+    !_.isEqual(result.origin, cf.request.origin)
+  ) {
+    problems.push('the origin can only be changed in origin-request events')
+  }
+
+  if (result.body && !_.isEqual(result.body, cf.request.body)) {
+    if (!cf.request.body) {
+      problems.push('the body can only be changed when includeBody is set')
+    } else if (
+      result.body.action === 'replace' &&
+      getBodySize(result.body.data, result.body.encoding) >
+        MAX_BODY_SIZE[eventType]
+    ) {
+      problems.push(
+        `the body of the request is larger than the ${
+          MAX_BODY_SIZE[eventType] / 1024
+        } KB allowed in ${eventType} events`
+      )
+    }
+  }
+
+  checkHeaders(
+    cf.request.headers,
+    result.headers || {},
+    READ_ONLY_HEADERS[eventType],
+    problems
+  )
+
+  return problems
+}
+
+module.exports = {
+  buildEvent,
+  checkResult,
+  toCloudFrontHeaders
+}
@@ -0,0 +1,263 @@
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const path = require('path')
+const { URL } = require('url')
+const _ = require('lodash')
+const {
+  buildEvent,
+  checkResult,
+  toCloudFrontHeaders
+} = require('./edge-events')
+
+const REQUEST_TIMEOUT_MS = 10000
+
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain'
+}
+
+function fromCloudFrontHeaders(headers) {
+  return _.mapValues(headers, (values) => _.map(values, 'value').join(', '))
+}
+
+/**
+ * Serves `request` from a local directory, `index.html` for directories.
+ */
+function fetchFromDirectory(dir, request) {
+  const root = path.resolve(dir)
+  let file = path.join(root, decodeURIComponent(request.uri))
+
+  if (request.uri.endsWith('/')) {
+    file = path.join(file, 'index.html')
+  }
+
+  if (path.relative(root, file).startsWith('..')) {
+    return { status: 403, headers: {}, body: 'Forbidden' }
+  }
+
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    return {
+      status: 404,
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'Not Found'
+    }
+  }
+
+  return {
+    status: 200,
+    headers: {
+      'Content-Type':
+        CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+    },
+    body: fs.readFileSync(file, 'utf8')
+  }
+}
+
+// The request body in CloudFront's format, possibly replaced by a function
+function getBodyData(body) {
+  if (!body || body.data === undefined) {
+    return null
+  }
+
+  return Buffer.from(body.data, body.encoding === 'base64' ? 'base64' : 'utf8')
+}
+
+function fetchFromServer(baseURL, request) {
+  const url = new URL(
+    request.uri + (request.querystring ? `?${request.querystring}` : ''),
+    baseURL
+  )
+  const client = url.protocol === 'https:' ? https : http
+  const body = getBodyData(request.body)
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: request.method,
+        headers: _.omit(fromCloudFrontHeaders(request.headers), 'host', 'via')
+      },
+      (res) => {
+        const chunks = []
+
+        res.on('data', (chunk) => chunks.push(chunk))
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            statusDescription: res.statusMessage,
+            headers: _.fromPairs(_.chunk(res.rawHeaders, 2)),
+            body: Buffer.concat(chunks).toString('utf8')
+          })
+        )
+      }
+    )
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () =>
+      req.destroy(
+        new Error(
+          `${url.href} timed out after ${REQUEST_TIMEOUT_MS / 1000} seconds`
+        )
+      )
+    )
+    req.on('error', reject)
+    req.end(body || undefined)
+  })
+}
+
+/**
+ * Fetches `request` from the stub origin, a local directory or the URL of an
+ * HTTP server, and resolves the response in CloudFront's format, plus its
+ * body.
+ */
+async function fetchFromOrigin(origin, request) {
+  const res = /^https?:\/\//.test(origin)
+    ? await fetchFromServer(origin, request)
+    : fetchFromDirectory(origin, request)
+
+  return {
+    response: {
+      headers: toCloudFrontHeaders(res.headers),
+      status: String(res.status),
+      statusDescription:
+        res.statusDescription || http.STATUS_CODES[res.status] || ''
+    },
+    body: res.body
+  }
+}
+
+/**
+ * Runs a request through the Lambda@Edge functions of a cache behavior in the
+ * order CloudFront does, against a stub origin:
+ *
+ * viewer-request -> origin-request -> origin -> origin-response -> viewer-response
+ *
+ * A response generated by the viewer-request function goes straight back to
+ * the viewer, and one generated by the origin-request function skips the
+ * origin and the origin-response function.
+ *
+ * `functions` maps event types to `{ name, includeBody }`, `invoke(name,
+ * event)` runs a function and `report(stage, data)` is called with the
+ * request and response at each stage. Resolves the response the viewer gets,
+ * with its body.
+ */
+async function simulate({ functions, request, origin, invoke, report }) {
+  const runStage = async (eventType, cf) => {
+    const fn = functions[eventType]
+
+    if (!fn) {
+      return null
+    }
+
+    const event = buildEvent(eventType, {
+      distributionID: request.distributionID
+    })
+
+    Object.assign(event.Records[0].cf, _.cloneDeep(cf))
+
+    if (!fn.includeBody) {
+      delete event.Records[0].cf.request.body
+    }
+
+    const original = _.cloneDeep(event)
+    const result = await invoke(fn.name, event)
+    const problems = checkResult(eventType, original, result)
+
+    report(`${eventType} (${fn.name})`, result)
+
+    if (problems.length > 0) {
+      throw new Error(
+        `The result of function "${
+          fn.name
+        }" breaks the Lambda@Edge rules for ${eventType} events:\n  - ${problems.join(
+          '\n  - '
+        )}`
+      )
+    }
+
+    return result
+  }
+  const isResponse = (result) => !!result && result.status !== undefined
+
+  // The body goes to the origin even if no function sees it
+  let viewerRequest = buildEvent(
+    'viewer-request',
+    Object.assign({}, request, {
+      includeBody: request.includeBody || request.body !== undefined
+    })
+  ).Records[0].cf.request
+
+  report('viewer', viewerRequest)
+
+  const viewerRequestResult = await runStage('viewer-request', {
+    request: viewerRequest
+  })
+
+  if (isResponse(viewerRequestResult)) {
+    return viewerRequestResult
+  }
+
+  // Functions without includeBody do not see the body, but it still goes on
+  if (viewerRequestResult) {
+    viewerRequest = _.defaults(
+      {},
+      viewerRequestResult,
+      _.pick(viewerRequest, 'body')
+    )
+  }
+
+  const defaultOrigin = buildEvent('origin-request').Records[0].cf.request
+  const originRequest = Object.assign(_.cloneDeep(viewerRequest), {
+    headers: Object.assign({}, viewerRequest.headers, {
+      via: defaultOrigin.headers.via
+    }),
+    origin: defaultOrigin.origin
+  })
+  const originRequestResult = await runStage('origin-request', {
+    request: originRequest
+  })
+  let response
+  let body
+
+  if (isResponse(originRequestResult)) {
+    response = originRequestResult
+    body = response.body
+  } else {
+    const sentToOrigin = originRequestResult
+      ? _.defaults({}, originRequestResult, _.pick(originRequest, 'body'))
+      : originRequest
+    const fetched = await fetchFromOrigin(origin, sentToOrigin)
+
+    report('origin', Object.assign({ body: fetched.body }, fetched.response))
+
+    const originResponseResult = await runStage('origin-response', {
+      request: sentToOrigin,
+      response: fetched.response
+    })
+
+    response = originResponseResult || fetched.response
+    body = response.body === undefined ? fetched.body : response.body
+  }
+
+  const viewerResponseResult = await runStage('viewer-response', {
+    request: viewerRequest,
+    response: _.omit(response, 'body', 'bodyEncoding')
+  })
+
+  if (viewerResponseResult) {
+    body =
+      viewerResponseResult.body === undefined ? body : viewerResponseResult.body
+  }
+
+  return Object.assign({}, viewerResponseResult || response, { body })
+}
+
+module.exports = {
+  fetchFromOrigin,
+  simulate
+}
@@ -0,0 +1,114 @@
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+const _ = require('lodash')
+
+const REQUEST_TIMEOUT_MS = 10000
+
+function sendRequest(url, method, headers) {
+  const client = url.protocol === 'https:' ? https : http
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers }, (res) => {
+      // Only the status and headers are checked
+      res.resume()
+      res.on('end', () =>
+        resolve({ status: res.statusCode, headers: res.headers })
+      )
+    })
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () =>
+      req.destroy(
+        new Error(`timed out after ${REQUEST_TIMEOUT_MS / 1000} seconds`)
+      )
+    )
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+/**
+ * Checks a response header against an assertion: the exact value, an object
+ * with a `pattern` the value must match, or false if the header must not be
+ * there. Returns the failure, or null.
+ */
+function checkHeader(name, actual, assertion) {
+  if (assertion === false) {
+    return actual === undefined
+      ? null
+      : `expected no "${name}" header, got "${actual}"`
+  }
+
+  if (actual === undefined) {
+    return `expected a "${name}" header`
+  }
+
+  if (_.isPlainObject(assertion)) {
+    return new RegExp(assertion.pattern).test(actual)
+      ? null
+      : `expected header "${name}" to match /${assertion.pattern}/, got "${actual}"`
+  }
+
+  return actual === assertion
+    ? null
+    : `expected header "${name}" to be "${assertion}", got "${actual}"`
+}
+
+/**
+ * Requests `test.url`, relative to `baseURL` unless it is absolute, and checks
+ * the response against `test.expect`: its `status` (default: 200) and
+ * `headers`. Resolves the failures, empty if the test passed.
+ */
+async function runSmokeTest(baseURL, test) {
+  const url = new URL(test.url, baseURL)
+  const method = (test.method || 'GET').toUpperCase()
+  const label = `${method} ${url.href}`
+  const expected = test.expect || {}
+  let res
+
+  try {
+    res = await sendRequest(url, method, test.headers || {})
+  } catch (err) {
+    return [`${label}: ${err.message}`]
+  }
+
+  const expectedStatus = expected.status || 200
+  const failures = []
+
+  if (res.status !== expectedStatus) {
+    failures.push(`expected status ${expectedStatus}, got ${res.status}`)
+  }
+
+  _.each(expected.headers, (assertion, name) => {
+    const header = res.headers[name.toLowerCase()]
+
+    failures.push(
+      checkHeader(
+        name,
+        Array.isArray(header) ? header.join(', ') : header,
+        assertion
+      )
+    )
+  })
+
+  return _.compact(failures).map((failure) => `${label}: ${failure}`)
+}
+
+/**
+ * Runs `tests` one after another against `baseURL`, and resolves the failures
+ * of all of them.
+ */
+async function runSmokeTests(baseURL, tests) {
+  const failures = []
+
+  for (const test of tests) {
+    failures.push(...(await runSmokeTest(baseURL, test)))
+  }
+
+  return failures
+}
+
+module.exports = {
+  runSmokeTest,
+  runSmokeTests
+}
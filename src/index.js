@@ -1,4 +1,10 @@
+const fs = require('fs')
+const path = require('path')
+const JSZip = require('jszip')
 const _ = require('lodash')
+const { buildEvent, checkResult } = require('./edge-events')
+const { simulate } = require('./edge-pipeline')
+const { runSmokeTests } = require('./edge-smoke-tests')
 
 const VALID_EVENT_TYPES = [
   'viewer-request',
@@ -7,6 +13,570 @@ const VALID_EVENT_TYPES = [
   'origin-response'
 ]
 
+// Only request events can expose the request body to the function
+const INCLUDE_BODY_EVENT_TYPES = ['viewer-request', 'origin-request']
+
+// CloudFront Functions only run on viewer events
+const VALID_CLOUDFRONT_FUNCTION_EVENT_TYPES = [
+  'viewer-request',
+  'viewer-response'
+]
+
+const CLOUDFRONT_FUNCTION_RUNTIME = 'cloudfront-js-1.0'
+
+// Alternatives to distributionID, resolved to an ID at deploy time
+const DISTRIBUTION_LOOKUP_KEYS = [
+  'distributionAlias',
+  'distributionTag',
+  'distributionExport'
+]
+
+const ASSOCIATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    distributionID: { type: 'string' },
+    distributionAlias: { type: 'string' },
+    distributionTag: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      minProperties: 1
+    },
+    distributionExport: { type: 'string' },
+    eventType: { type: 'string' },
+    pathPatterns: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1
+    },
+    defaultBehavior: { type: 'boolean' },
+    force: { type: 'boolean' },
+    includeBody: { type: 'boolean' }
+  },
+  required: ['eventType'],
+  oneOf: ['distributionID'].concat(DISTRIBUTION_LOOKUP_KEYS).map((key) => ({
+    required: [key]
+  })),
+  additionalProperties: false
+}
+
+const DEFAULT_CONCURRENCY = 4
+
+// The distributionDeployed waiter polls once a minute by default
+const WAITER_DELAY_SECONDS = 60
+
+// Someone else updated the distribution between our get and our update
+const ETAG_CONFLICT_CODES = ['PreconditionFailed', 'InvalidIfMatchVersion']
+const DEFAULT_MAX_UPDATE_ATTEMPTS = 5
+const UPDATE_RETRY_BASE_DELAY_MS = 2000
+
+// Lambda@Edge quotas per event type, CloudFront rejects associations with
+// functions configured above them
+const EDGE_LIMITS = {
+  'viewer-request': { memorySize: 128, timeout: 5 },
+  'viewer-response': { memorySize: 128, timeout: 5 },
+  'origin-request': { memorySize: 10240, timeout: 30 },
+  'origin-response': { memorySize: 10240, timeout: 30 }
+}
+const EDGE_REGION = 'us-east-1'
+const EDGE_RUNTIME_PATTERN = /^(nodejs\d+\.x|python3\.\d+)$/
+
+// How far back `sls edge logs` looks by default, and how often it polls with
+// --tail
+const DEFAULT_LOGS_START_TIME = '10m'
+const DEFAULT_LOGS_INTERVAL_MS = 1000
+const TIME_UNITS_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 }
+
+// Replica log groups get a metric filter counting the errors of the function
+const ERROR_METRIC_FILTER_NAME = 'lambda-at-edge-errors'
+const DEFAULT_ERROR_FILTER_PATTERN =
+  '?ERROR ?"Task timed out" ?"Process exited before completing"'
+const DEFAULT_ERROR_METRIC_NAMESPACE = 'LambdaAtEdge'
+
+// Alarms on the metrics Lambda publishes for the replicas of each function, in
+// each region it runs in, and on the metrics CloudFront publishes in us-east-1
+const REPLICA_ALARMS = {
+  errors: { MetricName: 'Errors', Statistic: 'Sum' },
+  throttles: { MetricName: 'Throttles', Statistic: 'Sum' },
+  duration: { MetricName: 'Duration', Statistic: 'Average' }
+}
+const DISTRIBUTION_ALARMS = {
+  '5xxErrorRate': { MetricName: '5xxErrorRate', Statistic: 'Average' },
+  lambdaExecutionError: { MetricName: 'LambdaExecutionError', Statistic: 'Sum' }
+}
+const DEFAULT_ALARM_PERIOD = 300
+
+// Replaced associations are recorded in the deployment bucket so that
+// `sls edge rollback` can restore them. They are kept outside of the prefix of
+// the service's artifacts, where Serverless looks for the latest deployment.
+const HISTORY_PREFIX_SUFFIX = '-lambda-at-edge'
+const HISTORY_FILE = 'history.json'
+const MAX_HISTORY_ENTRIES = 20
+
+// How often an invalidation is checked while waiting for it to complete
+const INVALIDATION_POLL_INTERVAL_MS = 20000
+
+const INVALIDATION_PATHS_SCHEMA = {
+  anyOf: [
+    { type: 'string', enum: ['auto'] },
+    {
+      type: 'array',
+      items: { type: 'string', pattern: '^/' },
+      minItems: 1
+    }
+  ]
+}
+
+// Folder of the generated handlers that set up process.env at the edge
+const EDGE_ENV_DIR = '_edge_env'
+
+const CUSTOM_SCHEMA = {
+  type: 'object',
+  properties: {
+    lambdaAtEdge: {
+      type: 'object',
+      properties: {
+        concurrency: { type: 'integer', minimum: 1 },
+        waitForDeployment: { type: 'boolean' },
+        maxWaitSeconds: { type: 'integer', minimum: 1 },
+        maxUpdateAttempts: { type: 'integer', minimum: 1 },
+        autoFix: { type: 'boolean' },
+        inlineEnvironment: { type: 'boolean' },
+        logPermissions: {
+          type: 'object',
+          properties: {
+            regions: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1
+            },
+            wildcard: { type: 'boolean' }
+          },
+          additionalProperties: false
+        },
+        replicaLogs: {
+          type: 'object',
+          properties: {
+            regions: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1
+            },
+            errorMetricFilter: {
+              anyOf: [
+                { type: 'boolean' },
+                {
+                  type: 'object',
+                  properties: {
+                    pattern: { type: 'string' },
+                    namespace: { type: 'string' }
+                  },
+                  additionalProperties: false
+                }
+              ]
+            }
+          },
+          additionalProperties: false
+        },
+        invalidate: {
+          anyOf: [
+            INVALIDATION_PATHS_SCHEMA,
+            {
+              type: 'object',
+              properties: {
+                paths: INVALIDATION_PATHS_SCHEMA,
+                wait: { type: 'boolean' }
+              },
+              required: ['paths'],
+              additionalProperties: false
+            }
+          ]
+        },
+        smokeTests: {
+          type: 'object',
+          properties: {
+            baseURL: { type: 'string' },
+            revert: { type: 'boolean' },
+            tests: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string' },
+                  method: { type: 'string' },
+                  headers: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' }
+                  },
+                  expect: {
+                    type: 'object',
+                    properties: {
+                      status: { type: 'integer' },
+                      headers: {
+                        type: 'object',
+                        additionalProperties: {
+                          anyOf: [
+                            { type: 'string' },
+                            { type: 'boolean', enum: [false] },
+                            {
+                              type: 'object',
+                              properties: { pattern: { type: 'string' } },
+                              required: ['pattern'],
+                              additionalProperties: false
+                            }
+                          ]
+                        }
+                      }
+                    },
+                    additionalProperties: false
+                  }
+                },
+                required: ['url'],
+                additionalProperties: false
+              },
+              minItems: 1
+            }
+          },
+          required: ['tests'],
+          additionalProperties: false
+        },
+        canary: {
+          type: 'object',
+          properties: {
+            weight: { type: 'number', exclusiveMinimum: 0, maximum: 0.15 },
+            header: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', pattern: '^aws-cf-cd-' },
+                value: { type: 'string' }
+              },
+              required: ['name', 'value'],
+              additionalProperties: false
+            }
+          },
+          oneOf: [{ required: ['weight'] }, { required: ['header'] }],
+          additionalProperties: false
+        },
+        monitoring: {
+          type: 'object',
+          properties: {
+            regions: {
+              type: 'array',
+              items: { type: 'string' },
+              minItems: 1
+            },
+            alarms: {
+              type: 'object',
+              properties: _.mapValues(
+                Object.assign({}, REPLICA_ALARMS, DISTRIBUTION_ALARMS),
+                () => ({ type: 'number', minimum: 0 })
+              ),
+              additionalProperties: false
+            },
+            alarmActions: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            period: {
+              type: 'integer',
+              minimum: 10,
+              anyOf: [{ enum: [10, 30] }, { multipleOf: 60 }]
+            },
+            dashboard: { type: 'boolean' }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    }
+  }
+}
+
+const WAIT_OPTION = {
+  usage:
+    'Wait for updated CloudFront distributions to be deployed (use --no-edge-wait to skip)',
+  type: 'boolean'
+}
+
+const MAX_WAIT_OPTION = {
+  usage:
+    'Maximum number of seconds to wait for a CloudFront distribution to be deployed',
+  type: 'string'
+}
+
+const CLOUDFRONT_FUNCTION_ASSOCIATION_SCHEMA = Object.assign(
+  {},
+  ASSOCIATION_SCHEMA,
+  { properties: _.omit(ASSOCIATION_SCHEMA.properties, 'includeBody') }
+)
+
+// CloudFront accepts path patterns with or without a leading slash, so we
+// compare them without it.
+function normalizePathPattern(pathPattern) {
+  return pathPattern.replace(/^\//, '')
+}
+
+// CloudFront path patterns: "*" matches any characters, "?" exactly one
+function matchesPathPattern(pathPattern, uri) {
+  const regex = normalizePathPattern(pathPattern)
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*'
+      }
+
+      return char === '?' ? '.' : _.escapeRegExp(char)
+    })
+    .join('')
+
+  return new RegExp(`^${regex}$`).test(normalizePathPattern(uri))
+}
+
+// provider.request() wraps AWS errors, keeping the original as providerError
+function getErrorCode(err) {
+  return _.get(err, 'providerError.code', err.code)
+}
+
+function pickOneDistribution(distIDs, description) {
+  if (distIDs.length === 0) {
+    throw new Error(`No CloudFront distribution matches ${description}`)
+  }
+
+  if (distIDs.length > 1) {
+    throw new Error(
+      `Several CloudFront distributions match ${description}: ${distIDs.join(
+        ', '
+      )}`
+    )
+  }
+
+  return distIDs[0]
+}
+
+// "30m", "2h", "1d" (before now) or a date
+function parseStartTime(startTime, now) {
+  const relative = /^(\d+)([smhd])$/.exec(startTime)
+
+  if (relative) {
+    return now - relative[1] * TIME_UNITS_MS[relative[2]]
+  }
+
+  const time = Date.parse(startTime)
+
+  if (isNaN(time)) {
+    throw new Error(
+      `Invalid start time "${startTime}", use a date or a duration such as 30m, 2h or 1d`
+    )
+  }
+
+  return time
+}
+
+// "src/headers.handler" -> ["src/headers", "handler"]
+function splitHandler(handler) {
+  const idx = handler.lastIndexOf('.')
+
+  return [handler.slice(0, idx), handler.slice(idx + 1)]
+}
+
+// arn:aws:cloudfront::123456789012:function/my-function
+function getCloudFrontFunctionNameFromARN(arn) {
+  return arn.split('/')[1]
+}
+
+// arn:aws:lambda:us-east-1:123456789012:function:my-function:3
+function getFunctionNameFromARN(arn) {
+  return arn.split(':')[6]
+}
+
+// How an association names its distribution, for `--distribution`: its ID,
+// alias or export, or its tags as "key=value,..."
+function getDistributionKey(assoc) {
+  if (assoc.distributionTag) {
+    return _.map(assoc.distributionTag, (value, key) => `${key}=${value}`).join(
+      ','
+    )
+  }
+
+  return (
+    assoc.distributionID || assoc.distributionAlias || assoc.distributionExport
+  )
+}
+
+// The name and version of an associated function, CloudFront Functions have
+// no version
+function describeFunctionARN(arn) {
+  if (arn.startsWith('arn:aws:cloudfront:')) {
+    return {
+      functionName: getCloudFrontFunctionNameFromARN(arn),
+      version: null
+    }
+  }
+
+  return {
+    functionName: getFunctionNameFromARN(arn),
+    version: arn.split(':')[7] || null
+  }
+}
+
+// The default cache behavior first, followed by the others in order
+function getCacheBehaviors(distConfig) {
+  return [distConfig.DefaultCacheBehavior].concat(
+    _.get(distConfig, 'CacheBehaviors.Items', [])
+  )
+}
+
+/**
+ * Compares the Lambda@Edge associations of a cache behavior before and after
+ * modification, and returns one entry per associated event type describing
+ * the change.
+ */
+function diffAssociations(beforeItems, afterItems, arnKey) {
+  const removed = _.filter(
+    beforeItems,
+    (before) => !_.find(afterItems, { EventType: before.EventType })
+  ).map((before) => ({
+    change: 'removed',
+    eventType: before.EventType,
+    oldARN: before[arnKey]
+  }))
+
+  return _.map(afterItems, (after) => {
+    const before = _.find(beforeItems, { EventType: after.EventType })
+
+    if (!before) {
+      return {
+        change: 'added',
+        eventType: after.EventType,
+        newARN: after[arnKey]
+      }
+    }
+
+    return {
+      change:
+        before[arnKey] !== after[arnKey] ||
+        !!before.IncludeBody !== !!after.IncludeBody
+          ? 'replaced'
+          : 'unchanged',
+      eventType: after.EventType,
+      oldARN: before[arnKey],
+      newARN: after[arnKey]
+    }
+  }).concat(removed)
+}
+
+/**
+ * Returns the Lambda@Edge associations of `before` that point at another
+ * function version in `after`, in the format of `recordHistory`.
+ */
+function getReplacedAssociations(before, after) {
+  const beforeBehaviors = _.compact(getCacheBehaviors(before))
+
+  return _.flatMap(_.compact(getCacheBehaviors(after)), (beh) => {
+    const pathPattern = beh.PathPattern || null
+    const previous = _.find(
+      beforeBehaviors,
+      (candidate) => (candidate.PathPattern || null) === pathPattern
+    )
+    const previousItems = _.get(previous, 'LambdaFunctionAssociations.Items')
+
+    return _.chain(beh)
+      .get('LambdaFunctionAssociations.Items')
+      .map((assoc) => ({
+        pathPattern,
+        eventType: assoc.EventType,
+        previousARN: _.get(
+          _.find(previousItems, { EventType: assoc.EventType }),
+          'LambdaFunctionARN'
+        ),
+        newARN: assoc.LambdaFunctionARN
+      }))
+      .filter(
+        (assoc) => !!assoc.previousARN && assoc.previousARN !== assoc.newARN
+      )
+      .value()
+  })
+}
+
+// The properties of a cache behavior holding its function associations
+const ASSOCIATION_KEYS = ['LambdaFunctionAssociations', 'FunctionAssociations']
+
+// The traffic a continuous deployment policy sends to the staging distribution
+function getTrafficConfig(canary) {
+  if (canary.header) {
+    return {
+      Type: 'SingleHeader',
+      SingleHeaderConfig: {
+        Header: canary.header.name,
+        Value: canary.header.value
+      }
+    }
+  }
+
+  return { Type: 'SingleWeight', SingleWeightConfig: { Weight: canary.weight } }
+}
+
+/**
+ * Returns the paths to invalidate for the cache behaviors whose associations
+ * differ between two distribution configs. The default cache behavior serves
+ * any path, so a change to it invalidates everything.
+ */
+function getChangedPaths(before, after) {
+  const afterBehaviors = getCacheBehaviors(after)
+  const changedIdxs = []
+
+  getCacheBehaviors(before).forEach((beh, idx) => {
+    if (
+      !_.isEqual(
+        _.pick(beh, ASSOCIATION_KEYS),
+        _.pick(afterBehaviors[idx], ASSOCIATION_KEYS)
+      )
+    ) {
+      changedIdxs.push(idx)
+    }
+  })
+
+  if (changedIdxs.includes(0)) {
+    return ['/*']
+  }
+
+  return _.uniq(
+    changedIdxs.map((idx) =>
+      getInvalidationPath(afterBehaviors[idx].PathPattern)
+    )
+  )
+}
+
+// Invalidation paths can only have a "*" at the end, so a path pattern is cut
+// at its first wildcard: "images/*.png" becomes "/images/*"
+function getInvalidationPath(pathPattern) {
+  const pattern = normalizePathPattern(pathPattern)
+  const wildcardIdx = pattern.search(/[*?]/)
+
+  return wildcardIdx === -1
+    ? `/${pattern}`
+    : `/${pattern.slice(0, wildcardIdx)}*`
+}
+
+/**
+ * Calls `task` for each item, with at most `limit` calls in flight at once.
+ * Resolves to the results in the order of `items`.
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++
+      results[idx] = await task(items[idx])
+    }
+  }
+
+  await Promise.all(_.times(Math.min(limit, items.length), worker))
+
+  return results
+}
+
 class ServerlessPluginExistingCloudFrontLambdaEdge {
   constructor(serverless, opts) {
     this.serverless = serverless
@@ -17,29 +587,221 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
     }
 
     this._alreadyWaitingForUpdates = new Set()
-    this._distIdIsWaiting = null
+    this._distIdsWaiting = new Map()
+    this._distributionLocks = new Map()
 
     // Create schema for your properties. For reference use https://github.com/ajv-validator/ajv
     this.serverless.configSchemaHandler.defineFunctionProperties('aws', {
       type: 'object',
       properties: {
         lambdaAtEdge: {
-          type: 'object',
-          properties: {
-            distributionID: { type: 'string' },
-            eventType: { type: 'string' }
-          },
-          required: ['distributionID', 'eventType'],
-          additionalProperties: false
+          anyOf: [
+            ASSOCIATION_SCHEMA,
+            { type: 'array', items: ASSOCIATION_SCHEMA, minItems: 1 }
+          ]
+        },
+        cloudFrontFunction: {
+          anyOf: [
+            CLOUDFRONT_FUNCTION_ASSOCIATION_SCHEMA,
+            {
+              type: 'array',
+              items: CLOUDFRONT_FUNCTION_ASSOCIATION_SCHEMA,
+              minItems: 1
+            }
+          ]
         }
       }
     })
 
+    this.serverless.configSchemaHandler.defineCustomProperties(CUSTOM_SCHEMA)
+
     this.hooks = {
+      'after:package:createDeploymentArtifacts': this.inlineEnvironments.bind(
+        this
+      ),
       'aws:package:finalize:mergeCustomProviderResources': this.onPackageCustomResources.bind(
         this
       ),
-      'before:deploy:finalize': this.onBeforeDeployFinalize.bind(this)
+      'before:deploy:deploy': this.onBeforeDeploy.bind(this),
+      'before:deploy:finalize': this.onBeforeDeployFinalize.bind(this),
+      'after:deploy:finalize': this.onAfterDeployFinalize.bind(this),
+      'before:remove:remove': this.onBeforeRemove.bind(this),
+      'edge:plan:plan': this.onEdgePlan.bind(this),
+      'edge:info:info': this.onEdgeInfo.bind(this),
+      'edge:invoke:invoke': this.onEdgeInvoke.bind(this),
+      'edge:simulate:simulate': this.onEdgeSimulate.bind(this),
+      'edge:logs:logs': this.onEdgeLogs.bind(this),
+      'edge:rollback:rollback': this.onEdgeRollback.bind(this),
+      'edge:promote:promote': this.onEdgePromote.bind(this)
+    }
+
+    this.commands = {
+      deploy: {
+        options: {
+          'edge-dry-run': {
+            usage:
+              'Print the Lambda@Edge association changes instead of updating the CloudFront distributions',
+            type: 'boolean'
+          },
+          'edge-wait': WAIT_OPTION,
+          'edge-max-wait': MAX_WAIT_OPTION
+        }
+      },
+      remove: {
+        options: {
+          'edge-wait': WAIT_OPTION,
+          'edge-max-wait': MAX_WAIT_OPTION
+        }
+      },
+      edge: {
+        usage: 'Lambda@Edge helpers for existing CloudFront distributions',
+        commands: {
+          plan: {
+            usage:
+              'Print the Lambda@Edge association changes a deploy would make to each CloudFront distribution',
+            lifecycleEvents: ['plan']
+          },
+          info: {
+            usage:
+              'Print the Lambda@Edge associations of each CloudFront distribution and whether they match the deployed stack',
+            lifecycleEvents: ['info'],
+            options: {
+              json: {
+                usage: 'Print the associations as JSON',
+                type: 'boolean'
+              }
+            }
+          },
+          invoke: {
+            usage:
+              'Invoke a Lambda@Edge function locally with a CloudFront event and check its result',
+            lifecycleEvents: ['invoke'],
+            options: {
+              function: {
+                usage: 'Name of the function',
+                shortcut: 'f',
+                required: true,
+                type: 'string'
+              },
+              'event-type': {
+                usage:
+                  'Event type to invoke the function for, if it has several',
+                type: 'string'
+              },
+              uri: { usage: 'URI of the request (default: /)', type: 'string' },
+              method: {
+                usage: 'HTTP method of the request (default: GET)',
+                type: 'string'
+              },
+              querystring: {
+                usage: 'Query string of the request, without the "?"',
+                type: 'string'
+              },
+              header: {
+                usage: 'Request header as "name:value", can be repeated',
+                type: 'multiple'
+              },
+              body: {
+                usage: 'Body of the request, if the function has includeBody',
+                type: 'string'
+              }
+            }
+          },
+          simulate: {
+            usage:
+              'Run a request through the Lambda@Edge functions of a distribution locally, against a stub origin',
+            lifecycleEvents: ['simulate'],
+            options: {
+              origin: {
+                usage:
+                  'Local directory, or URL of an HTTP server, to use as origin',
+                required: true,
+                type: 'string'
+              },
+              distribution: {
+                usage:
+                  'distributionID (or alias, export or tags as "key=value,...") of the distribution, if there are several',
+                type: 'string'
+              },
+              'path-pattern': {
+                usage:
+                  'Path pattern of the cache behavior (default: the longest configured one matching the URI)',
+                type: 'string'
+              },
+              uri: { usage: 'URI of the request (default: /)', type: 'string' },
+              method: {
+                usage: 'HTTP method of the request (default: GET)',
+                type: 'string'
+              },
+              querystring: {
+                usage: 'Query string of the request, without the "?"',
+                type: 'string'
+              },
+              header: {
+                usage: 'Request header as "name:value", can be repeated',
+                type: 'multiple'
+              },
+              body: {
+                usage: 'Body of the request, for functions with includeBody',
+                type: 'string'
+              }
+            }
+          },
+          logs: {
+            usage:
+              'Show the logs of a Lambda@Edge function from every region it ran in',
+            lifecycleEvents: ['logs'],
+            options: {
+              function: {
+                usage: 'Name of the function',
+                shortcut: 'f',
+                required: true,
+                type: 'string'
+              },
+              startTime: {
+                usage:
+                  'Show logs since this date, or for this long (e.g. 30m, 2h, 1d; default: 10m)',
+                type: 'string'
+              },
+              filter: {
+                usage: 'CloudWatch Logs filter pattern',
+                type: 'string'
+              },
+              tail: {
+                usage: 'Keep polling for new logs',
+                shortcut: 't',
+                type: 'boolean'
+              },
+              interval: {
+                usage: 'Milliseconds between polls with --tail (default: 1000)',
+                type: 'string'
+              }
+            }
+          },
+          rollback: {
+            usage:
+              'Point the Lambda@Edge associations back at the function versions they had before the last deploys',
+            lifecycleEvents: ['rollback'],
+            options: {
+              to: {
+                usage: 'How many deploys to roll back (default: 1)',
+                type: 'string'
+              },
+              'edge-wait': WAIT_OPTION,
+              'edge-max-wait': MAX_WAIT_OPTION
+            }
+          },
+          promote: {
+            usage:
+              'Copy the config of the staging distributions deployed with canary to their primary distributions',
+            lifecycleEvents: ['promote'],
+            options: {
+              'edge-wait': WAIT_OPTION,
+              'edge-max-wait': MAX_WAIT_OPTION
+            }
+          }
+        }
+      }
     }
   }
 
@@ -47,10 +809,67 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
     this.modifyTemplate()
   }
 
+  /**
+   * Functions that were deleted from serverless.yml, or lost their
+   * `lambdaAtEdge` config, must be detached from their distributions before
+   * CloudFormation can delete them.
+   */
+  async onBeforeDeploy() {
+    // Fail before the stack is deployed if a role or a distribution is wrong
+    if (this._externalRoles) {
+      await this.validateExternalRoles()
+    }
+
+    if (this._pendingAssociations) {
+      await this.resolveDistributionIDs()
+    }
+
+    const edgeLogicalIDs = _.chain(this.serverless.service.functions)
+      .pickBy('lambdaAtEdge')
+      .keys()
+      .map((fnName) => this.provider.naming.getLambdaLogicalId(fnName))
+      .value()
+
+    const fnNames = await this.getStackFunctionNames(
+      (logicalID) => !edgeLogicalIDs.includes(logicalID)
+    )
+    // CloudFront Functions are not in the stack, they are found by the
+    // comment they were deployed with
+    const cfFnNames = _.difference(
+      await this.listOwnedCloudFrontFunctions(),
+      _.chain(this.serverless.service.functions)
+        .filter('cloudFrontFunction')
+        .map('name')
+        .value()
+    )
+
+    // A dry run only plans the removals, in onBeforeDeployFinalize
+    if (this._opts['edge-dry-run']) {
+      this._plannedDetachments = { fnNames, cfFnNames }
+      return
+    }
+
+    await this.detachFunctionsFromDistributions(fnNames, cfFnNames)
+    await this.deleteCloudFrontFunctions(cfFnNames)
+  }
+
+  async onBeforeRemove() {
+    const fnNames = await this.getStackFunctionNames(() => true)
+    const cfFnNames = await this.listOwnedCloudFrontFunctions()
+
+    await this.detachFunctionsFromDistributions(fnNames, cfFnNames)
+    await this.deleteCloudFrontFunctions(cfFnNames)
+    await this.removeMonitoring()
+    await this.removeHistory()
+  }
+
   async onBeforeDeployFinalize() {
     const cnt = this._pendingAssociations.length
 
     if (cnt === 0) {
+      if (this._plannedDetachments) {
+        await this.planDistributions({}, {})
+      }
       return
     }
 
@@ -61,7 +880,13 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
      *    "distributionID": "EXISTINGDISTID",
      *    "fnCurrentVersionOutputName": "YourFnNameLambdaFunctionQualifiedArn",
      *    "eventType": "origin-request",
+     *    "pathPatterns": ["/api/*"], // optional
+     *    "defaultBehavior": true, // optional
+     *    "includeBody": true // optional
      * }
+     *
+     * CloudFront Functions have a "cloudFrontFunction" object with the
+     * function's "name" and "handler" instead of "fnCurrentVersionOutputName".
      */
 
     this.serverless.cli.log(
@@ -70,258 +895,2902 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
       }to be associated to CloudFront.`
     )
 
+    await this.resolveDistributionIDs()
+    await this.deployCloudFrontFunctions(!this._opts['edge-dry-run'])
+
     return Promise.all([
       this.getFunctionsToAssociate(),
-      this.getDistributionPhysicalIDs()
-    ]).then(([fns, dist]) => this.updateDistributionsAsNecessary(fns, dist))
+      this.getDistributionPhysicalIDs(),
+      this.loadOwnedFunctionNames()
+    ]).then(([fns, dist]) =>
+      this._opts['edge-dry-run']
+        ? this.planDistributions(fns, dist)
+        : this.updateDistributionsAsNecessary(fns, dist)
+    )
   }
 
-  modifyTemplate() {
-    const template = this.serverless.service.provider
-      .compiledCloudFormationTemplate
+  async onAfterDeployFinalize() {
+    if (this._opts['edge-dry-run']) {
+      return
+    }
 
-    this.modifyExecutionRole(template)
-    this.modifyLambdaFunctions(this.serverless.service.functions, template)
+    await this.manageReplicaLogGroups()
+    await this.manageMonitoring()
   }
 
-  modifyExecutionRole(template) {
-    let assumeRoleUpdated = false
+  /**
+   * With `replicaLogs`, creates the log group each Lambda@Edge function logs
+   * to in each region, instead of letting Lambda create it on the first
+   * invocation without a retention. Existing log groups get the service's
+   * `logRetentionInDays` and, with `errorMetricFilter`, a metric filter
+   * counting errors.
+   */
+  async manageReplicaLogGroups() {
+    const config = this.getCustomConfig('replicaLogs')
 
-    if (!_.get(template, 'Resources.IamRoleLambdaExecution')) {
-      this.serverless.cli.log(
-        'WARNING: no IAM role for Lambda execution found - can not modify assume role policy'
-      )
+    if (!config) {
       return
     }
 
-    template.Resources.IamRoleLambdaExecution.Properties.AssumeRolePolicyDocument.Statement.forEach(
-      (stmt) => {
-        const svc = _.get(stmt, 'Principal.Service')
+    const fnNames = _.chain(this.serverless.service.functions)
+      .pickBy('lambdaAtEdge')
+      .map('name')
+      .value()
 
-        if (
-          svc &&
-          svc.includes('lambda.amazonaws.com') &&
-          !svc.includes('edgelambda.amazonaws.com')
-        ) {
-          svc.push('edgelambda.amazonaws.com')
-          assumeRoleUpdated = true
-          this.serverless.cli.log(
-            'Updated Lambda assume role policy to allow Lambda@Edge to assume the role'
-          )
-        }
-      }
+    if (fnNames.length === 0) {
+      return
+    }
+
+    const regions = config.regions || (await this.getEnabledRegions())
+    const retention = this.serverless.service.provider.logRetentionInDays
+    const logGroups = _.flatMap(fnNames, (fnName) =>
+      regions.map((region) => ({ fnName, region }))
     )
 
-    // Serverless creates a LogGroup by a specific name, and grants logs:CreateLogStream
-    // and logs:PutLogEvents permissions to the function. However, on a replicated
-    // function, AWS will name the log groups differently, so the Serverless-created
-    // permissions will not work. Thus, we must give the function permission to create
-    // log groups and streams, as well as put log events.
-    //
-    // Since we don't have control over the naming of the log group, we let this
-    // function have permission to create and use a log group by any name.
-    // See http://docs.aws.amazon.com/AmazonCloudWatch/latest/logs/iam-identity-based-access-control-cwl.html
-    template.Resources.IamRoleLambdaExecution.Properties.Policies[0].PolicyDocument.Statement.push(
-      {
-        Effect: 'Allow',
-        Action: [
-          'logs:CreateLogGroup',
-          'logs:CreateLogStream',
-          'logs:PutLogEvents',
-          'logs:DescribeLogStreams'
-        ],
-        Resource: 'arn:aws:logs:*:*:*'
-      }
+    this.serverless.cli.log(
+      `Checking ${logGroups.length} replica log groups in ${regions.length} regions`
     )
 
-    if (!assumeRoleUpdated) {
-      this.serverless.cli.log(
-        'WARNING: was unable to update the Lambda assume role policy to allow Lambda@Edge to assume the role'
-      )
-    }
+    const changed = await mapWithConcurrency(
+      logGroups,
+      this.getCustomConfig('concurrency', DEFAULT_CONCURRENCY),
+      ({ fnName, region }) =>
+        this.reconcileReplicaLogGroup(
+          fnName,
+          region,
+          retention,
+          config.errorMetricFilter
+        )
+    )
+
+    this.serverless.cli.log(
+      `Updated ${_.compact(changed).length} of ${
+        logGroups.length
+      } replica log groups`
+    )
   }
 
-  modifyLambdaFunctions(functions, template) {
-    this._pendingAssociations = _.chain(functions)
-      .reduce((memo, fnDef, fnName) => {
-        if (!fnDef.lambdaAtEdge) {
-          return memo
-        }
+  /**
+   * Resolves true if the log group had to be created or updated.
+   */
+  async reconcileReplicaLogGroup(fnName, region, retention, errorMetricFilter) {
+    const logGroupName = `/aws/lambda/${EDGE_REGION}.${fnName}`
+    const request = (method, params) =>
+      this.provider.request('CloudWatchLogs', method, params, { region })
+    const resp = await request('describeLogGroups', {
+      logGroupNamePrefix: logGroupName
+    })
+    const existing = _.find(resp.logGroups, { logGroupName })
+    let changed = false
 
-        const distId = fnDef.lambdaAtEdge.distributionID || null
-        // const distName = fnDef.lambdaAtEdge.distribution || null
-        const evtType = fnDef.lambdaAtEdge.eventType
-        // const dist = template.Resources[distName]
+    if (!existing) {
+      await request('createLogGroup', { logGroupName })
+      changed = true
+    }
 
-        if (!VALID_EVENT_TYPES.includes(evtType)) {
-          throw new Error(
-            `"${evtType}" is not a valid event type, must be one of: ${VALID_EVENT_TYPES.join(
-              ', '
-            )}`
-          )
-        }
+    if (retention && _.get(existing, 'retentionInDays') !== retention) {
+      await request('putRetentionPolicy', {
+        logGroupName,
+        retentionInDays: retention
+      })
+      changed = true
+    }
 
-        if (!distId) {
-          throw new Error(
-            'This plugin requires "lambdaAtEdge.distributionID" to be set.'
-          )
-        }
+    if (!errorMetricFilter) {
+      return changed
+    }
 
-        memo.push({
-          fnLogicalName: this.provider.naming.getLambdaLogicalId(fnName),
-          distributionID: distId,
-          fnCurrentVersionOutputName: this.provider.naming.getLambdaVersionOutputLogicalId(
-            fnName
+    const filter = {
+      logGroupName,
+      filterName: ERROR_METRIC_FILTER_NAME,
+      filterPattern: _.get(
+        errorMetricFilter,
+        'pattern',
+        DEFAULT_ERROR_FILTER_PATTERN
+      ),
+      metricTransformations: [
+        {
+          metricName: `${fnName}-Errors`,
+          metricNamespace: _.get(
+            errorMetricFilter,
+            'namespace',
+            DEFAULT_ERROR_METRIC_NAMESPACE
           ),
-          eventType: evtType
-        })
+          metricValue: '1',
+          defaultValue: 0
+        }
+      ]
+    }
+    const filters = await request('describeMetricFilters', {
+      logGroupName,
+      filterNamePrefix: ERROR_METRIC_FILTER_NAME
+    })
+    const existingFilter = _.find(filters.metricFilters, {
+      filterName: ERROR_METRIC_FILTER_NAME
+    })
 
-        return memo
-      }, [])
-      .each((fn) => {
-        const fnProps = template.Resources[fn.fnLogicalName].Properties
+    if (
+      !existingFilter ||
+      !_.isMatch(existingFilter, _.omit(filter, 'logGroupName'))
+    ) {
+      await request('putMetricFilter', filter)
+      changed = true
+    }
+
+    return changed
+  }
+
+  /**
+   * With `monitoring`, creates alarms on the replicas of each Lambda@Edge
+   * function, in each region it has run in (or in `monitoring.regions`), and on
+   * the distributions it is associated with. Alarms that are no longer
+   * configured are deleted. Unless `dashboard` is false, a dashboard shows the
+   * metrics of every region in one place.
+   */
+  async manageMonitoring() {
+    const config = this.getCustomConfig('monitoring')
+
+    if (!config) {
+      return
+    }
+
+    const fns = _.chain(this.serverless.service.functions)
+      .pickBy('lambdaAtEdge')
+      .map((fnDef, fnName) => ({ fnName, name: fnDef.name }))
+      .value()
+    const distIDs = _.chain(this._pendingAssociations)
+      .filter((fn) => !fn.cloudFrontFunction)
+      .map('distributionID')
+      .uniq()
+      .value()
+    const regions = config.regions || (await this.getEnabledRegions())
+    const replicas = config.regions
+      ? _.flatMap(fns, (fn) =>
+          regions.map((region) => Object.assign({ region }, fn))
+        )
+      : await this.findReplicas(fns, regions)
+    const alarms = this.getMonitoringAlarms(config, replicas, distIDs)
+    const alarmRegions = _.union([EDGE_REGION], regions)
+
+    this.serverless.cli.log(
+      `Checking ${alarms.length} Lambda@Edge alarms in ${alarmRegions.length} regions`
+    )
+
+    await mapWithConcurrency(
+      alarmRegions,
+      this.getCustomConfig('concurrency', DEFAULT_CONCURRENCY),
+      (region) => this.reconcileAlarms(region, _.filter(alarms, { region }))
+    )
+
+    if (config.dashboard !== false) {
+      await this.provider.request(
+        'CloudWatch',
+        'putDashboard',
+        {
+          DashboardName: this.getMonitoringPrefix(),
+          DashboardBody: JSON.stringify(
+            this.getDashboardBody(config, replicas, distIDs)
+          )
+        },
+        { region: EDGE_REGION }
+      )
+    }
+  }
+
+  async removeMonitoring() {
+    const config = this.getCustomConfig('monitoring')
+
+    if (!config) {
+      return
+    }
+
+    const regions = _.union(
+      [EDGE_REGION],
+      config.regions || (await this.getEnabledRegions())
+    )
+
+    await mapWithConcurrency(
+      regions,
+      this.getCustomConfig('concurrency', DEFAULT_CONCURRENCY),
+      (region) => this.reconcileAlarms(region, [])
+    )
+
+    try {
+      await this.provider.request(
+        'CloudWatch',
+        'deleteDashboards',
+        { DashboardNames: [this.getMonitoringPrefix()] },
+        { region: EDGE_REGION }
+      )
+    } catch (err) {
+      if (getErrorCode(err) !== 'ResourceNotFound') {
+        throw err
+      }
+    }
+  }
+
+  // Alarms and the dashboard are named after the stack, to find them again
+  getMonitoringPrefix() {
+    return `${this.provider.naming.getStackName()}-edge`
+  }
+
+  /**
+   * Lambda only publishes the metrics of a replica in the regions it has run
+   * in, as `us-east-1.<function name>`. Resolves `{ fnName, name, region }`
+   * for each of them.
+   */
+  async findReplicas(fns, regions) {
+    const candidates = _.flatMap(fns, (fn) =>
+      regions.map((region) => Object.assign({ region }, fn))
+    )
+    const found = await mapWithConcurrency(
+      candidates,
+      this.getCustomConfig('concurrency', DEFAULT_CONCURRENCY),
+      async ({ name, region }) => {
+        const resp = await this.provider.request(
+          'CloudWatch',
+          'listMetrics',
+          {
+            Namespace: 'AWS/Lambda',
+            MetricName: 'Invocations',
+            Dimensions: [
+              { Name: 'FunctionName', Value: `${EDGE_REGION}.${name}` }
+            ]
+          },
+          { region }
+        )
+
+        return !_.isEmpty(resp.Metrics)
+      }
+    )
+
+    return candidates.filter((candidate, idx) => found[idx])
+  }
+
+  getMonitoringAlarms(config, replicas, distIDs) {
+    const prefix = this.getMonitoringPrefix()
+    const thresholds = config.alarms || {}
+    const alarm = (region, name, metric, dimensions, threshold) => {
+      const actions = (config.alarmActions || []).map((action) =>
+        action.replace(/\{region\}/g, region)
+      )
+
+      return Object.assign(
+        {
+          region,
+          AlarmName: `${prefix}-${name}-${metric.MetricName}`,
+          Dimensions: dimensions,
+          Period: config.period || DEFAULT_ALARM_PERIOD,
+          EvaluationPeriods: 1,
+          Threshold: threshold,
+          ComparisonOperator: 'GreaterThanOrEqualToThreshold',
+          TreatMissingData: 'notBreaching',
+          AlarmActions: actions,
+          OKActions: actions
+        },
+        metric
+      )
+    }
+    const replicaAlarms = _.flatMap(replicas, ({ region, fnName, name }) =>
+      _.chain(REPLICA_ALARMS)
+        .pickBy((metric, key) => thresholds[key] !== undefined)
+        .map((metric, key) =>
+          alarm(
+            region,
+            fnName,
+            Object.assign({ Namespace: 'AWS/Lambda' }, metric),
+            [{ Name: 'FunctionName', Value: `${EDGE_REGION}.${name}` }],
+            thresholds[key]
+          )
+        )
+        .value()
+    )
+    const distributionAlarms = _.flatMap(distIDs, (distID) =>
+      _.chain(DISTRIBUTION_ALARMS)
+        .pickBy((metric, key) => thresholds[key] !== undefined)
+        .map((metric, key) =>
+          alarm(
+            EDGE_REGION,
+            distID,
+            Object.assign({ Namespace: 'AWS/CloudFront' }, metric),
+            [
+              { Name: 'DistributionId', Value: distID },
+              { Name: 'Region', Value: 'Global' }
+            ],
+            thresholds[key]
+          )
+        )
+        .value()
+    )
+
+    return replicaAlarms.concat(distributionAlarms)
+  }
+
+  /**
+   * Puts `alarms` in `region`, and deletes the other alarms of the service
+   * there. Alarms can only watch metrics of their own region.
+   */
+  async reconcileAlarms(region, alarms) {
+    const request = (method, params) =>
+      this.provider.request('CloudWatch', method, params, { region })
+    const existing = []
+    let nextToken
+
+    do {
+      const resp = await request('describeAlarms', {
+        AlarmNamePrefix: `${this.getMonitoringPrefix()}-`,
+        NextToken: nextToken
+      })
+
+      existing.push(..._.map(resp.MetricAlarms, 'AlarmName'))
+      nextToken = resp.NextToken
+    } while (nextToken)
+
+    for (const alarm of alarms) {
+      await request('putMetricAlarm', _.omit(alarm, 'region'))
+    }
+
+    const stale = _.difference(existing, _.map(alarms, 'AlarmName'))
+
+    // deleteAlarms takes at most 100 names at a time
+    for (const alarmNames of _.chunk(stale, 100)) {
+      await request('deleteAlarms', { AlarmNames: alarmNames })
+    }
+  }
+
+  /**
+   * Dashboards are global: each graph shows a metric of a function in every
+   * region it has run in, stacked for counts.
+   */
+  getDashboardBody(config, replicas, distIDs) {
+    const period = config.period || DEFAULT_ALARM_PERIOD
+    const graph = (title, metrics, stacked) => ({
+      type: 'metric',
+      width: 8,
+      height: 6,
+      properties: {
+        title,
+        region: EDGE_REGION,
+        metrics,
+        period,
+        stacked,
+        view: 'timeSeries'
+      }
+    })
+    const fnWidgets = _.chain(replicas)
+      .groupBy('fnName')
+      .flatMap((fnReplicas, fnName) =>
+        ['Invocations', 'Errors', 'Throttles', 'Duration'].map((metricName) =>
+          graph(
+            `${fnName} ${metricName}`,
+            fnReplicas.map(({ region, name }) => [
+              'AWS/Lambda',
+              metricName,
+              'FunctionName',
+              `${EDGE_REGION}.${name}`,
+              {
+                region,
+                label: region,
+                stat: metricName === 'Duration' ? 'Average' : 'Sum'
+              }
+            ]),
+            metricName !== 'Duration'
+          )
+        )
+      )
+      .value()
+    const distWidgets = _.flatMap(distIDs, (distID) =>
+      ['5xxErrorRate', 'LambdaExecutionError'].map((metricName) =>
+        graph(
+          `${distID} ${metricName}`,
+          [
+            [
+              'AWS/CloudFront',
+              metricName,
+              'DistributionId',
+              distID,
+              'Region',
+              'Global',
+              { stat: metricName === '5xxErrorRate' ? 'Average' : 'Sum' }
+            ]
+          ],
+          false
+        )
+      )
+    )
+
+    return { widgets: distWidgets.concat(fnWidgets) }
+  }
+
+  async onEdgePlan() {
+    this._pendingAssociations = this.getPendingAssociations(
+      this.serverless.service.functions
+    )
+
+    if (this._pendingAssociations.length === 0) {
+      this.serverless.cli.log('No functions are configured with lambdaAtEdge')
+      return
+    }
+
+    await this.resolveDistributionIDs()
+    await this.deployCloudFrontFunctions(false)
+
+    return Promise.all([
+      this.getFunctionsToAssociate(),
+      this.getDistributionPhysicalIDs(),
+      this.loadOwnedFunctionNames()
+    ]).then(([fns, dist]) => this.planDistributions(fns, dist))
+  }
+
+  async onEdgeInfo() {
+    this._pendingAssociations = this.getPendingAssociations(
+      this.serverless.service.functions
+    )
+
+    if (this._pendingAssociations.length === 0) {
+      if (this._opts.json) {
+        this.serverless.cli.consoleLog('[]')
+      } else {
+        this.serverless.cli.log('No functions are configured with lambdaAtEdge')
+      }
+      return
+    }
+
+    await this.resolveDistributionIDs()
+    await this.deployCloudFrontFunctions(false)
+
+    const [fns, dists] = await Promise.all([
+      this.getFunctionsToAssociate(),
+      this.getDistributionPhysicalIDs(),
+      this.loadOwnedFunctionNames()
+    ])
+    const infos = []
+
+    for (const distID of Object.keys(dists)) {
+      infos.push(await this.getDistributionInfo(distID, fns[distID]))
+    }
+
+    if (this._opts.json) {
+      this.serverless.cli.consoleLog(JSON.stringify(infos, null, 2))
+      return
+    }
+
+    infos.forEach((info) => this.printDistributionInfo(info))
+    this.serverless.cli.log(
+      `${_.filter(infos, 'drift').length} of ${
+        infos.length
+      } distribution(s) drifted from the deployed stack`
+    )
+  }
+
+  async onEdgeInvoke() {
+    const fnName = this._opts.function
+    const fnDef = _.get(this.serverless.service.functions, fnName)
+
+    if (!fnDef || !fnDef.lambdaAtEdge) {
+      throw new Error(
+        `Function "${fnName}" is not configured with lambdaAtEdge`
+      )
+    }
+
+    const assocs = _.castArray(fnDef.lambdaAtEdge)
+    const eventTypes = _.uniq(_.map(assocs, 'eventType'))
+    const eventType = this._opts['event-type'] || eventTypes[0]
+
+    if (!this._opts['event-type'] && eventTypes.length > 1) {
+      throw new Error(
+        `Function "${fnName}" is associated with several event types (${eventTypes.join(
+          ', '
+        )}), choose one with --event-type`
+      )
+    }
+
+    if (!eventTypes.includes(eventType)) {
+      throw new Error(
+        `Function "${fnName}" is not associated with ${eventType} events`
+      )
+    }
+
+    const event = buildEvent(eventType, {
+      uri: this._opts.uri,
+      method: this._opts.method,
+      querystring: this._opts.querystring,
+      headers: _.castArray(this._opts.header || []),
+      body: this._opts.body,
+      includeBody: _.some(assocs, { eventType, includeBody: true })
+    })
+    // The handler usually modifies the event in place
+    const original = _.cloneDeep(event)
+    const result = await this.invokeHandler(fnName, fnDef, event)
+
+    this.serverless.cli.consoleLog(JSON.stringify(result, null, 2))
+
+    const problems = checkResult(eventType, original, result)
+
+    if (problems.length > 0) {
+      throw new Error(
+        `The result of function "${fnName}" breaks the Lambda@Edge rules for ${eventType} events:\n  - ${problems.join(
+          '\n  - '
+        )}`
+      )
+    }
+
+    this.serverless.cli.log(
+      `The result of function "${fnName}" follows the Lambda@Edge rules for ${eventType} events`
+    )
+  }
+
+  async onEdgeSimulate() {
+    const fns = this.getSimulatedFunctions()
+    const uri = this._opts.uri || '/'
+    const response = await simulate({
+      functions: _.mapValues(fns, (fn) => ({
+        name: fn.fnName,
+        includeBody: fn.includeBody
+      })),
+      request: {
+        uri,
+        method: this._opts.method,
+        querystring: this._opts.querystring,
+        headers: _.castArray(this._opts.header || []),
+        body: this._opts.body,
+        includeBody: _.some(fns, 'includeBody')
+      },
+      origin: this._opts.origin,
+      invoke: (fnName, event) =>
+        this.invokeHandler(
+          fnName,
+          this.serverless.service.functions[fnName],
+          event
+        ),
+      report: (stage, data) => {
+        this.serverless.cli.consoleLog(`--- ${stage} ---`)
+        this.serverless.cli.consoleLog(JSON.stringify(data, null, 2))
+      }
+    })
+
+    this.serverless.cli.log(
+      `${this._opts.method || 'GET'} ${uri} returned ${response.status}`
+    )
+  }
+
+  /**
+   * Lambda@Edge logs to a `/aws/lambda/us-east-1.<function name>` log group in
+   * every region the function ran in. Reads them all and prints the events
+   * merged by time, polling for new ones with --tail.
+   */
+  async onEdgeLogs() {
+    const fnName = this._opts.function
+    const fnDef = _.get(this.serverless.service.functions, fnName)
+
+    if (!fnDef || !fnDef.lambdaAtEdge) {
+      throw new Error(
+        `Function "${fnName}" is not configured with lambdaAtEdge`
+      )
+    }
+
+    const logGroupName = `/aws/lambda/${EDGE_REGION}.${fnDef.name}`
+    const interval =
+      parseInt(this._opts.interval, 10) || DEFAULT_LOGS_INTERVAL_MS
+    const regions = await this.getEnabledRegions()
+    let startTime = parseStartTime(
+      this._opts.startTime || DEFAULT_LOGS_START_TIME,
+      Date.now()
+    )
+    let seen = new Set()
+    let printed = 0
+
+    this.serverless.cli.log(
+      `Reading ${logGroupName} in ${regions.length} regions`
+    )
+
+    do {
+      const events = await this.getReplicaLogEvents(
+        logGroupName,
+        regions,
+        startTime
+      )
+
+      events
+        .filter((event) => !seen.has(event.eventId))
+        .forEach((event) => {
+          printed++
+          this.serverless.cli.consoleLog(
+            `${_.padEnd(event.region, 15)} ${new Date(
+              event.timestamp
+            ).toISOString()} ${_.trimEnd(event.message)}`
+          )
+        })
+
+      // The next poll starts at the last event, skipping the ones printed
+      if (events.length > 0) {
+        startTime = _.last(events).timestamp
+        seen = new Set(
+          events
+            .filter((event) => event.timestamp === startTime)
+            .map((event) => event.eventId)
+        )
+      }
+
+      if (this._opts.tail) {
+        await this.sleep(interval)
+      }
+    } while (this._opts.tail)
+
+    if (printed === 0) {
+      this.serverless.cli.log(`No logs found for function "${fnName}"`)
+    }
+  }
+
+  async getEnabledRegions() {
+    const resp = await this.provider.request('EC2', 'describeRegions', {})
+
+    return _.map(resp.Regions, 'RegionName').sort()
+  }
+
+  async getReplicaLogEvents(logGroupName, regions, startTime) {
+    const perRegion = await Promise.all(
+      regions.map((region) =>
+        this.getRegionLogEvents(logGroupName, region, startTime)
+      )
+    )
+
+    return _.sortBy(_.flatten(perRegion), 'timestamp')
+  }
+
+  /**
+   * Resolves the events of the log group in one region, or an empty array if
+   * the function never ran there.
+   */
+  async getRegionLogEvents(logGroupName, region, startTime) {
+    const events = []
+    let nextToken
+
+    do {
+      let resp
+
+      try {
+        resp = await this.provider.request(
+          'CloudWatchLogs',
+          'filterLogEvents',
+          {
+            logGroupName,
+            startTime,
+            filterPattern: this._opts.filter,
+            nextToken
+          },
+          { region }
+        )
+      } catch (err) {
+        if (getErrorCode(err) === 'ResourceNotFoundException') {
+          return []
+        }
+        throw err
+      }
+
+      resp.events.forEach((event) => {
+        events.push(Object.assign({ region }, event))
+      })
+      nextToken = resp.nextToken
+    } while (nextToken)
+
+    return events
+  }
+
+  /**
+   * Picks the Lambda@Edge function of each event type that CloudFront would
+   * run for the request, from the functions associated with the distribution
+   * and cache behavior.
+   */
+  getSimulatedFunctions() {
+    const assocs = _.flatMap(
+      this.serverless.service.functions,
+      (fnDef, fnName) =>
+        _.castArray(fnDef.lambdaAtEdge || []).map((assoc) =>
+          Object.assign({ fnName }, assoc)
+        )
+    )
+    const distKeys = _.uniq(assocs.map(getDistributionKey))
+    const distKey = this._opts.distribution || distKeys[0]
+
+    if (!this._opts.distribution && distKeys.length > 1) {
+      throw new Error(
+        `Functions are associated with several distributions (${distKeys.join(
+          ', '
+        )}), choose one with --distribution`
+      )
+    }
+
+    const distAssocs = assocs.filter(
+      (assoc) => getDistributionKey(assoc) === distKey
+    )
+
+    if (distAssocs.length === 0) {
+      throw new Error(
+        `No functions are associated with distribution "${distKey}"`
+      )
+    }
+
+    const pathPattern =
+      this._opts['path-pattern'] ||
+      _.chain(distAssocs)
+        .flatMap('pathPatterns')
+        .compact()
+        .filter((pattern) => matchesPathPattern(pattern, this._opts.uri || '/'))
+        .maxBy((pattern) => normalizePathPattern(pattern).length)
+        .value()
+    const behaviorAssocs = this.getFunctionsForBehavior(
+      distAssocs,
+      pathPattern ? normalizePathPattern(pathPattern) : null
+    )
+
+    this.serverless.cli.log(
+      `Simulating the ${
+        pathPattern ? `"${pathPattern}"` : 'default'
+      } cache behavior of distribution "${distKey}"`
+    )
+
+    return _.reduce(
+      behaviorAssocs,
+      (memo, assoc) => {
+        if (memo[assoc.eventType]) {
+          throw new Error(
+            `Functions "${memo[assoc.eventType].fnName}" and "${
+              assoc.fnName
+            }" are both associated with ${
+              assoc.eventType
+            } on this cache behavior`
+          )
+        }
+
+        memo[assoc.eventType] = assoc
+        return memo
+      },
+      {}
+    )
+  }
+
+  /**
+   * Runs the handler of a function the way Lambda would, for both async and
+   * callback style handlers.
+   */
+  invokeHandler(fnName, fnDef, event) {
+    const [handlerModule, handlerName] = splitHandler(fnDef.handler)
+    const handler = require(path.join(
+      this.serverless.config.servicePath,
+      handlerModule
+    ))[handlerName]
+
+    if (typeof handler !== 'function') {
+      throw new Error(
+        `Handler "${fnDef.handler}" of function "${fnName}" is not a function`
+      )
+    }
+
+    const timeout =
+      (fnDef.timeout || this.serverless.service.provider.timeout || 6) * 1000
+    const deadline = Date.now() + timeout
+    const context = {
+      functionName: fnName,
+      functionVersion: '$LATEST',
+      awsRequestId: 'edge-invoke',
+      getRemainingTimeInMillis: () => Math.max(deadline - Date.now(), 0)
+    }
+
+    return new Promise((resolve, reject) => {
+      const returned = handler(event, context, (err, result) =>
+        err ? reject(err) : resolve(result)
+      )
+
+      if (returned && typeof returned.then === 'function') {
+        returned.then(resolve, reject)
+      }
+    })
+  }
+
+  modifyTemplate() {
+    const template = this.serverless.service.provider
+      .compiledCloudFormationTemplate
+
+    this.modifyExecutionRole(template)
+    this.modifyLambdaFunctions(this.serverless.service.functions, template)
+  }
+
+  modifyExecutionRole(template) {
+    const fnRoles = this.getEdgeFunctionRoles(template)
+
+    // Roles outside of the stack can not be changed, only checked before deploy
+    this._externalRoles = _.chain(fnRoles)
+      .filter('roleARN')
+      .groupBy('roleARN')
+      .mapValues((roleFns) => _.map(roleFns, 'fnName'))
+      .value()
+
+    fnRoles
+      .filter((fnRole) => !fnRole.roleARN && !fnRole.roleLogicalID)
+      .forEach(({ fnName }) => {
+        this.serverless.cli.log(
+          `WARNING: no IAM role for Lambda execution found for function "${fnName}" - can not modify assume role policy`
+        )
+      })
+
+    _.chain(fnRoles)
+      .filter('roleLogicalID')
+      .groupBy('roleLogicalID')
+      .each((roleFns, roleLogicalID) =>
+        this.modifyTemplateRole(
+          template.Resources[roleLogicalID],
+          roleLogicalID,
+          _.map(roleFns, 'fnName')
+        )
+      )
+      .value()
+  }
+
+  /**
+   * Finds the IAM role each Lambda@Edge function runs with: a role in the
+   * compiled template (the default `IamRoleLambdaExecution`, one from
+   * `resources` or a per-function role), as `roleLogicalID`, or the ARN of a
+   * role outside of the stack, as `roleARN`. Neither is set when the role can
+   * not be told from the template.
+   */
+  getEdgeFunctionRoles(template) {
+    return _.chain(this.serverless.service.functions)
+      .pickBy('lambdaAtEdge')
+      .map((fnDef, fnName) => {
+        const role = _.get(
+          template,
+          [
+            'Resources',
+            this.provider.naming.getLambdaLogicalId(fnName),
+            'Properties',
+            'Role'
+          ],
+          { 'Fn::GetAtt': ['IamRoleLambdaExecution', 'Arn'] }
+        )
+        const roleLogicalID = _.get(role, ['Fn::GetAtt', 0])
+
+        if (typeof role === 'string' && role.startsWith('arn:')) {
+          return { fnName, roleARN: role }
+        }
+
+        if (roleLogicalID && _.get(template, ['Resources', roleLogicalID])) {
+          return { fnName, roleLogicalID }
+        }
+
+        return { fnName }
+      })
+      .value()
+  }
+
+  modifyTemplateRole(role, roleLogicalID, fnNames) {
+    let assumeRoleUpdated = false
+
+    _.each(
+      _.get(role, 'Properties.AssumeRolePolicyDocument.Statement'),
+      (stmt) => {
+        const svc = _.castArray(_.get(stmt, 'Principal.Service', []))
+
+        if (!svc.includes('lambda.amazonaws.com')) {
+          return
+        }
+
+        assumeRoleUpdated = true
+
+        if (!svc.includes('edgelambda.amazonaws.com')) {
+          stmt.Principal.Service = svc.concat('edgelambda.amazonaws.com')
+          this.serverless.cli.log(
+            `Updated Lambda assume role policy of "${roleLogicalID}" to allow Lambda@Edge to assume the role`
+          )
+        }
+      }
+    )
+
+    // Serverless creates a LogGroup by a specific name, and grants logs:CreateLogStream
+    // and logs:PutLogEvents permissions to the function. However, on a replicated
+    // function, AWS will name the log groups differently, so the Serverless-created
+    // permissions will not work. Thus, we must give the function permission to create
+    // log groups and streams, as well as put log events.
+    // See http://docs.aws.amazon.com/AmazonCloudWatch/latest/logs/iam-identity-based-access-control-cwl.html
+    const logResources = this.getReplicaLogResources(fnNames)
+    const statement = {
+      Effect: 'Allow',
+      Action: [
+        'logs:CreateLogGroup',
+        'logs:CreateLogStream',
+        'logs:PutLogEvents',
+        'logs:DescribeLogStreams'
+      ],
+      Resource: logResources
+    }
+    const policy = _.get(role, 'Properties.Policies[0]')
+
+    if (policy) {
+      policy.PolicyDocument.Statement.push(statement)
+    } else {
+      // Roles from `resources` may only have managed policies
+      role.Properties.Policies = [
+        {
+          PolicyName: 'lambda-at-edge-logs',
+          PolicyDocument: { Version: '2012-10-17', Statement: [statement] }
+        }
+      ]
+    }
+
+    if (!assumeRoleUpdated) {
+      this.serverless.cli.log(
+        `WARNING: was unable to update the Lambda assume role policy of "${roleLogicalID}" to allow Lambda@Edge to assume the role`
+      )
+    }
+  }
+
+  /**
+   * Lambda@Edge can only run functions with a role that both Lambda and
+   * Lambda@Edge can assume. The trust policy of roles outside of the stack is
+   * checked before deploying, rather than failing when CloudFront is updated.
+   */
+  async validateExternalRoles() {
+    await Promise.all(
+      _.map(this._externalRoles, (fnNames, roleARN) =>
+        this.validateExternalRole(roleARN, fnNames)
+      )
+    )
+  }
+
+  async validateExternalRole(roleARN, fnNames) {
+    const usedBy = `of function${fnNames.length > 1 ? 's' : ''} "${fnNames.join(
+      '", "'
+    )}"`
+    let role
+
+    try {
+      const res = await this.provider.request('IAM', 'getRole', {
+        // Role ARNs can have a path: arn:aws:iam::123456789012:role/path/name
+        RoleName: roleARN.split('/').pop()
+      })
+
+      role = res.Role
+    } catch (err) {
+      if (getErrorCode(err) === 'NoSuchEntity') {
+        throw new Error(`IAM role ${roleARN} ${usedBy} does not exist`)
+      }
+
+      throw err
+    }
+
+    const services = _.chain(
+      JSON.parse(decodeURIComponent(role.AssumeRolePolicyDocument)).Statement
+    )
+      .castArray()
+      .filter(
+        (stmt) =>
+          stmt.Effect === 'Allow' &&
+          _.castArray(stmt.Action).includes('sts:AssumeRole')
+      )
+      .flatMap((stmt) => _.castArray(_.get(stmt, 'Principal.Service', [])))
+      .value()
+    const missing = ['lambda.amazonaws.com', 'edgelambda.amazonaws.com'].filter(
+      (svc) => !services.includes(svc)
+    )
+
+    if (missing.length > 0) {
+      throw new Error(
+        `IAM role ${roleARN} ${usedBy} can not be used by Lambda@Edge: its trust policy must allow "${missing.join(
+          '" and "'
+        )}" to assume it`
+      )
+    }
+  }
+
+  /**
+   * Replica log groups are named `/aws/lambda/us-east-1.<function name>` in
+   * every region the function runs in, so the permissions of `fnNames` are
+   * limited to those names, in `logPermissions.regions` or any region. With
+   * `logPermissions.wildcard`, they apply to every log group instead.
+   */
+  getReplicaLogResources(fnNames) {
+    const config = this.getCustomConfig('logPermissions', {})
+
+    if (config.wildcard) {
+      return ['arn:aws:logs:*:*:*']
+    }
+
+    const regions = config.regions || ['*']
+
+    return _.chain(fnNames)
+      .map((fnName) => this.serverless.service.functions[fnName].name)
+      .flatMap((fnName) =>
+        _.flatMap(regions, (region) =>
+          [':*', ':*:*'].map((suffix) => ({
+            'Fn::Sub': `arn:\${AWS::Partition}:logs:${region}:\${AWS::AccountId}:log-group:/aws/lambda/${EDGE_REGION}.${fnName}${suffix}`
+          }))
+        )
+      )
+      .value()
+  }
+
+  modifyLambdaFunctions(functions, template) {
+    this._pendingAssociations = _.chain(this.getPendingAssociations(functions))
+      .each((fn) => {
+        if (fn.cloudFrontFunction) {
+          // CloudFront Functions are deployed by this plugin, not as Lambdas
+          this.removeLambdaResources(template, fn.fnName)
+          return
+        }
+
+        const fnProps = template.Resources[fn.fnLogicalName].Properties
+
+        if (
+          fnProps &&
+          fnProps.Environment &&
+          fnProps.Environment.Variables &&
+          !this.getCustomConfig('inlineEnvironment', false)
+        ) {
+          this.serverless.cli.log(
+            `Removing ${
+              Object.keys(fnProps.Environment.Variables).length
+            } environment variables from function "${
+              fn.fnLogicalName
+            }" because Lambda@Edge does not support environment variables`
+          )
+        }
+
+        if (fnProps) {
+          delete fnProps.Environment
+        }
+      })
+      .value()
+
+    this.validateEdgeFunctions(
+      this._pendingAssociations.filter((fn) => !fn.cloudFrontFunction),
+      template
+    )
+  }
+
+  /**
+   * With `inlineEnvironment`, the environment variables of each Lambda@Edge
+   * function are written into its package, in a handler that sets them on
+   * `process.env` before loading the function's own handler. This runs before
+   * the functions are compiled, so that the version of each function changes
+   * when its variables do.
+   */
+  async inlineEnvironments() {
+    if (!this.getCustomConfig('inlineEnvironment', false)) {
+      return
+    }
+
+    const service = this.serverless.service
+    const problems = []
+    const shims = []
+
+    _.each(service.functions, (fnDef, fnName) => {
+      const variables = Object.assign(
+        {},
+        service.provider.environment,
+        fnDef.environment
+      )
+
+      if (!fnDef.lambdaAtEdge || _.isEmpty(variables)) {
+        return
+      }
+
+      const runtime = fnDef.runtime || service.provider.runtime
+
+      if (!/^nodejs/.test(runtime)) {
+        problems.push(
+          `${fnName}: environment variables can only be inlined into Node.js functions, not ${runtime}`
+        )
+        return
+      }
+
+      // CloudFormation functions (Ref, Fn::ImportValue...) only have a value
+      // once the stack is deployed
+      const unresolved = _.keys(_.pickBy(variables, _.isObject))
+
+      if (unresolved.length > 0) {
+        problems.push(
+          `${fnName}: ${unresolved.join(
+            ', '
+          )} can not be inlined because they are only known after deployment`
+        )
+        return
+      }
+
+      shims.push({ fnName, fnDef, variables })
+    })
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Can not inline the environment variables of Lambda@Edge functions:\n  - ${problems.join(
+          '\n  - '
+        )}`
+      )
+    }
+
+    for (const shim of shims) {
+      await this.inlineEnvironment(shim.fnName, shim.fnDef, shim.variables)
+    }
+  }
+
+  /**
+   * Resolves the artifact of a function, copied into the package directory
+   * first if it is not there: Serverless uses artifacts set with
+   * `package.artifact` as they are, and they must not be changed in place.
+   */
+  getWritableArtifact(fnName, fnDef) {
+    const servicePath = this.serverless.config.servicePath
+    const servicePackage = this.serverless.service.package
+    const packagePath = path.resolve(
+      servicePath,
+      this._opts.package || servicePackage.path || '.serverless'
+    )
+    const fnArtifact = _.get(fnDef, 'package.artifact')
+    const artifact = path.resolve(
+      servicePath,
+      fnArtifact || servicePackage.artifact
+    )
+
+    if (!path.relative(packagePath, artifact).startsWith('..')) {
+      return artifact
+    }
+
+    const copy = path.join(
+      packagePath,
+      fnArtifact
+        ? `${fnName}-${path.basename(artifact)}`
+        : path.basename(artifact)
+    )
+
+    if (!fs.existsSync(packagePath)) {
+      fs.mkdirSync(packagePath)
+    }
+
+    fs.writeFileSync(copy, fs.readFileSync(artifact))
+
+    if (fnArtifact) {
+      fnDef.package.artifact = copy
+    } else {
+      servicePackage.artifact = copy
+    }
+
+    return copy
+  }
+
+  async inlineEnvironment(fnName, fnDef, variables) {
+    const artifact = this.getWritableArtifact(fnName, fnDef)
+    const [handlerModule, handlerName] = splitHandler(fnDef.handler)
+    const zip = await JSZip.loadAsync(fs.readFileSync(artifact))
+    const values = _.mapValues(variables, String)
+
+    zip.file(
+      `${EDGE_ENV_DIR}/${fnName}.js`,
+      [
+        "'use strict'",
+        `Object.assign(process.env, ${JSON.stringify(values, null, 2)})`,
+        `exports.handler = require('../${handlerModule}').${handlerName}`,
+        ''
+      ].join('\n'),
+      // Like Serverless's own packages, the same content must zip to the same
+      // hash, or every deploy would publish new function versions
+      { date: new Date(0), unixPermissions: 0o644, createFolders: false }
+    )
+
+    fs.writeFileSync(
+      artifact,
+      await zip.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        platform: 'UNIX'
+      })
+    )
+
+    fnDef.handler = `${EDGE_ENV_DIR}/${fnName}.handler`
+
+    this.serverless.cli.log(
+      `Inlined ${
+        Object.keys(values).length
+      } environment variables into function "${fnName}" because Lambda@Edge does not support environment variables`
+    )
+  }
+
+  /**
+   * Checks the packaged Lambda@Edge functions against the restrictions
+   * CloudFront enforces when they are associated, so that the deploy fails
+   * before anything is deployed rather than halfway through. With `autoFix`,
+   * memory sizes and timeouts above the quota are lowered instead.
+   */
+  validateEdgeFunctions(lambdaAssociations, template) {
+    const autoFix = this.getCustomConfig('autoFix', false)
+    const region = this.provider.getRegion()
+    const problems = []
+
+    if (lambdaAssociations.length > 0 && region !== EDGE_REGION) {
+      problems.push(
+        `Lambda@Edge functions must be deployed to ${EDGE_REGION}, not ${region}`
+      )
+    }
+
+    _.each(
+      _.groupBy(lambdaAssociations, 'fnLogicalName'),
+      (assocs, fnLogicalName) => {
+        const fnProps = template.Resources[fnLogicalName].Properties || {}
+        const eventTypes = _.uniq(_.map(assocs, 'eventType'))
+        // A function associated with several event types gets the strictest
+        const limitOf = (key) =>
+          _.min(eventTypes.map((eventType) => EDGE_LIMITS[eventType][key]))
+        const fail = (problem) =>
+          problems.push(
+            `${fnLogicalName} (${eventTypes.join(', ')}): ${problem}`
+          )
+
+        const quotas = [
+          ['MemorySize', limitOf('memorySize'), 'memory size', 'MB'],
+          ['Timeout', limitOf('timeout'), 'timeout', ' seconds']
+        ]
+
+        quotas.forEach(([prop, limit, label, unit]) => {
+          if (!(fnProps[prop] > limit)) {
+            return
+          }
+
+          if (autoFix) {
+            this.serverless.cli.log(
+              `Lowering ${prop} of function "${fnLogicalName}" from ${
+                fnProps[prop]
+              } to ${limit}, the most Lambda@Edge allows for ${eventTypes.join(
+                ', '
+              )}`
+            )
+            fnProps[prop] = limit
+            return
+          }
+
+          fail(
+            `${label} ${fnProps[prop]}${unit} is above the ${limit}${unit} allowed`
+          )
+        })
+
+        if (fnProps.Runtime && !EDGE_RUNTIME_PATTERN.test(fnProps.Runtime)) {
+          fail(`runtime ${fnProps.Runtime} is not supported`)
+        }
+
+        if (_.includes(fnProps.Architectures, 'arm64')) {
+          fail('only the x86_64 architecture is supported')
+        }
+
+        if (!_.isEmpty(fnProps.Layers)) {
+          fail('layers are not supported')
+        }
+
+        if (fnProps.VpcConfig) {
+          fail('VPC configuration is not supported')
+        }
+
+        if (fnProps.DeadLetterConfig) {
+          fail('dead-letter queues are not supported')
+        }
+
+        if (fnProps.ReservedConcurrentExecutions !== undefined) {
+          fail('reserved concurrency is not supported')
+        }
+      }
+    )
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Lambda@Edge functions do not meet CloudFront's requirements:\n  - ${problems.join(
+          '\n  - '
+        )}`
+      )
+    }
+  }
+
+  getPendingAssociations(functions) {
+    return _.reduce(
+      functions,
+      (memo, fnDef, fnName) => {
+        if (!fnDef.lambdaAtEdge && !fnDef.cloudFrontFunction) {
+          return memo
+        }
+
+        if (fnDef.lambdaAtEdge && fnDef.cloudFrontFunction) {
+          throw new Error(
+            `Function "${fnName}" can not have both "lambdaAtEdge" and "cloudFrontFunction"`
+          )
+        }
+
+        const fnLogicalName = this.provider.naming.getLambdaLogicalId(fnName)
+
+        if (fnDef.cloudFrontFunction) {
+          if (!/\.handler$/.test(fnDef.handler)) {
+            throw new Error(
+              `The handler of CloudFront Function "${fnName}" must be named "handler"`
+            )
+          }
+
+          _.castArray(fnDef.cloudFrontFunction).forEach((assoc) => {
+            memo.push(
+              Object.assign(
+                this.validateAssociation(
+                  assoc,
+                  'cloudFrontFunction',
+                  VALID_CLOUDFRONT_FUNCTION_EVENT_TYPES
+                ),
+                {
+                  fnName,
+                  fnLogicalName,
+                  cloudFrontFunction: {
+                    name: fnDef.name,
+                    handler: fnDef.handler
+                  }
+                }
+              )
+            )
+          })
+
+          return memo
+        }
+
+        const fnCurrentVersionOutputName = this.provider.naming.getLambdaVersionOutputLogicalId(
+          fnName
+        )
+
+        // A function can be associated to several distributions and/or event
+        // types, all of which point at the same published version
+        _.castArray(fnDef.lambdaAtEdge).forEach((assoc) => {
+          memo.push(
+            Object.assign(this.validateAssociation(assoc), {
+              fnLogicalName,
+              fnCurrentVersionOutputName
+            })
+          )
+        })
+
+        return memo
+      },
+      []
+    )
+  }
+
+  validateAssociation(
+    assoc,
+    configKey = 'lambdaAtEdge',
+    validEventTypes = VALID_EVENT_TYPES
+  ) {
+    const distId = assoc.distributionID || null
+    const evtType = assoc.eventType
+    const lookupKeys = DISTRIBUTION_LOOKUP_KEYS.filter((key) => assoc[key])
+
+    if (!validEventTypes.includes(evtType)) {
+      throw new Error(
+        `"${evtType}" is not a valid event type, must be one of: ${validEventTypes.join(
+          ', '
+        )}`
+      )
+    }
+
+    if (!distId && lookupKeys.length === 0) {
+      throw new Error(
+        `This plugin requires "${configKey}.distributionID" (or one of ${DISTRIBUTION_LOOKUP_KEYS.join(
+          ', '
+        )}) to be set.`
+      )
+    }
+
+    if (lookupKeys.length + (distId ? 1 : 0) > 1) {
+      throw new Error(
+        `Only one of "${configKey}.distributionID", ${DISTRIBUTION_LOOKUP_KEYS.join(
+          ', '
+        )} can be set.`
+      )
+    }
+
+    if (assoc.includeBody && !INCLUDE_BODY_EVENT_TYPES.includes(evtType)) {
+      throw new Error(
+        `"lambdaAtEdge.includeBody" is not supported for "${evtType}", only for: ${INCLUDE_BODY_EVENT_TYPES.join(
+          ', '
+        )}`
+      )
+    }
+
+    return {
+      distributionID: distId,
+      distributionAlias: assoc.distributionAlias,
+      distributionTag: assoc.distributionTag,
+      distributionExport: assoc.distributionExport,
+      eventType: evtType,
+      pathPatterns: assoc.pathPatterns,
+      defaultBehavior: assoc.defaultBehavior,
+      force: assoc.force,
+      includeBody: assoc.includeBody
+    }
+  }
+
+  /**
+   * Removes the Lambda function, its versions, log group and version output
+   * that Serverless compiled for a function.
+   */
+  removeLambdaResources(template, fnName) {
+    const fnLogicalName = this.provider.naming.getLambdaLogicalId(fnName)
+
+    _.each(template.Resources, (resource, logicalID) => {
+      if (
+        resource.Type === 'AWS::Lambda::Version' &&
+        _.get(resource, 'Properties.FunctionName.Ref') === fnLogicalName
+      ) {
+        delete template.Resources[logicalID]
+      }
+    })
+
+    delete template.Resources[fnLogicalName]
+    delete template.Resources[this.provider.naming.getLogGroupLogicalId(fnName)]
+
+    if (template.Outputs) {
+      delete template.Outputs[
+        this.provider.naming.getLambdaVersionOutputLogicalId(fnName)
+      ]
+    }
+  }
+
+  /**
+   * Creates or updates each CloudFront Function from its handler source and
+   * publishes it to LIVE. When `publish` is false, nothing is changed and the
+   * ARNs of the already published functions are used. Plans show the
+   * functions that are not published yet by name instead.
+   */
+  async deployCloudFrontFunctions(publish) {
+    this._cloudFrontFunctionARNs = {}
+
+    const cfFunctions = _.chain(this._pendingAssociations)
+      .map('cloudFrontFunction')
+      .compact()
+      .uniqBy('name')
+      .value()
+
+    for (const cfFunction of cfFunctions) {
+      this._cloudFrontFunctionARNs[cfFunction.name] = publish
+        ? await this.deployCloudFrontFunction(cfFunction)
+        : (await this.getCloudFrontFunctionARN(cfFunction.name)) ||
+          `${cfFunction.name} (not published yet)`
+    }
+  }
+
+  async deployCloudFrontFunction(cfFunction) {
+    const name = cfFunction.name
+    const code = this.readCloudFrontFunctionCode(cfFunction.handler)
+    const functionConfig = {
+      Comment: `Deployed by ${this.provider.naming.getStackName()}`,
+      Runtime: CLOUDFRONT_FUNCTION_RUNTIME
+    }
+    let current = null
+
+    try {
+      current = await this.provider.request('CloudFront', 'getFunction', {
+        Name: name,
+        Stage: 'DEVELOPMENT'
+      })
+    } catch (err) {
+      if (getErrorCode(err) !== 'NoSuchFunctionExists') {
+        throw err
+      }
+    }
+
+    let etag
+
+    if (!current) {
+      this.serverless.cli.log(`Creating CloudFront Function "${name}"`)
+      etag = (
+        await this.provider.request('CloudFront', 'createFunction', {
+          Name: name,
+          FunctionConfig: functionConfig,
+          FunctionCode: code
+        })
+      ).ETag
+    } else if (!code.equals(Buffer.from(current.FunctionCode))) {
+      this.serverless.cli.log(`Updating CloudFront Function "${name}"`)
+      etag = (
+        await this.provider.request('CloudFront', 'updateFunction', {
+          Name: name,
+          IfMatch: current.ETag,
+          FunctionConfig: functionConfig,
+          FunctionCode: code
+        })
+      ).ETag
+    } else {
+      etag = current.ETag
+    }
+
+    const resp = await this.provider.request('CloudFront', 'publishFunction', {
+      Name: name,
+      IfMatch: etag
+    })
+
+    this.serverless.cli.log(`Published CloudFront Function "${name}" to LIVE`)
+
+    return resp.FunctionSummary.FunctionMetadata.FunctionARN
+  }
+
+  /**
+   * Resolves the names of the CloudFront Functions deployed by this service's
+   * stack, from the comment `deployCloudFrontFunction` gives them.
+   */
+  async listOwnedCloudFrontFunctions() {
+    const comment = `Deployed by ${this.provider.naming.getStackName()}`
+    const names = []
+    let marker
+
+    do {
+      const resp = await this.provider.request('CloudFront', 'listFunctions', {
+        Marker: marker
+      })
+      const list = resp.FunctionList
+
+      _.each(list.Items, (summary) => {
+        if (_.get(summary, 'FunctionConfig.Comment') === comment) {
+          names.push(summary.Name)
+        }
+      })
+      marker = list.NextMarker
+    } while (marker)
+
+    return _.uniq(names)
+  }
+
+  /**
+   * Deletes CloudFront Functions once they were detached from their
+   * distributions. Functions still in use, by a distribution that is not
+   * deployed yet, are left for the next deploy or remove.
+   */
+  async deleteCloudFrontFunctions(names) {
+    for (const name of names) {
+      try {
+        const resp = await this.provider.request(
+          'CloudFront',
+          'describeFunction',
+          { Name: name, Stage: 'DEVELOPMENT' }
+        )
+
+        await this.provider.request('CloudFront', 'deleteFunction', {
+          Name: name,
+          IfMatch: resp.ETag
+        })
+        this.serverless.cli.log(`Deleted CloudFront Function "${name}"`)
+      } catch (err) {
+        const code = getErrorCode(err)
+
+        if (code === 'FunctionInUse') {
+          this.serverless.cli.log(
+            `WARNING: CloudFront Function "${name}" is still associated with a distribution and was not deleted`
+          )
+        } else if (code !== 'NoSuchFunctionExists') {
+          throw err
+        }
+      }
+    }
+  }
+
+  // Resolves null if the function was never published
+  async getCloudFrontFunctionARN(name) {
+    let resp
+
+    try {
+      resp = await this.provider.request('CloudFront', 'describeFunction', {
+        Name: name,
+        Stage: 'LIVE'
+      })
+    } catch (err) {
+      if (getErrorCode(err) === 'NoSuchFunctionExists') {
+        return null
+      }
+
+      throw err
+    }
+
+    return resp.FunctionSummary.FunctionMetadata.FunctionARN
+  }
+
+  // "src/rewrite.handler" is read from "src/rewrite.js"
+  readCloudFrontFunctionCode(handler) {
+    return fs.readFileSync(
+      path.join(
+        this.serverless.config.servicePath,
+        handler.replace(/\.handler$/, '.js')
+      )
+    )
+  }
+
+  getCustomConfig(key, defaultValue) {
+    return _.get(
+      this.serverless.service,
+      ['custom', 'lambdaAtEdge', key],
+      defaultValue
+    )
+  }
+
+  // The --edge-wait/--no-edge-wait option overrides custom.lambdaAtEdge
+  shouldWaitForDeployment() {
+    const opt = this._opts['edge-wait']
+
+    if (opt !== undefined) {
+      return String(opt) !== 'false'
+    }
+
+    return this.getCustomConfig('waitForDeployment', true)
+  }
+
+  // The --edge-max-wait option overrides custom.lambdaAtEdge
+  getMaxWaitSeconds() {
+    const value =
+      this._opts['edge-max-wait'] !== undefined
+        ? this._opts['edge-max-wait']
+        : this.getCustomConfig('maxWaitSeconds')
+
+    if (value === undefined) {
+      return null
+    }
+
+    const seconds = Number(value)
+
+    if (!Number.isInteger(seconds) || seconds < 1) {
+      throw new Error(
+        `"${value}" is not a valid maximum wait, must be a positive number of seconds`
+      )
+    }
+
+    return seconds
+  }
+
+  async updateDistributionsAsNecessary(fns, dists) {
+    try {
+      await this.forEachDistribution(_.map(dists, 'distributionID'), (distID) =>
+        this.getCustomConfig('canary')
+          ? this.updateStagingDistribution(fns, distID)
+          : this.updateDistributionAsNecessary(fns, dists[distID])
+      )
+    } finally {
+      // Distributions that were updated before another one failed count too
+      await this.saveHistory()
+    }
+  }
+
+  /**
+   * Runs `task` for each distribution ID, several distributions at a time (see
+   * the `concurrency` setting). A failure on one distribution does not stop
+   * the others; they are all reported together once every task has settled.
+   */
+  async forEachDistribution(distIDs, task) {
+    const concurrency = this.getCustomConfig('concurrency', DEFAULT_CONCURRENCY)
+    const uniqueDistIDs = _.uniq(distIDs)
+
+    if (uniqueDistIDs.length > 1) {
+      this.serverless.cli.log(
+        `Processing ${uniqueDistIDs.length} distributions, up to ${concurrency} at a time`
+      )
+    }
+
+    const errors = await mapWithConcurrency(
+      uniqueDistIDs,
+      concurrency,
+      (distID) =>
+        task(distID).then(
+          () => null,
+          (err) => {
+            this.serverless.cli.log(
+              `Failed to update distribution "${distID}": ${err.message}`
+            )
+            return { distID, err }
+          }
+        )
+    ).then(_.compact)
+
+    if (errors.length === 1) {
+      throw errors[0].err
+    }
+
+    if (errors.length > 1) {
+      throw new Error(
+        `Failed to update ${errors.length} distributions: ${_.map(
+          errors,
+          'distID'
+        ).join(', ')}`
+      )
+    }
+  }
+
+  /**
+   * Chains `task` after any other task running on the same distribution, so
+   * that two updates never race for the same ETag.
+   */
+  withDistributionLock(distID, task) {
+    const previous = this._distributionLocks.get(distID) || Promise.resolve()
+    const current = previous.then(task)
+
+    this._distributionLocks.set(
+      distID,
+      current.catch(() => {})
+    )
+
+    return current
+  }
+
+  waitForDistributionDeployed(distPhysicalID) {
+    if (!this._distIdsWaiting.has(distPhysicalID)) {
+      const waiting = this.waitForDistributionDeployedOnce(distPhysicalID)
+
+      this._distIdsWaiting.set(distPhysicalID, waiting)
+
+      const done = () => this._distIdsWaiting.delete(distPhysicalID)
+      waiting.then(done, done)
+    }
+
+    return this._distIdsWaiting.get(distPhysicalID)
+  }
+
+  async waitForDistributionDeployedOnce(distPhysicalID) {
+    let dotPrinted = false
+    let running = true
+
+    const cloudfront = new this.provider.sdk.CloudFront(
+      this.provider.getCredentials()
+    )
+    const maxWaitSeconds = this.getMaxWaitSeconds()
+    const params = { Id: distPhysicalID }
+
+    if (maxWaitSeconds) {
+      const delay = Math.min(WAITER_DELAY_SECONDS, maxWaitSeconds)
+
+      params.$waiter = {
+        delay,
+        maxAttempts: Math.ceil(maxWaitSeconds / delay)
+      }
+    }
+
+    let timeoutId
+    const dotPrinter = () => {
+      clearTimeout(timeoutId)
+      if (running) {
+        if (!dotPrinted) {
+          this.serverless.cli.log(
+            `Waiting for CloudFront distribution "${distPhysicalID}" to be deployed`
+          )
+          this.serverless.cli.log('This can take awhile.')
+          dotPrinted = true
+        }
+        this.serverless.cli.printDot()
+        timeoutId = setTimeout(dotPrinter, 2000)
+      }
+    }
+
+    timeoutId = setTimeout(dotPrinter, 1000)
+
+    return new Promise((resolve, reject) => {
+      cloudfront.waitFor('distributionDeployed', params, (err, data) => {
+        clearTimeout(timeoutId)
+        running = false
+        if (dotPrinted) {
+          // we have printed a dot, so clear the line
+          this.serverless.cli.consoleLog('')
+        }
+        if (err) {
+          return reject(err)
+        }
+        this.serverless.cli.log(
+          `Distribution "${distPhysicalID}" is now in "${data.Distribution.Status}" state`
+        )
+        resolve(data)
+      })
+    }).catch((err) => {
+      if (err.code !== 'ResourceNotReady') {
+        throw err
+      }
+
+      return this.throwDeploymentTimeout(distPhysicalID, maxWaitSeconds)
+    })
+  }
+
+  async throwDeploymentTimeout(distID, maxWaitSeconds) {
+    const data = await this.provider.request('CloudFront', 'getDistribution', {
+      Id: distID
+    })
+    const lastModified = new Date(
+      data.Distribution.LastModifiedTime
+    ).toISOString()
+
+    throw new Error(
+      `Timed out${
+        maxWaitSeconds ? ` after ${maxWaitSeconds} seconds` : ''
+      } waiting for CloudFront distribution "${distID}" to be deployed. It is still "${
+        data.Distribution.Status
+      }" (last modified ${lastModified}).`
+    )
+  }
+
+  async updateDistributionAsNecessary(fns, dist) {
+    const distID = dist.distributionID
+    let before
+    let after
+    let replaced
+
+    const changed = await this.updateDistributionConfig(
+      distID,
+      (config) => {
+        before = _.cloneDeep(config)
+        after = config
+        replaced = []
+        return this.modifyDistributionConfigIfNeeded(
+          config,
+          fns[distID],
+          replaced
+        )
+      },
+      'because we updated Lambda@Edge associations on it'
+    )
+
+    if (!changed) {
+      this.serverless.cli.log(
+        `The distribution "${distID}" is already configured with the current versions of each Lambda@Edge function it needs`
+      )
+      return
+    }
+
+    if (replaced.length > 0) {
+      this.recordHistory(distID, replaced)
+    }
+
+    // Staging distributions share the cache of their primary distribution,
+    // which is invalidated on promote
+    if (!dist.staging) {
+      await this.invalidateDistribution(distID, before, after)
+      await this.smokeTestDistribution(distID, before)
+    }
+  }
+
+  /**
+   * With `smokeTests`, requests the updated distribution (or `baseURL`) once
+   * it is deployed and fails the deploy if any test fails. With `revert`, the
+   * associations of the distribution are first put back as they were in the
+   * `before` config, and the distribution is invalidated again.
+   */
+  async smokeTestDistribution(distID, before) {
+    const config = this.getCustomConfig('smokeTests')
+
+    if (!config) {
+      return
+    }
+
+    if (!this.shouldWaitForDeployment()) {
+      this.serverless.cli.log(
+        `Not running smoke tests on distribution "${distID}" because we did not wait for it to be deployed`
+      )
+      return
+    }
+
+    let baseURL = config.baseURL
+
+    if (!baseURL) {
+      const data = await this.provider.request(
+        'CloudFront',
+        'getDistribution',
+        { Id: distID }
+      )
+
+      baseURL = `https://${data.Distribution.DomainName}`
+    }
+
+    this.serverless.cli.log(
+      `Running ${config.tests.length} smoke tests against ${baseURL}`
+    )
+
+    const failures = await runSmokeTests(baseURL, config.tests)
+
+    if (failures.length === 0) {
+      this.serverless.cli.log(`Smoke tests passed on distribution "${distID}"`)
+      return
+    }
+
+    let message = `Smoke tests failed on distribution "${distID}":\n  - ${failures.join(
+      '\n  - '
+    )}`
+
+    if (config.revert) {
+      let failing
+      let reverted
+
+      const changed = await this.updateDistributionConfig(
+        distID,
+        (distConfig) => {
+          failing = _.cloneDeep(distConfig)
+          reverted = distConfig
+          return this.revertAssociations(distConfig, before)
+        },
+        'because its smoke tests failed'
+      )
+
+      // Responses of the failing functions may have been cached meanwhile
+      if (changed) {
+        await this.invalidateDistribution(distID, failing, reverted)
+      }
+
+      // The reverted update is not one `sls edge rollback` can undo
+      if (this._historyChanges) {
+        delete this._historyChanges[distID]
+      }
+
+      message += '\nIts associations were reverted.'
+    }
+
+    throw new Error(message)
+  }
+
+  /**
+   * Puts back the associations of each cache behavior of `distConfig` as they
+   * were in `before`. Returns true if anything changed.
+   */
+  revertAssociations(distConfig, before) {
+    const beforeBehaviors = getCacheBehaviors(before)
+    let changed = false
+
+    getCacheBehaviors(distConfig).forEach((beh) => {
+      const previous = _.find(
+        beforeBehaviors,
+        (candidate) =>
+          (candidate.PathPattern || null) === (beh.PathPattern || null)
+      )
+
+      if (!previous) {
+        return
+      }
+
+      ASSOCIATION_KEYS.forEach((key) => {
+        if (!_.isEqual(beh[key], previous[key])) {
+          beh[key] = _.cloneDeep(previous[key])
+          changed = true
+        }
+      })
+    })
+
+    return changed
+  }
+
+  /**
+   * With `canary`, the associations of `distID` are updated on its staging
+   * distribution instead, which gets part of the traffic through a continuous
+   * deployment policy until it is promoted with `sls edge promote`.
+   */
+  async updateStagingDistribution(fns, distID) {
+    const stagingID = await this.getStagingDistributionID(distID)
+
+    this.serverless.cli.log(
+      `Updating staging distribution "${stagingID}" of distribution "${distID}"`
+    )
+
+    return this.updateDistributionAsNecessary(
+      { [stagingID]: fns[distID] },
+      { distributionID: stagingID, staging: true }
+    )
+  }
+
+  /**
+   * Resolves the ID of the staging distribution of `distID`. The first time,
+   * the staging distribution is copied from it and linked to it with a new
+   * continuous deployment policy. After that, the policy's traffic config is
+   * kept in line with `canary`.
+   */
+  async getStagingDistributionID(distID) {
+    const trafficConfig = getTrafficConfig(this.getCustomConfig('canary'))
+    const data = await this.provider.request('CloudFront', 'getDistribution', {
+      Id: distID
+    })
+    const policyID =
+      data.Distribution.DistributionConfig.ContinuousDeploymentPolicyId
+
+    if (policyID) {
+      const { stagingID, policy } = await this.findStagingDistribution(policyID)
+      const policyConfig =
+        policy.ContinuousDeploymentPolicy.ContinuousDeploymentPolicyConfig
+
+      if (
+        !policyConfig.Enabled ||
+        !_.isEqual(
+          _.pick(policyConfig.TrafficConfig, _.keys(trafficConfig)),
+          trafficConfig
+        )
+      ) {
+        this.serverless.cli.log(
+          `Updating the traffic config of continuous deployment policy "${policyID}"`
+        )
+        await this.provider.request(
+          'CloudFront',
+          'updateContinuousDeploymentPolicy',
+          {
+            Id: policyID,
+            IfMatch: policy.ETag,
+            ContinuousDeploymentPolicyConfig: Object.assign({}, policyConfig, {
+              Enabled: true,
+              TrafficConfig: trafficConfig
+            })
+          }
+        )
+      }
+
+      return stagingID
+    }
+
+    this.serverless.cli.log(
+      `Creating a staging distribution for distribution "${distID}"`
+    )
+
+    const copy = await this.provider.request('CloudFront', 'copyDistribution', {
+      PrimaryDistributionId: distID,
+      Staging: true,
+      CallerReference: `${this.provider.naming.getStackName()}-${Date.now()}`,
+      IfMatch: data.ETag
+    })
+    const staging = copy.Distribution
+    const created = await this.provider.request(
+      'CloudFront',
+      'createContinuousDeploymentPolicy',
+      {
+        ContinuousDeploymentPolicyConfig: {
+          StagingDistributionDnsNames: {
+            Quantity: 1,
+            Items: [staging.DomainName]
+          },
+          Enabled: true,
+          TrafficConfig: trafficConfig
+        }
+      }
+    )
+
+    await this.updateDistributionConfig(
+      distID,
+      (config) => {
+        config.ContinuousDeploymentPolicyId =
+          created.ContinuousDeploymentPolicy.Id
+        return true
+      },
+      `to send part of its traffic to staging distribution "${staging.Id}"`
+    )
+
+    return staging.Id
+  }
+
+  /**
+   * Continuous deployment policies only know the domain name of the staging
+   * distribution, so its ID is looked up among the account's distributions.
+   */
+  async findStagingDistribution(policyID) {
+    const policy = await this.provider.request(
+      'CloudFront',
+      'getContinuousDeploymentPolicy',
+      { Id: policyID }
+    )
+    const domainName =
+      policy.ContinuousDeploymentPolicy.ContinuousDeploymentPolicyConfig
+        .StagingDistributionDnsNames.Items[0]
+    const summary = _.find(await this.listDistributionSummaries(), {
+      DomainName: domainName
+    })
+
+    if (!summary) {
+      throw new Error(
+        `The staging distribution "${domainName}" of continuous deployment policy "${policyID}" does not exist`
+      )
+    }
+
+    return { stagingID: summary.Id, policy }
+  }
+
+  async onEdgePromote() {
+    this._pendingAssociations = this.getPendingAssociations(
+      this.serverless.service.functions
+    )
+
+    if (this._pendingAssociations.length === 0) {
+      this.serverless.cli.log('No functions are configured with lambdaAtEdge')
+      return
+    }
+
+    await this.resolveDistributionIDs()
+
+    try {
+      await this.forEachDistribution(
+        _.keys(this.getDistributionPhysicalIDs()),
+        (distID) => this.promoteDistribution(distID)
+      )
+    } finally {
+      await this.saveHistory()
+    }
+  }
+
+  /**
+   * Copies the config of the staging distribution of `distID` to it, once
+   * both are deployed, and invalidates it with `invalidate`. The associations
+   * it replaces are recorded under `distID`, so that `sls edge rollback` can
+   * undo the promotion.
+   */
+  promoteDistribution(distID) {
+    const getDeployed = async (id) => {
+      const data = await this.provider.request(
+        'CloudFront',
+        'getDistribution',
+        {
+          Id: id
+        }
+      )
+
+      return data.Distribution.Status === 'Deployed'
+        ? data
+        : this.waitForDistributionDeployed(id)
+    }
+
+    return this.withDistributionLock(distID, async () => {
+      const primary = await getDeployed(distID)
+      const policyID =
+        primary.Distribution.DistributionConfig.ContinuousDeploymentPolicyId
+
+      if (!policyID) {
+        throw new Error(
+          `Distribution "${distID}" has no staging distribution to promote, deploy with the canary setting first`
+        )
+      }
+
+      const { stagingID } = await this.findStagingDistribution(policyID)
+      const staging = await getDeployed(stagingID)
+
+      this.serverless.cli.log(
+        `Promoting staging distribution "${stagingID}" to distribution "${distID}"`
+      )
+
+      await this.provider.request(
+        'CloudFront',
+        'updateDistributionWithStagingConfig',
+        {
+          Id: distID,
+          StagingDistributionId: stagingID,
+          IfMatch: `${primary.ETag}, ${staging.ETag}`
+        }
+      )
+
+      const replaced = getReplacedAssociations(
+        primary.Distribution.DistributionConfig,
+        staging.Distribution.DistributionConfig
+      )
+
+      if (replaced.length > 0) {
+        this.recordHistory(distID, replaced)
+      }
+
+      if (!this.shouldWaitForDeployment()) {
+        this.serverless.cli.log(
+          'Not waiting for distribution "' + distID + '" to be deployed'
+        )
+        return
+      }
+
+      await this.waitForDistributionDeployed(distID)
+      await this.invalidateDistribution(
+        distID,
+        primary.Distribution.DistributionConfig,
+        staging.Distribution.DistributionConfig
+      )
+
+      this.serverless.cli.log('Done promoting distribution "' + distID + '"')
+    })
+  }
+
+  recordHistory(distID, associations) {
+    this._historyChanges = this._historyChanges || {}
+    this._historyChanges[distID] = (this._historyChanges[distID] || []).concat({
+      time: new Date().toISOString(),
+      associations
+    })
+  }
+
+  async getHistoryLocation() {
+    return {
+      Bucket: await this.provider.getServerlessDeploymentBucketName(),
+      Key: [
+        this.provider.getDeploymentPrefix() + HISTORY_PREFIX_SUFFIX,
+        this.serverless.service.service,
+        this.provider.getStage(),
+        HISTORY_FILE
+      ].join('/')
+    }
+  }
+
+  /**
+   * Resolves the recorded history of the stage: for each distribution ID, the
+   * list of updates that replaced associations, oldest first. Each update has
+   * the `pathPattern` (null for the default cache behavior), `eventType`,
+   * `previousARN` and `newARN` of the associations it replaced.
+   */
+  async loadHistory() {
+    try {
+      const resp = await this.provider.request(
+        'S3',
+        'getObject',
+        await this.getHistoryLocation()
+      )
+
+      return JSON.parse(resp.Body.toString())
+    } catch (err) {
+      if (getErrorCode(err) === 'NoSuchKey') {
+        return {}
+      }
+
+      throw err
+    }
+  }
+
+  async writeHistory(history) {
+    await this.provider.request(
+      'S3',
+      'putObject',
+      Object.assign(await this.getHistoryLocation(), {
+        Body: JSON.stringify(history, null, 2),
+        ContentType: 'application/json'
+      })
+    )
+  }
+
+  async saveHistory() {
+    if (_.isEmpty(this._historyChanges)) {
+      return
+    }
+
+    const history = await this.loadHistory()
+
+    _.each(this._historyChanges, (entries, distID) => {
+      history[distID] = (history[distID] || [])
+        .concat(entries)
+        .slice(-MAX_HISTORY_ENTRIES)
+    })
+
+    await this.writeHistory(history)
+    this._historyChanges = {}
+  }
+
+  /**
+   * Serverless only empties the deployment prefix before deleting the
+   * deployment bucket, so the history must be deleted too.
+   */
+  async removeHistory() {
+    try {
+      await this.provider.request(
+        'S3',
+        'deleteObject',
+        await this.getHistoryLocation()
+      )
+    } catch (err) {
+      if (
+        getErrorCode(err) !== 'NoSuchBucket' &&
+        !/does not exist/.test(err.message)
+      ) {
+        throw err
+      }
+    }
+  }
+
+  /**
+   * Undoes the last `--to` recorded updates of each distribution, pointing the
+   * associations they replaced back at the previous function versions. The
+   * undone updates are removed from the history.
+   */
+  async onEdgeRollback() {
+    const to = this._opts.to === undefined ? '1' : this._opts.to
+    const steps = Number(to)
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(
+        `"${to}" is not a valid number of deploys to roll back, must be a positive integer`
+      )
+    }
+
+    const history = await this.loadHistory()
+    const distIDs = Object.keys(history).filter(
+      (distID) => history[distID].length > 0
+    )
+
+    if (distIDs.length === 0) {
+      this.serverless.cli.log(
+        `No Lambda@Edge association changes are recorded for stage "${this.provider.getStage()}"`
+      )
+      return
+    }
+
+    try {
+      await this.forEachDistribution(distIDs, (distID) =>
+        this.rollbackDistribution(distID, history, steps)
+      )
+    } finally {
+      await this.writeHistory(history)
+    }
+  }
+
+  async rollbackDistribution(distID, history, steps) {
+    const entries = history[distID]
+
+    if (entries.length < steps) {
+      throw new Error(
+        `Only ${entries.length} deploys are recorded for distribution "${distID}", can not roll back ${steps}`
+      )
+    }
+
+    // From the newest update to the oldest, so that associations replaced
+    // several times go back to the version before the oldest update
+    const targets = {}
+
+    entries
+      .slice(-steps)
+      .reverse()
+      .forEach((entry) =>
+        entry.associations.forEach((assoc) => {
+          const key = `${assoc.pathPattern}:${assoc.eventType}`
+
+          targets[key] = Object.assign(
+            { currentARN: assoc.newARN },
+            targets[key],
+            { arn: assoc.previousARN },
+            _.pick(assoc, 'pathPattern', 'eventType')
+          )
+        })
+      )
+
+    let before
+    let after
+
+    const changed = await this.updateDistributionConfig(
+      distID,
+      (config) => {
+        before = _.cloneDeep(config)
+        after = config
+        return this.rollBackAssociations(distID, config, _.values(targets))
+      },
+      'because we rolled back Lambda@Edge associations on it'
+    )
+
+    history[distID] = entries.slice(0, -steps)
+
+    if (changed) {
+      await this.invalidateDistribution(distID, before, after)
+    }
+  }
+
+  rollBackAssociations(distID, distConfig, targets) {
+    const behaviors = getCacheBehaviors(distConfig)
+    let changed = false
+
+    targets.forEach((target) => {
+      const beh = _.find(
+        behaviors,
+        (candidate) => (candidate.PathPattern || null) === target.pathPattern
+      )
+      const existing = _.find(_.get(beh, 'LambdaFunctionAssociations.Items'), {
+        EventType: target.eventType
+      })
+      const existingARN = _.get(existing, 'LambdaFunctionARN')
+      const description = `The ${
+        target.eventType
+      } association of cache behavior "${
+        target.pathPattern || '*'
+      }" on distribution "${distID}"`
+
+      if (existingARN === target.arn) {
+        return
+      }
+
+      if (existingARN !== target.currentARN) {
+        throw new Error(
+          `${description} is ${existingARN || 'gone'}, not ${
+            target.currentARN
+          } as deployed. It was changed since, so it can not be rolled back.`
+        )
+      }
+
+      this.serverless.cli.log(
+        `Rolling back ${target.eventType} of cache behavior "${
+          target.pathPattern || '*'
+        }" to ${target.arn} (was ${existingARN})`
+      )
+      existing.LambdaFunctionARN = target.arn
+      changed = true
+    })
+
+    return changed
+  }
+
+  // `invalidate` can be the paths, or an object with the paths and `wait`
+  getInvalidationConfig() {
+    const config = this.getCustomConfig('invalidate')
+
+    if (!config) {
+      return null
+    }
+
+    return _.isPlainObject(config) ? config : { paths: config }
+  }
+
+  /**
+   * With `invalidate`, responses cached with the previous functions are
+   * invalidated once the updated distribution is deployed, for the configured
+   * paths, or with `auto` for the cache behaviors that changed between the
+   * `before` and `after` configs.
+   */
+  async invalidateDistribution(distID, before, after) {
+    const config = this.getInvalidationConfig()
+
+    if (!config) {
+      return
+    }
+
+    // Invalidating before every edge location runs the new functions would
+    // let them cache responses of the old ones again
+    if (!this.shouldWaitForDeployment()) {
+      this.serverless.cli.log(
+        `Not invalidating distribution "${distID}" because we did not wait for it to be deployed`
+      )
+      return
+    }
+
+    const paths =
+      config.paths === 'auto' ? getChangedPaths(before, after) : config.paths
+    const resp = await this.provider.request(
+      'CloudFront',
+      'createInvalidation',
+      {
+        DistributionId: distID,
+        InvalidationBatch: {
+          CallerReference: `${this.provider.naming.getStackName()}-${Date.now()}`,
+          Paths: { Quantity: paths.length, Items: paths }
+        }
+      }
+    )
+    const invalidationID = resp.Invalidation.Id
+
+    this.serverless.cli.log(
+      `Created invalidation "${invalidationID}" on distribution "${distID}" for ${paths.join(
+        ', '
+      )}`
+    )
+
+    if (config.wait) {
+      await this.waitForInvalidation(distID, invalidationID)
+    }
+  }
+
+  async waitForInvalidation(distID, invalidationID) {
+    const maxWaitSeconds = this.getMaxWaitSeconds()
+    const started = Date.now()
+    const getStatus = async () => {
+      const resp = await this.provider.request(
+        'CloudFront',
+        'getInvalidation',
+        {
+          DistributionId: distID,
+          Id: invalidationID
+        }
+      )
+
+      return resp.Invalidation.Status
+    }
+
+    this.serverless.cli.log(
+      `Waiting for invalidation "${invalidationID}" to complete`
+    )
+
+    while ((await getStatus()) !== 'Completed') {
+      if (maxWaitSeconds && Date.now() - started >= maxWaitSeconds * 1000) {
+        throw new Error(
+          `Timed out after ${maxWaitSeconds} seconds waiting for invalidation "${invalidationID}" of distribution "${distID}" to complete`
+        )
+      }
+
+      await this.sleep(INVALIDATION_POLL_INTERVAL_MS)
+    }
+
+    this.serverless.cli.log(`Invalidation "${invalidationID}" is completed`)
+  }
+
+  /**
+   * Fetches the distribution, waiting for it to be deployed if needed, and
+   * passes its config to `modifyConfig`. If that returns true, the modified
+   * config is pushed to CloudFront and we wait for it to be deployed again.
+   * Resolves true if the distribution was updated.
+   */
+  updateDistributionConfig(distID, modifyConfig, reason) {
+    return this.withDistributionLock(distID, () =>
+      this.updateDistributionConfigUnlocked(distID, modifyConfig, reason)
+    )
+  }
+
+  async updateDistributionConfigUnlocked(distID, modifyConfig, reason) {
+    const maxAttempts = this.getCustomConfig(
+      'maxUpdateAttempts',
+      DEFAULT_MAX_UPDATE_ATTEMPTS
+    )
+    const wait = this.shouldWaitForDeployment()
+    let attempt = 1
+    let updated = false
+
+    // If the distribution changes between our get and update, we get a fresh
+    // copy and apply our changes to it again.
+    while (!updated) {
+      let data = await this.provider.request('CloudFront', 'getDistribution', {
+        Id: distID
+      })
+
+      if (wait && data.Distribution.Status !== 'Deployed') {
+        data = await this.waitForDistributionDeployed(distID)
+      }
+
+      const config = data.Distribution.DistributionConfig
+
+      if (!modifyConfig(config)) {
+        return false
+      }
+
+      if (attempt === 1) {
+        this._alreadyWaitingForUpdates.add(distID)
+        this.serverless.cli.log(
+          'Updating distribution "' + distID + '" ' + reason
+        )
+      }
+
+      try {
+        await this.provider.request('CloudFront', 'updateDistribution', {
+          Id: distID,
+          DistributionConfig: config,
+          IfMatch: data.ETag
+        })
+        updated = true
+      } catch (err) {
+        if (!ETAG_CONFLICT_CODES.includes(getErrorCode(err))) {
+          throw err
+        }
+
+        if (attempt >= maxAttempts) {
+          throw new Error(
+            `Distribution "${distID}" kept being modified by someone else, gave up after ${attempt} attempts: ${err.message}`
+          )
+        }
+
+        const delay = UPDATE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1)
+
+        attempt++
+        this.serverless.cli.log(
+          `Distribution "${distID}" was modified by someone else, retrying in ${
+            delay / 1000
+          } seconds (attempt ${attempt} of ${maxAttempts})`
+        )
+        await this.sleep(delay)
+      }
+    }
+
+    if (!wait) {
+      this.serverless.cli.log(
+        'Not waiting for distribution "' + distID + '" to be deployed'
+      )
+      return true
+    }
+
+    await this.waitForDistributionDeployed(distID)
+
+    this.serverless.cli.log('Done updating distribution "' + distID + '"')
+
+    return true
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+  }
+
+  /**
+   * Plans `dists`, and the distributions the functions in
+   * `this._plannedDetachments` would be detached from on a dry run.
+   */
+  async planDistributions(fns, dists) {
+    const detached = this._plannedDetachments
+    const detachedDistIDs =
+      detached && (detached.fnNames.length > 0 || detached.cfFnNames.length > 0)
+        ? await this.findDistributionsAssociatedWith(
+            detached.fnNames,
+            detached.cfFnNames
+          )
+        : []
+    const plannedDists = _.values(dists).concat(
+      _.difference(
+        detachedDistIDs,
+        _.map(dists, 'distributionID')
+      ).map((distID) => ({ distributionID: distID }))
+    )
+    let changeCount = 0
+
+    for (const dist of plannedDists) {
+      const changed = await this.planDistribution(fns, dist)
+      changeCount += changed ? 1 : 0
+    }
+
+    this.serverless.cli.log(
+      `Dry run: ${changeCount} of ${plannedDists.length} distribution(s) would be updated`
+    )
+  }
+
+  /**
+   * Runs the detach and association logic on a copy of the distribution
+   * config and prints the resulting changes per cache behavior. Resolves true
+   * if the distribution would be updated.
+   */
+  async planDistribution(fns, dist) {
+    const distID = dist.distributionID
+    const data = await this.provider.request('CloudFront', 'getDistribution', {
+      Id: distID
+    })
+    const before = data.Distribution.DistributionConfig
+    const after = _.cloneDeep(before)
+    const planned = this._plannedDetachments || { fnNames: [], cfFnNames: [] }
+    const detached = this.removeAssociationsFromConfig(
+      after,
+      planned.fnNames,
+      planned.cfFnNames
+    )
+    const associated = this.modifyDistributionConfigIfNeeded(
+      after,
+      fns[distID] || []
+    )
+    const changed = detached || associated
+    const afterBehaviors = getCacheBehaviors(after)
+
+    this.serverless.cli.consoleLog(
+      `Distribution "${distID}"${changed ? '' : ' (no changes)'}:`
+    )
+
+    getCacheBehaviors(before).forEach((beh, idx) => {
+      const diff = diffAssociations(
+        _.get(beh, 'LambdaFunctionAssociations.Items'),
+        _.get(afterBehaviors[idx], 'LambdaFunctionAssociations.Items'),
+        'LambdaFunctionARN'
+      ).concat(
+        diffAssociations(
+          _.get(beh, 'FunctionAssociations.Items'),
+          _.get(afterBehaviors[idx], 'FunctionAssociations.Items'),
+          'FunctionARN'
+        )
+      )
+
+      this.serverless.cli.consoleLog(
+        `  ${idx === 0 ? 'Default (*)' : beh.PathPattern}`
+      )
+
+      if (diff.length === 0) {
+        this.serverless.cli.consoleLog('    (no associations)')
+      }
 
-        if (fnProps && fnProps.Environment && fnProps.Environment.Variables) {
-          this.serverless.cli.log(
-            `Removing ${
-              Object.keys(fnProps.Environment.Variables).length
-            } environment variables from function "${
-              fn.fnLogicalName
-            }" because Lambda@Edge does not support environment variables`
-          )
+      diff.forEach((entry) => {
+        const arns = _.compact([entry.oldARN, entry.newARN])
 
-          delete fnProps.Environment
-        }
+        this.serverless.cli.consoleLog(
+          `    ${_.padEnd(entry.change, 10)}${entry.eventType}: ${_.uniq(
+            arns
+          ).join(' -> ')}`
+        )
       })
-      .value()
-  }
+    })
 
-  async updateDistributionsAsNecessary(fns, dists) {
-    // Need to do this sequentially otherwise AWS might throw an error like:
-    //
-    // ServerlessError: The request failed because it didn't meet
-    // the preconditions in one or more request-header fields.
-    const distKeys = Object.keys(dists)
-    for (const distKey of distKeys) {
-      await this.updateDistributionAsNecessary(fns, dists[distKey])
-    }
+    return changed
   }
 
-  async waitForDistributionDeployed(distPhysicalID) {
-    let dotPrinted = false
-    let running = true
+  /**
+   * Describes the associations of each cache behavior of a distribution, and
+   * how they compare with `fns`, the associations the deployed stack expects.
+   * The distribution drifted if any association is not `current` or
+   * `unmanaged` (see `describeAssociations`).
+   */
+  async getDistributionInfo(distID, fns) {
+    const data = await this.provider.request('CloudFront', 'getDistribution', {
+      Id: distID
+    })
+    const behaviors = getCacheBehaviors(
+      data.Distribution.DistributionConfig
+    ).map((beh, idx) => {
+      const expected = this.getFunctionsForBehavior(
+        fns,
+        idx === 0 ? null : normalizePathPattern(beh.PathPattern)
+      )
+      const [cfFns, lambdaFns] = _.partition(expected, 'cloudFrontFunction')
 
-    if (this._distIdIsWaiting) {
-      return
-    }
+      return {
+        pathPattern: beh.PathPattern || null,
+        associations: this.describeAssociations(
+          _.get(beh, 'LambdaFunctionAssociations.Items'),
+          lambdaFns,
+          'LambdaFunctionARN'
+        ).concat(
+          this.describeAssociations(
+            _.get(beh, 'FunctionAssociations.Items'),
+            cfFns,
+            'FunctionARN'
+          )
+        )
+      }
+    })
+    const drift = _.some(behaviors, (beh) =>
+      _.some(beh.associations, (assoc) =>
+        ['outdated', 'missing', 'stale'].includes(assoc.status)
+      )
+    )
 
-    const cloudfront = new this.provider.sdk.CloudFront(
-      this.provider.getCredentials()
+    return { distributionID: distID, drift, behaviors }
+  }
+
+  /**
+   * Compares the associations of a cache behavior with the `expected`
+   * functions, one entry per event type with one of these statuses:
+   *
+   * - current: associated with the expected function version
+   * - outdated: associated with another function or version
+   * - missing: expected but not associated
+   * - stale: associated with a function of the service that is not expected
+   * - unmanaged: associated with a function of another service
+   */
+  describeAssociations(items, expected, arnKey) {
+    const eventTypes = _.uniq(
+      _.map(items, 'EventType').concat(_.map(expected, 'eventType'))
     )
-    this._distIdIsWaiting = distPhysicalID
 
-    let timeoutId
-    const dotPrinter = () => {
-      clearTimeout(timeoutId)
-      if (running) {
-        if (!dotPrinted) {
-          this.serverless.cli.log(
-            `Waiting for CloudFront distribution "${distPhysicalID}" to be deployed`
-          )
-          this.serverless.cli.log('This can take awhile.')
-          dotPrinted = true
-        }
-        this.serverless.cli.printDot()
-        timeoutId = setTimeout(dotPrinter, 2000)
-      }
-    }
+    return eventTypes.map((eventType) => {
+      const existing = _.find(items, { EventType: eventType })
+      const fn = _.find(expected, { eventType })
+      const arn = existing ? existing[arnKey] : null
+      let status
 
-    timeoutId = setTimeout(dotPrinter, 1000)
+      if (!existing) {
+        status = 'missing'
+      } else if (!fn) {
+        status = this.isOwnedFunctionARN(arn) ? 'stale' : 'unmanaged'
+      } else if (
+        arn === fn.fnARN &&
+        !!existing.IncludeBody === !!fn.includeBody
+      ) {
+        status = 'current'
+      } else {
+        status = 'outdated'
+      }
 
-    return new Promise((resolve, reject) => {
-      cloudfront.waitFor(
-        'distributionDeployed',
-        { Id: distPhysicalID },
-        (err, data) => {
-          clearTimeout(timeoutId)
-          if (err) {
-            return reject(err)
-          }
-          running = false
-          if (dotPrinted) {
-            // we have printed a dot, so clear the line
-            this.serverless.cli.consoleLog('')
-          }
-          this.serverless.cli.log(
-            `Distribution "${distPhysicalID}" is now in "${data.Distribution.Status}" state`
-          )
-          resolve(data)
-        }
+      return Object.assign(
+        { eventType, functionARN: arn },
+        arn ? describeFunctionARN(arn) : { functionName: null, version: null },
+        { expectedARN: fn ? fn.fnARN : null, status }
       )
     })
   }
 
-  async updateDistributionAsNecessary(fns, dist) {
-    const distID = dist.distributionID
+  printDistributionInfo(info) {
+    this.serverless.cli.consoleLog(
+      `Distribution "${info.distributionID}"${info.drift ? ' (drifted)' : ''}:`
+    )
 
-    let data = await this.provider.request('CloudFront', 'getDistribution', {
-      Id: distID
-    })
+    info.behaviors.forEach((beh) => {
+      this.serverless.cli.consoleLog(`  ${beh.pathPattern || 'Default (*)'}`)
 
-    if (data.Distribution.Status !== 'Deployed') {
-      data = await this.waitForDistributionDeployed(distID)
-    }
+      if (beh.associations.length === 0) {
+        this.serverless.cli.consoleLog('    (no associations)')
+      }
 
-    const config = data.Distribution.DistributionConfig
-    const changed = this.modifyDistributionConfigIfNeeded(config, fns[distID])
-    const updateParams = {
-      Id: distID,
-      DistributionConfig: config,
-      IfMatch: data.ETag
-    }
+      beh.associations.forEach((assoc) => {
+        let arns = assoc.functionARN
 
-    if (changed) {
-      this._alreadyWaitingForUpdates.add(distID)
-      this.serverless.cli.log(
-        'Updating distribution "' +
-          distID +
-          '" because we updated Lambda@Edge associations on it'
-      )
-      return this.provider
-        .request('CloudFront', 'updateDistribution', updateParams)
-        .then(() => this.waitForDistributionDeployed(distID))
-        .then(() => {
-          this.serverless.cli.log('Done updating distribution "' + distID + '"')
-        })
-    }
+        if (assoc.status === 'missing') {
+          arns = `expected ${assoc.expectedARN}`
+        } else if (assoc.expectedARN === assoc.functionARN) {
+          // Only IncludeBody differs
+          arns += assoc.status === 'outdated' ? ', IncludeBody differs' : ''
+        } else if (assoc.status === 'outdated') {
+          arns += `, expected ${assoc.expectedARN}`
+        }
 
-    this.serverless.cli.log(
-      'The distribution is already configured with the current versions of each Lambda@Edge function it needs'
-    )
+        this.serverless.cli.consoleLog(
+          `    ${_.padEnd(assoc.status, 10)}${assoc.eventType}: ${arns}`
+        )
+      })
+    })
   }
 
-  modifyDistributionConfigIfNeeded(distConfig, fns) {
+  /**
+   * Associates `fns` to the cache behaviors of `distConfig`. Returns true if
+   * it changed, and adds the Lambda@Edge associations that were replaced to
+   * `replaced` (see `loadHistory`).
+   */
+  modifyDistributionConfigIfNeeded(distConfig, fns, replaced = []) {
+    const matchedPatterns = new Set()
+
     let changed = this.associateFunctionsToBehavior(
       distConfig.DefaultCacheBehavior,
-      fns
+      this.getFunctionsForBehavior(fns, null),
+      replaced
     )
 
     _.each(distConfig.CacheBehaviors.Items, (beh) => {
-      const behaviorChanged = this.associateFunctionsToBehavior(beh, fns)
+      const pathPattern = normalizePathPattern(beh.PathPattern)
+      const behaviorFns = this.getFunctionsForBehavior(fns, pathPattern)
+
+      matchedPatterns.add(pathPattern)
+
+      const behaviorChanged = this.associateFunctionsToBehavior(
+        beh,
+        behaviorFns,
+        replaced
+      )
 
       changed = changed || behaviorChanged
     })
 
+    fns.forEach((fn) => {
+      _.each(fn.pathPatterns, (pathPattern) => {
+        if (!matchedPatterns.has(normalizePathPattern(pathPattern))) {
+          throw new Error(
+            `Path pattern "${pathPattern}" for ${fn.fnARN} does not match any cache behavior on the distribution`
+          )
+        }
+      })
+    })
+
     return changed
   }
 
-  associateFunctionsToBehavior(beh, fns) {
+  /**
+   * Returns the functions that should be associated to the cache behavior with
+   * the given (normalized) path pattern, or to the default cache behavior when
+   * the path pattern is null. Functions without `pathPatterns` or
+   * `defaultBehavior` are associated to every behavior.
+   */
+  getFunctionsForBehavior(fns, pathPattern) {
+    return fns.filter((fn) => {
+      if (!fn.pathPatterns && !fn.defaultBehavior) {
+        return true
+      }
+
+      if (pathPattern === null) {
+        return !!fn.defaultBehavior
+      }
+
+      return _.some(
+        fn.pathPatterns,
+        (pattern) => normalizePathPattern(pattern) === pathPattern
+      )
+    })
+  }
+
+  associateFunctionsToBehavior(beh, fns, replaced = []) {
+    const [cfFns, lambdaFns] = _.partition(fns, 'cloudFrontFunction')
+    const cfChanged = this.associateCloudFrontFunctionsToBehavior(beh, cfFns)
     let changed = false
 
-    fns.forEach((fn) => {
+    lambdaFns.forEach((fn) => {
       const existing = _.find(beh.LambdaFunctionAssociations.Items, {
         EventType: fn.eventType
       })
+      const includeBody = !!fn.includeBody
 
       if (!existing) {
         this.serverless.cli.log(
@@ -332,10 +3801,15 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
         )
         beh.LambdaFunctionAssociations.Items.push({
           EventType: fn.eventType,
-          LambdaFunctionARN: fn.fnARN
+          LambdaFunctionARN: fn.fnARN,
+          IncludeBody: includeBody
         })
         changed = true
-      } else if (existing.LambdaFunctionARN !== fn.fnARN) {
+        return
+      }
+
+      if (existing.LambdaFunctionARN !== fn.fnARN) {
+        this.assertCanReplaceAssociation(beh, fn, existing.LambdaFunctionARN)
         this.serverless.cli.log(
           'Updating ' +
             fn.eventType +
@@ -345,9 +3819,28 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
             existing.LambdaFunctionARN +
             ')'
         )
+        replaced.push({
+          pathPattern: beh.PathPattern || null,
+          eventType: fn.eventType,
+          previousARN: existing.LambdaFunctionARN,
+          newARN: fn.fnARN
+        })
         existing.LambdaFunctionARN = fn.fnARN
         changed = true
       }
+
+      if (!!existing.IncludeBody !== includeBody) {
+        this.serverless.cli.log(
+          'Updating ' +
+            fn.eventType +
+            ' to set IncludeBody to ' +
+            includeBody +
+            ' for ' +
+            fn.fnARN
+        )
+        existing.IncludeBody = includeBody
+        changed = true
+      }
     })
 
     if (changed) {
@@ -355,9 +3848,93 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
         beh.LambdaFunctionAssociations.Items.length
     }
 
+    return changed || cfChanged
+  }
+
+  associateCloudFrontFunctionsToBehavior(beh, fns) {
+    let changed = false
+
+    if (fns.length === 0) {
+      return changed
+    }
+
+    beh.FunctionAssociations = beh.FunctionAssociations || { Quantity: 0 }
+    beh.FunctionAssociations.Items = beh.FunctionAssociations.Items || []
+
+    fns.forEach((fn) => {
+      const existing = _.find(beh.FunctionAssociations.Items, {
+        EventType: fn.eventType
+      })
+
+      if (!existing) {
+        this.serverless.cli.log(
+          'Adding new CloudFront Function association for ' +
+            fn.eventType +
+            ': ' +
+            fn.fnARN
+        )
+        beh.FunctionAssociations.Items.push({
+          EventType: fn.eventType,
+          FunctionARN: fn.fnARN
+        })
+        changed = true
+      } else if (existing.FunctionARN !== fn.fnARN) {
+        this.assertCanReplaceAssociation(beh, fn, existing.FunctionARN)
+        this.serverless.cli.log(
+          'Updating ' +
+            fn.eventType +
+            ' to use CloudFront Function ' +
+            fn.fnARN +
+            ' (was ' +
+            existing.FunctionARN +
+            ')'
+        )
+        existing.FunctionARN = fn.fnARN
+        changed = true
+      }
+    })
+
+    if (changed) {
+      beh.FunctionAssociations.Quantity = beh.FunctionAssociations.Items.length
+    }
+
     return changed
   }
 
+  /**
+   * Associations belong to this service when their function does: a Lambda
+   * function of the service's stack (any version), or a CloudFront Function it
+   * deploys. Anything else on a shared distribution belongs to someone else.
+   */
+  async loadOwnedFunctionNames() {
+    const fnNames = await this.getStackFunctionNames(() => true)
+    const cfFnNames = this._pendingAssociations
+      .filter((pending) => pending.cloudFrontFunction)
+      .map((pending) => pending.cloudFrontFunction.name)
+
+    this._ownedFunctionNames = new Set(fnNames.concat(cfFnNames))
+  }
+
+  isOwnedFunctionARN(arn) {
+    const fnName = arn.startsWith('arn:aws:cloudfront:')
+      ? getCloudFrontFunctionNameFromARN(arn)
+      : getFunctionNameFromARN(arn)
+
+    return this._ownedFunctionNames.has(fnName)
+  }
+
+  assertCanReplaceAssociation(beh, fn, existingARN) {
+    if (fn.force || this.isOwnedFunctionARN(existingARN)) {
+      return
+    }
+
+    throw new Error(
+      `The ${fn.eventType} association of cache behavior "${
+        beh.PathPattern || '*'
+      }" belongs to another service (${existingARN}). Set "force: true" on the association to replace it.`
+    )
+  }
+
   getFunctionsToAssociate() {
     const stackName = this.provider.naming.getStackName()
 
@@ -375,6 +3952,25 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
         }
 
         return this._pendingAssociations.reduce((memo, pending) => {
+          if (!memo[pending.distributionID]) {
+            memo[pending.distributionID] = []
+          }
+
+          if (pending.cloudFrontFunction) {
+            memo[pending.distributionID].push({
+              eventType: pending.eventType,
+              fnARN: this._cloudFrontFunctionARNs[
+                pending.cloudFrontFunction.name
+              ],
+              pathPatterns: pending.pathPatterns,
+              defaultBehavior: pending.defaultBehavior,
+              force: pending.force,
+              cloudFrontFunction: true
+            })
+
+            return memo
+          }
+
           const outputName = pending.fnCurrentVersionOutputName
           const output = stack.Outputs.find(
             ({ OutputKey }) => OutputKey === outputName
@@ -386,13 +3982,13 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
             )
           }
 
-          if (!memo[pending.distributionID]) {
-            memo[pending.distributionID] = []
-          }
-
           memo[pending.distributionID].push({
             eventType: pending.eventType,
-            fnARN: output.OutputValue
+            fnARN: output.OutputValue,
+            pathPatterns: pending.pathPatterns,
+            defaultBehavior: pending.defaultBehavior,
+            force: pending.force,
+            includeBody: pending.includeBody
           })
 
           return memo
@@ -400,10 +3996,269 @@ class ServerlessPluginExistingCloudFrontLambdaEdge {
       })
   }
 
+  /**
+   * Resolves the physical names of the Lambda functions in the deployed stack
+   * whose logical ID passes `filter`, or an empty array if the stack does not
+   * exist yet.
+   */
+  async getStackFunctionNames(filter) {
+    const stackName = this.provider.naming.getStackName()
+    const fnNames = []
+    let nextToken
+
+    do {
+      let resp
+
+      try {
+        resp = await this.provider.request(
+          'CloudFormation',
+          'listStackResources',
+          { StackName: stackName, NextToken: nextToken }
+        )
+      } catch (err) {
+        if (/does not exist/.test(err.message)) {
+          return []
+        }
+        throw err
+      }
+
+      resp.StackResourceSummaries.forEach((res) => {
+        if (
+          res.ResourceType === 'AWS::Lambda::Function' &&
+          res.PhysicalResourceId &&
+          filter(res.LogicalResourceId)
+        ) {
+          fnNames.push(res.PhysicalResourceId)
+        }
+      })
+
+      nextToken = resp.NextToken
+    } while (nextToken)
+
+    return fnNames
+  }
+
+  async listDistributionSummaries() {
+    const summaries = []
+    let marker
+
+    do {
+      const resp = await this.provider.request(
+        'CloudFront',
+        'listDistributions',
+        { Marker: marker }
+      )
+      const list = resp.DistributionList
+
+      summaries.push(...(list.Items || []))
+      marker = list.IsTruncated ? list.NextMarker : null
+    } while (marker)
+
+    return summaries
+  }
+
+  /**
+   * Resolves the IDs of every distribution that has at least one Lambda@Edge
+   * association with one of the given functions.
+   */
+  async findDistributionsAssociatedWith(fnNames, cfFnNames = []) {
+    const summaries = await this.listDistributionSummaries()
+
+    return summaries
+      .filter((summary) =>
+        _.some(
+          getCacheBehaviors(summary),
+          (beh) =>
+            _.some(_.get(beh, 'LambdaFunctionAssociations.Items'), (assoc) =>
+              fnNames.includes(getFunctionNameFromARN(assoc.LambdaFunctionARN))
+            ) ||
+            _.some(_.get(beh, 'FunctionAssociations.Items'), (assoc) =>
+              cfFnNames.includes(
+                getCloudFrontFunctionNameFromARN(assoc.FunctionARN)
+              )
+            )
+        )
+      )
+      .map((summary) => summary.Id)
+  }
+
+  /**
+   * Sets the `distributionID` of pending associations that use
+   * `distributionAlias`, `distributionTag` or `distributionExport` instead.
+   */
+  async resolveDistributionIDs() {
+    const resolved = {}
+
+    for (const pending of this._pendingAssociations) {
+      if (!pending.distributionID) {
+        const lookup = JSON.stringify(_.pick(pending, DISTRIBUTION_LOOKUP_KEYS))
+
+        if (!resolved[lookup]) {
+          resolved[lookup] = this.resolveDistributionID(pending)
+        }
+
+        pending.distributionID = await resolved[lookup]
+      }
+    }
+  }
+
+  resolveDistributionID(pending) {
+    if (pending.distributionAlias) {
+      return this.findDistributionByAlias(pending.distributionAlias)
+    }
+
+    if (pending.distributionTag) {
+      return this.findDistributionByTags(pending.distributionTag)
+    }
+
+    return this.getExportValue(pending.distributionExport)
+  }
+
+  async findDistributionByAlias(alias) {
+    const summaries = await this.listDistributionSummaries()
+    const distIDs = summaries
+      .filter((summary) =>
+        _.some(
+          _.get(summary, 'Aliases.Items'),
+          (item) => item.toLowerCase() === alias.toLowerCase()
+        )
+      )
+      .map((summary) => summary.Id)
+
+    return pickOneDistribution(distIDs, `alias "${alias}"`)
+  }
+
+  async findDistributionByTags(tags) {
+    const distIDs = []
+    let paginationToken
+
+    do {
+      // CloudFront is a global service, its resources are tagged in us-east-1
+      const resp = await this.provider.request(
+        'ResourceGroupsTaggingAPI',
+        'getResources',
+        {
+          ResourceTypeFilters: ['cloudfront:distribution'],
+          TagFilters: _.map(tags, (value, key) => ({
+            Key: key,
+            Values: [value]
+          })),
+          PaginationToken: paginationToken
+        },
+        { region: 'us-east-1' }
+      )
+
+      // arn:aws:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE
+      resp.ResourceTagMappingList.forEach((mapping) => {
+        distIDs.push(mapping.ResourceARN.split('/')[1])
+      })
+
+      paginationToken = resp.PaginationToken
+    } while (paginationToken)
+
+    return pickOneDistribution(
+      distIDs,
+      `tags ${_.map(tags, (value, key) => `${key}=${value}`).join(', ')}`
+    )
+  }
+
+  async getExportValue(exportName) {
+    let nextToken
+
+    do {
+      const resp = await this.provider.request(
+        'CloudFormation',
+        'listExports',
+        { NextToken: nextToken }
+      )
+      const found = _.find(resp.Exports, { Name: exportName })
+
+      if (found) {
+        return found.Value
+      }
+
+      nextToken = resp.NextToken
+    } while (nextToken)
+
+    throw new Error(`No CloudFormation export named "${exportName}"`)
+  }
+
+  async detachFunctionsFromDistributions(fnNames, cfFnNames = []) {
+    if (fnNames.length === 0 && cfFnNames.length === 0) {
+      return
+    }
+
+    const distIDs = await this.findDistributionsAssociatedWith(
+      fnNames,
+      cfFnNames
+    )
+
+    return this.forEachDistribution(distIDs, (distID) =>
+      this.updateDistributionConfig(
+        distID,
+        (config) =>
+          this.removeAssociationsFromConfig(config, fnNames, cfFnNames),
+        'to remove Lambda@Edge associations from it'
+      )
+    )
+  }
+
+  /**
+   * Removes the associations to the Lambda functions `fnNames` and to the
+   * CloudFront Functions `cfFnNames` from every cache behavior of
+   * `distConfig`. Returns true if any was removed.
+   */
+  removeAssociationsFromConfig(distConfig, fnNames, cfFnNames = []) {
+    const removeFrom = (assocs, arnKey, names, getName, description) => {
+      const kept = _.filter(_.get(assocs, 'Items'), (assoc) => {
+        if (!names.includes(getName(assoc[arnKey]))) {
+          return true
+        }
+
+        this.serverless.cli.log(
+          `Removing ${description} association for ${assoc.EventType}: ${assoc[arnKey]}`
+        )
+        return false
+      })
+
+      if (kept.length === _.size(_.get(assocs, 'Items'))) {
+        return false
+      }
+
+      assocs.Items = kept
+      assocs.Quantity = kept.length
+      return true
+    }
+    let changed = false
+
+    getCacheBehaviors(distConfig).forEach((beh) => {
+      const lambdaChanged = removeFrom(
+        beh.LambdaFunctionAssociations,
+        'LambdaFunctionARN',
+        fnNames,
+        getFunctionNameFromARN,
+        'Lambda@Edge'
+      )
+      const cfChanged = removeFrom(
+        beh.FunctionAssociations,
+        'FunctionARN',
+        cfFnNames,
+        getCloudFrontFunctionNameFromARN,
+        'CloudFront Function'
+      )
+
+      changed = changed || lambdaChanged || cfChanged
+    })
+
+    return changed
+  }
+
   getDistributionPhysicalIDs() {
+    // Keyed by distribution ID so a distribution shared by several
+    // associations is only updated once
     return this._pendingAssociations.reduce((memo, pending) => {
       if (pending.distributionID) {
-        memo[pending.fnLogicalName] = {
+        memo[pending.distributionID] = {
           distributionID: pending.distributionID
         }
       }
@@ -0,0 +1,286 @@
+const {
+  buildEvent,
+  checkResult,
+  toCloudFrontHeaders
+} = require('../edge-events.js')
+
+function cloneRequest(event) {
+  return JSON.parse(JSON.stringify(event.Records[0].cf.request))
+}
+
+function cloneResponse(event) {
+  return JSON.parse(JSON.stringify(event.Records[0].cf.response))
+}
+
+describe('edge-events', () => {
+  describe('toCloudFrontHeaders', () => {
+    it('converts an object', () => {
+      expect(toCloudFrontHeaders({ 'X-Custom': 'a', Accept: 1 })).toEqual({
+        'x-custom': [{ key: 'X-Custom', value: 'a' }],
+        accept: [{ key: 'Accept', value: '1' }]
+      })
+    })
+
+    it('converts a list of name:value strings', () => {
+      expect(
+        toCloudFrontHeaders(['Cookie: a=1', 'cookie:b=2', 'X-Url: http://x'])
+      ).toEqual({
+        cookie: [
+          { key: 'Cookie', value: 'a=1' },
+          { key: 'cookie', value: 'b=2' }
+        ],
+        'x-url': [{ key: 'X-Url', value: 'http://x' }]
+      })
+    })
+
+    it('rejects headers without a name', () => {
+      expect(() => toCloudFrontHeaders(['nope'])).toThrow(
+        'Header "nope" must look like "name:value"'
+      )
+    })
+  })
+
+  describe('buildEvent', () => {
+    it('builds a viewer-request event', () => {
+      const event = buildEvent('viewer-request', {
+        uri: '/foo',
+        method: 'post',
+        headers: ['Accept:text/html']
+      })
+
+      expect(event).toEqual({
+        Records: [
+          {
+            cf: {
+              config: {
+                distributionDomainName: 'd111111abcdef8.cloudfront.net',
+                distributionId: 'EDFDVBD6EXAMPLE',
+                eventType: 'viewer-request',
+                requestId: expect.any(String)
+              },
+              request: {
+                clientIp: '203.0.113.178',
+                headers: {
+                  host: [
+                    { key: 'Host', value: 'd111111abcdef8.cloudfront.net' }
+                  ],
+                  'user-agent': [{ key: 'User-Agent', value: 'curl/7.66.0' }],
+                  accept: [{ key: 'Accept', value: 'text/html' }]
+                },
+                method: 'POST',
+                querystring: '',
+                uri: '/foo'
+              }
+            }
+          }
+        ]
+      })
+    })
+
+    it('adds the origin to origin events', () => {
+      const cf = buildEvent('origin-request', {}).Records[0].cf
+
+      expect(cf.request.origin.custom.domainName).toBe('example.org')
+      expect(cf.request.headers.via).toEqual([
+        { key: 'Via', value: '2.0 CloudFront' }
+      ])
+    })
+
+    it('adds the body when includeBody is set', () => {
+      const cf = buildEvent('viewer-request', {
+        includeBody: true,
+        body: 'a=1'
+      }).Records[0].cf
+
+      expect(cf.request.body).toEqual({
+        action: 'read-only',
+        data: 'YT0x',
+        encoding: 'base64',
+        inputTruncated: false
+      })
+    })
+
+    it('adds the response to response events', () => {
+      const cf = buildEvent('origin-response', {
+        status: 404,
+        responseHeaders: { 'Cache-Control': 'no-cache' }
+      }).Records[0].cf
+
+      expect(cf.response).toEqual({
+        headers: {
+          'content-type': [{ key: 'Content-Type', value: 'text/html' }],
+          'cache-control': [{ key: 'Cache-Control', value: 'no-cache' }]
+        },
+        status: '404',
+        statusDescription: 'OK'
+      })
+    })
+  })
+
+  describe('checkResult', () => {
+    it('accepts an unchanged request', () => {
+      const event = buildEvent('viewer-request')
+
+      expect(checkResult('viewer-request', event, cloneRequest(event))).toEqual(
+        []
+      )
+    })
+
+    it('requires an object', () => {
+      expect(
+        checkResult('viewer-request', buildEvent('viewer-request'), undefined)
+      ).toEqual([
+        'the function must return a request or a response, it returned undefined'
+      ])
+      expect(
+        checkResult('origin-response', buildEvent('origin-response'), 'ok')
+      ).toEqual(['the function must return a response, it returned "ok"'])
+    })
+
+    it('requires a response for response events', () => {
+      const event = buildEvent('origin-response')
+
+      expect(
+        checkResult('origin-response', event, cloneRequest(event))
+      ).toEqual(['the function must return a response'])
+    })
+
+    it('allows uri changes but not method or clientIp changes', () => {
+      const event = buildEvent('viewer-request')
+      const request = cloneRequest(event)
+
+      request.uri = '/index.html'
+      request.method = 'PUT'
+      request.clientIp = '127.0.0.1'
+
+      expect(checkResult('viewer-request', event, request)).toEqual([
+        'the clientIp of the request is read-only',
+        'the method of the request is read-only'
+      ])
+    })
+
+    it('requires the uri to start with a slash', () => {
+      const event = buildEvent('origin-request')
+      const request = cloneRequest(event)
+
+      request.uri = 'index.html'
+
+      expect(checkResult('origin-request', event, request)).toEqual([
+        'the uri "index.html" must start with "/"'
+      ])
+    })
+
+    it('only allows origin changes in origin-request events', () => {
+      const event = buildEvent('origin-request')
+      const request = cloneRequest(event)
+
+      request.origin.custom.domainName = 'other.example.org'
+      expect(checkResult('origin-request', event, request)).toEqual([])
+
+      const viewerEvent = buildEvent('viewer-request')
+      const viewerRequest = cloneRequest(viewerEvent)
+
+      viewerRequest.origin = request.origin
+      expect(
+        checkResult('viewer-request', viewerEvent, viewerRequest)
+      ).toEqual(['the origin can only be changed in origin-request events'])
+    })
+
+    it('checks read-only and disallowed headers', () => {
+      const event = buildEvent('viewer-request')
+      const request = cloneRequest(event)
+
+      request.headers.host = [{ key: 'Host', value: 'example.org' }]
+      request.headers['x-cache'] = [{ key: 'X-Cache', value: 'Hit' }]
+      request.headers['x-edge-location'] = [
+        { key: 'X-Edge-Location', value: 'a' }
+      ]
+      request.headers['x-custom'] = [{ key: 'X-Other', value: 'a' }]
+
+      expect(checkResult('viewer-request', event, request)).toEqual([
+        'header "host" is read-only',
+        'header "x-cache" can not be added or changed',
+        'header "x-edge-location" can not be added or changed',
+        'header "x-custom" has the key "X-Other", it must only differ in case'
+      ])
+    })
+
+    it('checks generated responses', () => {
+      const event = buildEvent('viewer-request')
+
+      expect(
+        checkResult('viewer-request', event, {
+          status: '302',
+          headers: {
+            location: [{ key: 'Location', value: 'https://example.org/' }]
+          }
+        })
+      ).toEqual([])
+      expect(
+        checkResult('viewer-request', event, {
+          status: 'nope',
+          body: 'x'.repeat(40 * 1024 + 1)
+        })
+      ).toEqual([
+        'status "nope" is not a valid HTTP status',
+        'the body of the response is larger than the 40 KB allowed in viewer-request events'
+      ])
+      expect(
+        checkResult('origin-request', event, {
+          status: 200,
+          body: Buffer.alloc(40 * 1024 + 1).toString('base64'),
+          bodyEncoding: 'base64'
+        })
+      ).toEqual([])
+    })
+
+    it('only allows body changes when includeBody is set', () => {
+      const event = buildEvent('viewer-request')
+      const request = cloneRequest(event)
+
+      request.body = { action: 'replace', data: 'a', encoding: 'text' }
+      expect(checkResult('viewer-request', event, request)).toEqual([
+        'the body can only be changed when includeBody is set'
+      ])
+
+      const bodyEvent = buildEvent('viewer-request', { includeBody: true })
+      const bodyRequest = cloneRequest(bodyEvent)
+
+      bodyRequest.body = {
+        action: 'replace',
+        data: 'x'.repeat(40 * 1024 + 1),
+        encoding: 'text'
+      }
+      expect(checkResult('viewer-request', bodyEvent, bodyRequest)).toEqual([
+        'the body of the request is larger than the 40 KB allowed in viewer-request events'
+      ])
+    })
+
+    it('checks responses of response events', () => {
+      const event = buildEvent('viewer-response')
+      const response = cloneResponse(event)
+
+      response.status = 500
+      response.body = 'x'.repeat(40 * 1024 + 1)
+      response.headers['content-length'] = [
+        { key: 'Content-Length', value: '1' }
+      ]
+      response.headers['set-cookie'] = [{ key: 'Set-Cookie', value: 'a=1' }]
+
+      expect(checkResult('viewer-response', event, response)).toEqual([
+        'the status is read-only in viewer-response events',
+        'the body of the response is larger than the 40 KB allowed in viewer-response events',
+        'header "content-length" is read-only'
+      ])
+    })
+
+    it('allows status changes in origin-response events', () => {
+      const event = buildEvent('origin-response')
+      const response = cloneResponse(event)
+
+      response.status = '404'
+
+      expect(checkResult('origin-response', event, response)).toEqual([])
+    })
+  })
+})
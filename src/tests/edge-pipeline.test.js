@@ -0,0 +1,330 @@
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { fetchFromOrigin, simulate } = require('../edge-pipeline.js')
+
+describe('edge-pipeline', () => {
+  let originDir
+
+  beforeEach(() => {
+    originDir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-origin-'))
+    fs.mkdirSync(path.join(originDir, 'blog'))
+    fs.writeFileSync(
+      path.join(originDir, 'blog', 'index.html'),
+      '<h1>Blog</h1>'
+    )
+    fs.writeFileSync(path.join(originDir, 'app.js'), 'alert(1)')
+  })
+
+  afterEach(() => {
+    fs.unlinkSync(path.join(originDir, 'blog', 'index.html'))
+    fs.unlinkSync(path.join(originDir, 'app.js'))
+    fs.rmdirSync(path.join(originDir, 'blog'))
+    fs.rmdirSync(originDir)
+  })
+
+  describe('fetchFromOrigin', () => {
+    it('serves files from a directory', async () => {
+      await expect(
+        fetchFromOrigin(originDir, { uri: '/blog/' })
+      ).resolves.toEqual({
+        response: {
+          headers: {
+            'content-type': [{ key: 'Content-Type', value: 'text/html' }]
+          },
+          status: '200',
+          statusDescription: 'OK'
+        },
+        body: '<h1>Blog</h1>'
+      })
+
+      const js = await fetchFromOrigin(originDir, { uri: '/app.js' })
+      expect(js.response.headers['content-type'][0].value).toBe(
+        'application/javascript'
+      )
+    })
+
+    it('responds 404 for missing files and directories', async () => {
+      const missing = await fetchFromOrigin(originDir, { uri: '/nope.html' })
+      const dir = await fetchFromOrigin(originDir, { uri: '/blog' })
+
+      expect(missing.response.status).toBe('404')
+      expect(missing.body).toBe('Not Found')
+      expect(dir.response.status).toBe('404')
+    })
+
+    it('does not serve files outside of the directory', async () => {
+      const res = await fetchFromOrigin(originDir, { uri: '/../../etc/hosts' })
+
+      expect(res.response.status).toBe('403')
+    })
+
+    it('fetches from an HTTP server', async () => {
+      const server = http.createServer((req, res) => {
+        res.setHeader(
+          'X-Seen',
+          `${req.method} ${req.url} ${req.headers.accept}`
+        )
+        res.end('hello')
+      })
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const res = await fetchFromOrigin(
+          `http://127.0.0.1:${server.address().port}`,
+          {
+            uri: '/foo',
+            querystring: 'a=1',
+            method: 'GET',
+            headers: {
+              accept: [{ key: 'Accept', value: 'text/html' }],
+              host: [{ key: 'Host', value: 'd111111abcdef8.cloudfront.net' }]
+            }
+          }
+        )
+
+        expect(res.response.status).toBe('200')
+        expect(res.response.headers['x-seen']).toEqual([
+          { key: 'X-Seen', value: 'GET /foo?a=1 text/html' }
+        ])
+        expect(res.body).toBe('hello')
+      } finally {
+        await new Promise((resolve) => server.close(resolve))
+      }
+    })
+
+    it('sends the request body to an HTTP server', async () => {
+      const server = http.createServer((req, res) => {
+        const chunks = []
+
+        req.on('data', (chunk) => chunks.push(chunk))
+        req.on('end', () => res.end(Buffer.concat(chunks)))
+      })
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const origin = `http://127.0.0.1:${server.address().port}`
+        const base64 = await fetchFromOrigin(origin, {
+          uri: '/form',
+          method: 'POST',
+          headers: {},
+          body: { data: 'YT0x', encoding: 'base64' }
+        })
+        const replaced = await fetchFromOrigin(origin, {
+          uri: '/form',
+          method: 'POST',
+          headers: {},
+          body: { action: 'replace', data: 'b=2', encoding: 'text' }
+        })
+
+        expect(base64.body).toBe('a=1')
+        expect(replaced.body).toBe('b=2')
+      } finally {
+        await new Promise((resolve) => server.close(resolve))
+      }
+    })
+
+    it('gives up on an HTTP server that does not respond', async () => {
+      const server = http.createServer(() => {})
+      const setTimeout = jest
+        .spyOn(http.ClientRequest.prototype, 'setTimeout')
+        .mockImplementation(function (ms, callback) {
+          process.nextTick(callback)
+          return this
+        })
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const origin = `http://127.0.0.1:${server.address().port}`
+
+        await expect(
+          fetchFromOrigin(origin, { uri: '/', method: 'GET', headers: {} })
+        ).rejects.toThrow(`${origin}/ timed out after 10 seconds`)
+        expect(setTimeout).toHaveBeenCalledWith(10000, expect.any(Function))
+      } finally {
+        setTimeout.mockRestore()
+        await new Promise((resolve) => server.close(resolve))
+      }
+    })
+
+    it('rejects when the HTTP server can not be reached', async () => {
+      const server = http.createServer()
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      const port = server.address().port
+      await new Promise((resolve) => server.close(resolve))
+
+      await expect(
+        fetchFromOrigin(`http://127.0.0.1:${port}`, {
+          uri: '/',
+          method: 'GET',
+          headers: {}
+        })
+      ).rejects.toThrow()
+    })
+  })
+
+  describe('simulate', () => {
+    let handlers
+    let stages
+
+    function run(request) {
+      return simulate({
+        functions: {
+          'viewer-request': { name: 'auth' },
+          'origin-request': { name: 'rewrite', includeBody: true },
+          'origin-response': { name: 'headers' },
+          'viewer-response': { name: 'cookies' }
+        },
+        request,
+        origin: originDir,
+        invoke: (name, event) => handlers[name](event.Records[0].cf),
+        report: (stage, data) => stages.push([stage, data])
+      })
+    }
+
+    beforeEach(() => {
+      stages = []
+      handlers = {
+        auth: jest.fn(async (cf) => cf.request),
+        rewrite: jest.fn(async (cf) => {
+          cf.request.uri = cf.request.uri.replace(/\/$/, '/index.html')
+          return cf.request
+        }),
+        headers: jest.fn(async (cf) => {
+          cf.response.headers['x-origin'] = [{ key: 'X-Origin', value: 'yes' }]
+          return cf.response
+        }),
+        cookies: jest.fn(async (cf) => {
+          cf.response.headers['set-cookie'] = [
+            { key: 'Set-Cookie', value: 'a=1' }
+          ]
+          return cf.response
+        })
+      }
+    })
+
+    it('runs the functions in CloudFront order', async () => {
+      const response = await run({
+        uri: '/blog/',
+        method: 'POST',
+        body: 'a=1',
+        includeBody: true
+      })
+
+      expect(stages.map(([stage]) => stage)).toEqual([
+        'viewer',
+        'viewer-request (auth)',
+        'origin-request (rewrite)',
+        'origin',
+        'origin-response (headers)',
+        'viewer-response (cookies)'
+      ])
+      expect(handlers.auth.mock.calls[0][0].request.body).toBeUndefined()
+      expect(handlers.rewrite.mock.calls[0][0].request).toMatchObject({
+        body: { data: 'YT0x' },
+        origin: { custom: { domainName: 'example.org' } }
+      })
+      expect(handlers.headers.mock.calls[0][0].request.uri).toBe(
+        '/blog/index.html'
+      )
+      expect(handlers.cookies.mock.calls[0][0].request.uri).toBe('/blog/')
+      expect(response).toMatchObject({
+        status: '200',
+        body: '<h1>Blog</h1>',
+        headers: {
+          'x-origin': [{ key: 'X-Origin', value: 'yes' }],
+          'set-cookie': [{ key: 'Set-Cookie', value: 'a=1' }]
+        }
+      })
+    })
+
+    it('returns responses generated by the viewer-request function', async () => {
+      handlers.auth.mockResolvedValue({ status: '401', body: 'Nope' })
+
+      const response = await run({ uri: '/' })
+
+      expect(response).toEqual({ status: '401', body: 'Nope' })
+      expect(handlers.rewrite).not.toHaveBeenCalled()
+      expect(handlers.cookies).not.toHaveBeenCalled()
+    })
+
+    it('skips the origin for responses generated by the origin-request function', async () => {
+      handlers.rewrite.mockResolvedValue({
+        status: '302',
+        headers: { location: [{ key: 'Location', value: '/blog/' }] },
+        body: 'Moved'
+      })
+
+      const response = await run({ uri: '/old' })
+
+      expect(stages.map(([stage]) => stage)).not.toContain('origin')
+      expect(handlers.headers).not.toHaveBeenCalled()
+      expect(handlers.cookies.mock.calls[0][0].response.body).toBeUndefined()
+      expect(response).toMatchObject({ status: '302', body: 'Moved' })
+    })
+
+    it('uses the body generated by response functions', async () => {
+      handlers.headers.mockImplementation(async (cf) =>
+        Object.assign(cf.response, { body: 'Replaced' })
+      )
+
+      const response = await run({ uri: '/app.js' })
+
+      expect(response.body).toBe('Replaced')
+    })
+
+    it('fails when a function breaks the rules', async () => {
+      handlers.auth.mockImplementation(async (cf) =>
+        Object.assign(cf.request, { method: 'DELETE' })
+      )
+
+      await expect(run({ uri: '/' })).rejects.toThrow(
+        'The result of function "auth" breaks the Lambda@Edge rules for viewer-request events:\n  - the method of the request is read-only'
+      )
+    })
+
+    it('sends the body to the origin even if no function sees it', async () => {
+      const server = http.createServer((req, res) => {
+        const chunks = []
+
+        req.on('data', (chunk) => chunks.push(chunk))
+        req.on('end', () => res.end(Buffer.concat(chunks)))
+      })
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const response = await simulate({
+          functions: { 'origin-request': { name: 'rewrite' } },
+          request: { uri: '/form', method: 'POST', body: 'a=1' },
+          origin: `http://127.0.0.1:${server.address().port}`,
+          invoke: (name, event) => handlers[name](event.Records[0].cf),
+          report: (stage, data) => stages.push([stage, data])
+        })
+
+        expect(handlers.rewrite.mock.calls[0][0].request.body).toBeUndefined()
+        expect(response.body).toBe('a=1')
+      } finally {
+        await new Promise((resolve) => server.close(resolve))
+      }
+    })
+
+    it('runs only the configured functions', async () => {
+      const response = await simulate({
+        functions: {},
+        request: { uri: '/nope' },
+        origin: originDir,
+        invoke: jest.fn(),
+        report: (stage, data) => stages.push([stage, data])
+      })
+
+      expect(stages.map(([stage]) => stage)).toEqual(['viewer', 'origin'])
+      expect(response).toMatchObject({ status: '404', body: 'Not Found' })
+    })
+  })
+})
@@ -0,0 +1,117 @@
+const http = require('http')
+const { runSmokeTest, runSmokeTests } = require('../edge-smoke-tests.js')
+
+describe('edge-smoke-tests', () => {
+  let server
+  let baseURL
+  let requests
+
+  beforeEach(async () => {
+    requests = []
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers })
+
+      if (req.url === '/missing') {
+        res.statusCode = 404
+      }
+
+      res.setHeader('Cache-Control', 'max-age=300')
+      res.setHeader('X-Frame-Options', 'DENY')
+      res.setHeader('Set-Cookie', ['a=1', 'b=2'])
+      res.end('hello')
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    baseURL = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  describe('runSmokeTest', () => {
+    it('passes when the response matches', async () => {
+      await expect(
+        runSmokeTest(baseURL, {
+          url: '/index.html?a=1',
+          method: 'head',
+          headers: { Accept: 'text/html' },
+          expect: {
+            status: 200,
+            headers: {
+              'Cache-Control': 'max-age=300',
+              'x-frame-options': { pattern: '^(DENY|SAMEORIGIN)$' },
+              'set-cookie': 'a=1, b=2',
+              'x-powered-by': false
+            }
+          }
+        })
+      ).resolves.toEqual([])
+      expect(requests).toEqual([
+        {
+          method: 'HEAD',
+          url: '/index.html?a=1',
+          headers: expect.objectContaining({ accept: 'text/html' })
+        }
+      ])
+    })
+
+    it('reports the failed assertions', async () => {
+      await expect(
+        runSmokeTest(baseURL, {
+          url: '/missing',
+          expect: {
+            headers: {
+              'cache-control': 'no-cache',
+              'x-frame-options': { pattern: 'SAMEORIGIN' },
+              'x-custom': 'yes',
+              'set-cookie': false
+            }
+          }
+        })
+      ).resolves.toEqual([
+        `GET ${baseURL}/missing: expected status 200, got 404`,
+        `GET ${baseURL}/missing: expected header "cache-control" to be "no-cache", got "max-age=300"`,
+        `GET ${baseURL}/missing: expected header "x-frame-options" to match /SAMEORIGIN/, got "DENY"`,
+        `GET ${baseURL}/missing: expected a "x-custom" header`,
+        `GET ${baseURL}/missing: expected no "set-cookie" header, got "a=1, b=2"`
+      ])
+    })
+
+    it('uses absolute URLs as they are', async () => {
+      await expect(
+        runSmokeTest('https://d111111abcdef8.cloudfront.net', {
+          url: `${baseURL}/missing`,
+          expect: { status: 404 }
+        })
+      ).resolves.toEqual([])
+    })
+
+    it('reports requests that fail', async () => {
+      const closed = http.createServer()
+
+      await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve))
+      const url = `http://127.0.0.1:${closed.address().port}/`
+      await new Promise((resolve) => closed.close(resolve))
+
+      const failures = await runSmokeTest(baseURL, { url })
+
+      expect(failures).toHaveLength(1)
+      expect(failures[0]).toMatch(`GET ${url}: connect ECONNREFUSED`)
+    })
+  })
+
+  describe('runSmokeTests', () => {
+    it('runs every test', async () => {
+      await expect(
+        runSmokeTests(baseURL, [
+          { url: '/' },
+          { url: '/missing' },
+          { url: '/missing', expect: { status: 404 } }
+        ])
+      ).resolves.toEqual([
+        `GET ${baseURL}/missing: expected status 200, got 404`
+      ])
+      expect(requests).toHaveLength(3)
+    })
+  })
+})
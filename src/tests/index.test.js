@@ -1,3 +1,9 @@
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const JSZip = require('jszip')
+const _ = require('lodash')
 const Plugin = require('../index.js')
 
 function stubServerless() {
@@ -6,6 +12,12 @@ function stubServerless() {
       return {
         getCredentials: jest.fn(() => ({ aws: 'creds' })),
         request: jest.fn(),
+        getRegion: jest.fn().mockReturnValue('us-east-1'),
+        getStage: jest.fn().mockReturnValue('dev'),
+        getDeploymentPrefix: jest.fn().mockReturnValue('serverless'),
+        getServerlessDeploymentBucketName: jest
+          .fn()
+          .mockResolvedValue('deploy-bucket'),
         naming: {
           getLambdaLogicalId: jest.fn((fnName) => {
             return 'log_id_' + fnName
@@ -13,6 +25,9 @@ function stubServerless() {
           getLambdaVersionOutputLogicalId: jest.fn((fnName) => {
             return 'lambda_ver_id_' + fnName
           }),
+          getLogGroupLogicalId: jest.fn((fnName) => {
+            return 'log_group_id_' + fnName
+          }),
           getStackName: jest.fn().mockReturnValue('some-stack')
         }
       }
@@ -23,7 +38,8 @@ function stubServerless() {
       printDot: jest.fn()
     },
     configSchemaHandler: {
-      defineFunctionProperties: jest.fn()
+      defineFunctionProperties: jest.fn(),
+      defineCustomProperties: jest.fn()
     }
   }
 }
@@ -88,18 +104,264 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
   })
 
   it('adds schema validation', () => {
+    const associationSchema = {
+      type: 'object',
+      properties: {
+        distributionID: { type: 'string' },
+        distributionAlias: { type: 'string' },
+        distributionTag: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          minProperties: 1
+        },
+        distributionExport: { type: 'string' },
+        eventType: { type: 'string' },
+        pathPatterns: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1
+        },
+        defaultBehavior: { type: 'boolean' },
+        force: { type: 'boolean' },
+        includeBody: { type: 'boolean' }
+      },
+      required: ['eventType'],
+      oneOf: [
+        { required: ['distributionID'] },
+        { required: ['distributionAlias'] },
+        { required: ['distributionTag'] },
+        { required: ['distributionExport'] }
+      ],
+      additionalProperties: false
+    }
+    const cfFunctionAssociationSchema = {
+      type: 'object',
+      properties: {
+        distributionID: { type: 'string' },
+        distributionAlias: { type: 'string' },
+        distributionTag: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          minProperties: 1
+        },
+        distributionExport: { type: 'string' },
+        eventType: { type: 'string' },
+        pathPatterns: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1
+        },
+        defaultBehavior: { type: 'boolean' },
+        force: { type: 'boolean' }
+      },
+      required: ['eventType'],
+      oneOf: [
+        { required: ['distributionID'] },
+        { required: ['distributionAlias'] },
+        { required: ['distributionTag'] },
+        { required: ['distributionExport'] }
+      ],
+      additionalProperties: false
+    }
     expect(
       stubbedSls.configSchemaHandler.defineFunctionProperties
     ).toHaveBeenCalledWith('aws', {
+      type: 'object',
+      properties: {
+        lambdaAtEdge: {
+          anyOf: [
+            associationSchema,
+            { type: 'array', items: associationSchema, minItems: 1 }
+          ]
+        },
+        cloudFrontFunction: {
+          anyOf: [
+            cfFunctionAssociationSchema,
+            {
+              type: 'array',
+              items: cfFunctionAssociationSchema,
+              minItems: 1
+            }
+          ]
+        }
+      }
+    })
+  })
+
+  it('adds custom schema validation', () => {
+    const invalidationPathsSchema = {
+      anyOf: [
+        { type: 'string', enum: ['auto'] },
+        {
+          type: 'array',
+          items: { type: 'string', pattern: '^/' },
+          minItems: 1
+        }
+      ]
+    }
+
+    expect(
+      stubbedSls.configSchemaHandler.defineCustomProperties
+    ).toHaveBeenCalledWith({
       type: 'object',
       properties: {
         lambdaAtEdge: {
           type: 'object',
           properties: {
-            distributionID: { type: 'string' },
-            eventType: { type: 'string' }
+            concurrency: { type: 'integer', minimum: 1 },
+            waitForDeployment: { type: 'boolean' },
+            maxWaitSeconds: { type: 'integer', minimum: 1 },
+            maxUpdateAttempts: { type: 'integer', minimum: 1 },
+            autoFix: { type: 'boolean' },
+            inlineEnvironment: { type: 'boolean' },
+            logPermissions: {
+              type: 'object',
+              properties: {
+                regions: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  minItems: 1
+                },
+                wildcard: { type: 'boolean' }
+              },
+              additionalProperties: false
+            },
+            replicaLogs: {
+              type: 'object',
+              properties: {
+                regions: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  minItems: 1
+                },
+                errorMetricFilter: {
+                  anyOf: [
+                    { type: 'boolean' },
+                    {
+                      type: 'object',
+                      properties: {
+                        pattern: { type: 'string' },
+                        namespace: { type: 'string' }
+                      },
+                      additionalProperties: false
+                    }
+                  ]
+                }
+              },
+              additionalProperties: false
+            },
+            invalidate: {
+              anyOf: [
+                invalidationPathsSchema,
+                {
+                  type: 'object',
+                  properties: {
+                    paths: invalidationPathsSchema,
+                    wait: { type: 'boolean' }
+                  },
+                  required: ['paths'],
+                  additionalProperties: false
+                }
+              ]
+            },
+            smokeTests: {
+              type: 'object',
+              properties: {
+                baseURL: { type: 'string' },
+                revert: { type: 'boolean' },
+                tests: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      url: { type: 'string' },
+                      method: { type: 'string' },
+                      headers: {
+                        type: 'object',
+                        additionalProperties: { type: 'string' }
+                      },
+                      expect: {
+                        type: 'object',
+                        properties: {
+                          status: { type: 'integer' },
+                          headers: {
+                            type: 'object',
+                            additionalProperties: {
+                              anyOf: [
+                                { type: 'string' },
+                                { type: 'boolean', enum: [false] },
+                                {
+                                  type: 'object',
+                                  properties: { pattern: { type: 'string' } },
+                                  required: ['pattern'],
+                                  additionalProperties: false
+                                }
+                              ]
+                            }
+                          }
+                        },
+                        additionalProperties: false
+                      }
+                    },
+                    required: ['url'],
+                    additionalProperties: false
+                  },
+                  minItems: 1
+                }
+              },
+              required: ['tests'],
+              additionalProperties: false
+            },
+            canary: {
+              type: 'object',
+              properties: {
+                weight: { type: 'number', exclusiveMinimum: 0, maximum: 0.15 },
+                header: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string', pattern: '^aws-cf-cd-' },
+                    value: { type: 'string' }
+                  },
+                  required: ['name', 'value'],
+                  additionalProperties: false
+                }
+              },
+              oneOf: [{ required: ['weight'] }, { required: ['header'] }],
+              additionalProperties: false
+            },
+            monitoring: {
+              type: 'object',
+              properties: {
+                regions: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  minItems: 1
+                },
+                alarms: {
+                  type: 'object',
+                  properties: {
+                    errors: { type: 'number', minimum: 0 },
+                    throttles: { type: 'number', minimum: 0 },
+                    duration: { type: 'number', minimum: 0 },
+                    '5xxErrorRate': { type: 'number', minimum: 0 },
+                    lambdaExecutionError: { type: 'number', minimum: 0 }
+                  },
+                  additionalProperties: false
+                },
+                alarmActions: {
+                  type: 'array',
+                  items: { type: 'string' }
+                },
+                period: {
+                  type: 'integer',
+                  minimum: 10,
+                  anyOf: [{ enum: [10, 30] }, { multipleOf: 60 }]
+                },
+                dashboard: { type: 'boolean' }
+              },
+              additionalProperties: false
+            }
           },
-          required: ['distributionID', 'eventType'],
           additionalProperties: false
         }
       }
@@ -129,11 +391,12 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
         }
       )
       expect(stubbedSls.cli.log).toHaveBeenCalledWith(
-        'WARNING: no IAM role for Lambda execution found - can not modify assume role policy'
+        'WARNING: no IAM role for Lambda execution found for function "someFn" - can not modify assume role policy'
       )
     })
 
     it('adds edge lambda to IamRoleLambdaExecution if not there', () => {
+      functions.someFn.name = 'svc-dev-someFn'
       plugin.onPackageCustomResources()
       const cpldTmpl =
         stubbedSls.service.provider.compiledCloudFormationTemplate.Resources
@@ -153,15 +416,190 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
           'logs:PutLogEvents',
           'logs:DescribeLogStreams'
         ],
-        Resource: 'arn:aws:logs:*:*:*'
+        Resource: [
+          {
+            'Fn::Sub':
+              'arn:${AWS::Partition}:logs:*:${AWS::AccountId}:log-group:/aws/lambda/us-east-1.svc-dev-someFn:*'
+          },
+          {
+            'Fn::Sub':
+              'arn:${AWS::Partition}:logs:*:${AWS::AccountId}:log-group:/aws/lambda/us-east-1.svc-dev-someFn:*:*'
+          }
+        ]
       })
 
       expect(stubbedSls.cli.log).toHaveBeenCalledWith(
-        'Updated Lambda assume role policy to allow Lambda@Edge to assume the role'
+        'Updated Lambda assume role policy of "IamRoleLambdaExecution" to allow Lambda@Edge to assume the role'
       )
 
       expect(stubbedSls.cli.log).not.toHaveBeenCalledWith(
-        'WARNING: was unable to update the Lambda assume role policy to allow Lambda@Edge to assume the role'
+        'WARNING: was unable to update the Lambda assume role policy of "IamRoleLambdaExecution" to allow Lambda@Edge to assume the role'
+      )
+    })
+
+    it('limits the log permissions to the given regions', () => {
+      functions.someFn.name = 'svc-dev-someFn'
+      functions.plainFn = { name: 'svc-dev-plainFn' }
+      stubbedSls.service.custom = {
+        lambdaAtEdge: {
+          logPermissions: { regions: ['eu-west-1', 'us-east-1'] }
+        }
+      }
+
+      expect(plugin.getReplicaLogResources(['someFn'])).toEqual([
+        {
+          'Fn::Sub':
+            'arn:${AWS::Partition}:logs:eu-west-1:${AWS::AccountId}:log-group:/aws/lambda/us-east-1.svc-dev-someFn:*'
+        },
+        {
+          'Fn::Sub':
+            'arn:${AWS::Partition}:logs:eu-west-1:${AWS::AccountId}:log-group:/aws/lambda/us-east-1.svc-dev-someFn:*:*'
+        },
+        {
+          'Fn::Sub':
+            'arn:${AWS::Partition}:logs:us-east-1:${AWS::AccountId}:log-group:/aws/lambda/us-east-1.svc-dev-someFn:*'
+        },
+        {
+          'Fn::Sub':
+            'arn:${AWS::Partition}:logs:us-east-1:${AWS::AccountId}:log-group:/aws/lambda/us-east-1.svc-dev-someFn:*:*'
+        }
+      ])
+    })
+
+    it('grants the log permissions on every log group with wildcard', () => {
+      stubbedSls.service.custom = {
+        lambdaAtEdge: { logPermissions: { wildcard: true } }
+      }
+
+      plugin.onPackageCustomResources()
+
+      expect(
+        stubbedSls.service.provider.compiledCloudFormationTemplate.Resources
+          .IamRoleLambdaExecution.Properties.Policies[0].PolicyDocument
+          .Statement[0].Resource
+      ).toEqual(['arn:aws:logs:*:*:*'])
+    })
+
+    it('does not add log permissions without Lambda@Edge functions', () => {
+      delete functions.someFn.lambdaAtEdge
+
+      plugin.onPackageCustomResources()
+
+      expect(
+        stubbedSls.service.provider.compiledCloudFormationTemplate.Resources
+          .IamRoleLambdaExecution.Properties.Policies[0].PolicyDocument
+          .Statement
+      ).toEqual([])
+    })
+
+    it('updates the custom roles of the functions', () => {
+      const cpldTmpl =
+        stubbedSls.service.provider.compiledCloudFormationTemplate.Resources
+
+      functions.someFn.name = 'svc-dev-someFn'
+      functions.otherFn = {
+        name: 'svc-dev-otherFn',
+        lambdaAtEdge: { distributionID: '123ABC', eventType: 'origin-request' }
+      }
+      cpldTmpl.log_id_someFn = {
+        Properties: { Role: { 'Fn::GetAtt': ['EdgeRole', 'Arn'] } }
+      }
+      cpldTmpl.log_id_otherFn = {
+        Properties: { Role: { 'Fn::GetAtt': ['EdgeRole', 'Arn'] } }
+      }
+      cpldTmpl.EdgeRole = {
+        Type: 'AWS::IAM::Role',
+        Properties: {
+          AssumeRolePolicyDocument: {
+            Statement: [
+              {
+                Effect: 'Allow',
+                Principal: { Service: 'lambda.amazonaws.com' },
+                Action: 'sts:AssumeRole'
+              }
+            ]
+          },
+          ManagedPolicyArns: ['arn:aws:iam::aws:policy/ReadOnlyAccess']
+        }
+      }
+
+      plugin.onPackageCustomResources()
+
+      expect(
+        cpldTmpl.EdgeRole.Properties.AssumeRolePolicyDocument.Statement[0]
+          .Principal.Service
+      ).toEqual(['lambda.amazonaws.com', 'edgelambda.amazonaws.com'])
+      expect(cpldTmpl.EdgeRole.Properties.Policies).toEqual([
+        {
+          PolicyName: 'lambda-at-edge-logs',
+          PolicyDocument: {
+            Version: '2012-10-17',
+            Statement: [
+              expect.objectContaining({
+                Resource: plugin.getReplicaLogResources(['someFn', 'otherFn'])
+              })
+            ]
+          }
+        }
+      ])
+      expect(
+        cpldTmpl.IamRoleLambdaExecution.Properties.AssumeRolePolicyDocument
+          .Statement[0].Principal.Service
+      ).toEqual(['lambda.amazonaws.com'])
+      expect(stubbedSls.cli.log).toHaveBeenCalledTimes(1)
+      expect(plugin._externalRoles).toEqual({})
+    })
+
+    it('keeps roles that Lambda@Edge can already assume', () => {
+      const cpldTmpl =
+        stubbedSls.service.provider.compiledCloudFormationTemplate.Resources
+      const principal =
+        cpldTmpl.IamRoleLambdaExecution.Properties.AssumeRolePolicyDocument
+          .Statement[0].Principal
+
+      principal.Service = ['lambda.amazonaws.com', 'edgelambda.amazonaws.com']
+      functions.someFn.name = 'svc-dev-someFn'
+
+      plugin.onPackageCustomResources()
+
+      expect(principal.Service).toEqual([
+        'lambda.amazonaws.com',
+        'edgelambda.amazonaws.com'
+      ])
+      expect(stubbedSls.cli.log).not.toHaveBeenCalled()
+    })
+
+    it('leaves roles outside of the stack to be checked before deploy', () => {
+      const cpldTmpl =
+        stubbedSls.service.provider.compiledCloudFormationTemplate.Resources
+
+      functions.otherFn = {
+        lambdaAtEdge: { distributionID: '123ABC', eventType: 'origin-request' }
+      }
+      functions.importedFn = {
+        lambdaAtEdge: { distributionID: '123ABC', eventType: 'origin-request' }
+      }
+      cpldTmpl.log_id_someFn = {
+        Properties: { Role: 'arn:aws:iam::123456789012:role/edge' }
+      }
+      cpldTmpl.log_id_otherFn = {
+        Properties: { Role: 'arn:aws:iam::123456789012:role/edge' }
+      }
+      cpldTmpl.log_id_importedFn = {
+        Properties: { Role: { 'Fn::ImportValue': 'edge-role' } }
+      }
+
+      plugin.onPackageCustomResources()
+
+      expect(plugin._externalRoles).toEqual({
+        'arn:aws:iam::123456789012:role/edge': ['someFn', 'otherFn']
+      })
+      expect(
+        cpldTmpl.IamRoleLambdaExecution.Properties.Policies[0].PolicyDocument
+          .Statement
+      ).toEqual([])
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'WARNING: no IAM role for Lambda execution found for function "importedFn" - can not modify assume role policy'
       )
     })
 
@@ -178,11 +616,11 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
       ).toEqual([])
 
       expect(stubbedSls.cli.log).not.toHaveBeenCalledWith(
-        'Updated Lambda assume role policy to allow Lambda@Edge to assume the role'
+        'Updated Lambda assume role policy of "IamRoleLambdaExecution" to allow Lambda@Edge to assume the role'
       )
 
       expect(stubbedSls.cli.log).toHaveBeenCalledWith(
-        'WARNING: was unable to update the Lambda assume role policy to allow Lambda@Edge to assume the role'
+        'WARNING: was unable to update the Lambda assume role policy of "IamRoleLambdaExecution" to allow Lambda@Edge to assume the role'
       )
     })
   })
@@ -206,10 +644,29 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
     it('requires a distributionID', function () {
       functions.someFn.lambdaAtEdge.distributionID = null
       expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
-        'This plugin requires "lambdaAtEdge.distributionID" to be set.'
+        'This plugin requires "lambdaAtEdge.distributionID" (or one of distributionAlias, distributionTag, distributionExport) to be set.'
+      )
+    })
+
+    it('allows only one way of finding the distribution', function () {
+      functions.someFn.lambdaAtEdge.distributionAlias = 'www.example.com'
+      expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+        'Only one of "lambdaAtEdge.distributionID", distributionAlias, distributionTag, distributionExport can be set.'
       )
     })
 
+    it('accepts a distribution alias instead of an ID', function () {
+      delete functions.someFn.lambdaAtEdge.distributionID
+      functions.someFn.lambdaAtEdge.distributionAlias = 'www.example.com'
+
+      plugin.modifyLambdaFunctions(functions, template)
+
+      expect(plugin._pendingAssociations[0]).toMatchObject({
+        distributionID: null,
+        distributionAlias: 'www.example.com'
+      })
+    })
+
     it('adds valid pending association', function () {
       functions.someFn.lambdaAtEdge.distributionID = 'DDD32FWEF'
 
@@ -242,6 +699,91 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
       })
     })
 
+    it('carries path pattern targeting into the pending association', function () {
+      functions.someFn.lambdaAtEdge.pathPatterns = ['/api/*']
+      functions.someFn.lambdaAtEdge.defaultBehavior = true
+
+      plugin.modifyLambdaFunctions(functions, template)
+
+      expect(plugin._pendingAssociations[0]).toEqual({
+        fnLogicalName: 'log_id_someFn',
+        distributionID: '123ABC',
+        fnCurrentVersionOutputName: 'lambda_ver_id_someFn',
+        eventType: 'viewer-request',
+        pathPatterns: ['/api/*'],
+        defaultBehavior: true
+      })
+    })
+
+    it('carries includeBody into the pending association', function () {
+      functions.someFn.lambdaAtEdge.includeBody = true
+
+      plugin.modifyLambdaFunctions(functions, template)
+
+      expect(plugin._pendingAssociations[0]).toEqual({
+        fnLogicalName: 'log_id_someFn',
+        distributionID: '123ABC',
+        fnCurrentVersionOutputName: 'lambda_ver_id_someFn',
+        eventType: 'viewer-request',
+        includeBody: true
+      })
+    })
+
+    it('only allows includeBody on request event types', function () {
+      functions.someFn.lambdaAtEdge.eventType = 'origin-response'
+      functions.someFn.lambdaAtEdge.includeBody = true
+      expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+        '"lambdaAtEdge.includeBody" is not supported for "origin-response", only for: viewer-request, origin-request'
+      )
+    })
+
+    it('expands an array into several pending associations', function () {
+      functions.someFn.lambdaAtEdge = [
+        {
+          distributionID: 'STAGING',
+          eventType: 'viewer-response'
+        },
+        {
+          distributionID: 'PROD',
+          eventType: 'origin-response'
+        }
+      ]
+
+      plugin.modifyLambdaFunctions(functions, template)
+
+      expect(plugin._pendingAssociations).toEqual([
+        {
+          fnLogicalName: 'log_id_someFn',
+          distributionID: 'STAGING',
+          fnCurrentVersionOutputName: 'lambda_ver_id_someFn',
+          eventType: 'viewer-response'
+        },
+        {
+          fnLogicalName: 'log_id_someFn',
+          distributionID: 'PROD',
+          fnCurrentVersionOutputName: 'lambda_ver_id_someFn',
+          eventType: 'origin-response'
+        }
+      ])
+    })
+
+    it('validates each entry of an array', function () {
+      functions.someFn.lambdaAtEdge = [
+        {
+          distributionID: 'STAGING',
+          eventType: 'viewer-response'
+        },
+        {
+          distributionID: 'PROD',
+          eventType: 'wrong-event'
+        }
+      ]
+
+      expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+        /"wrong-event" is not a valid event type, must be one of/
+      )
+    })
+
     it('removes and warns about environment variables', () => {
       template.Resources.log_id_someFn.Properties.Environment = {
         Variables: {
@@ -258,431 +800,4889 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
         )
       )
     })
-  })
 
-  describe('getDistributionPhysicalIDs()', function () {
-    it('adds distribution id by logical function name', () => {
-      plugin._pendingAssociations = [
-        {
-          fnLogicalName: 'some-fn1',
-          distributionID: 'ABC'
-        },
-        {
-          fnLogicalName: 'some-fn2',
-          distributionID: 'DEF'
+    describe('with a CloudFront Function', () => {
+      beforeEach(() => {
+        functions = {
+          rewriteFn: {
+            name: 'svc-dev-rewriteFn',
+            handler: 'src/rewrite.handler',
+            cloudFrontFunction: {
+              distributionID: '123ABC',
+              eventType: 'viewer-request',
+              pathPatterns: ['/docs/*']
+            }
+          }
         }
-      ]
-
-      expect(plugin.getDistributionPhysicalIDs()).toEqual({
-        'some-fn1': {
-          distributionID: 'ABC'
-        },
-        'some-fn2': {
-          distributionID: 'DEF'
+        template = {
+          Resources: {
+            log_id_rewriteFn: { Type: 'AWS::Lambda::Function' },
+            RewriteFnLambdaVersionAbc123: {
+              Type: 'AWS::Lambda::Version',
+              Properties: { FunctionName: { Ref: 'log_id_rewriteFn' } }
+            },
+            log_group_id_rewriteFn: { Type: 'AWS::Logs::LogGroup' },
+            OtherLambdaVersion: {
+              Type: 'AWS::Lambda::Version',
+              Properties: { FunctionName: { Ref: 'log_id_otherFn' } }
+            }
+          },
+          Outputs: {
+            lambda_ver_id_rewriteFn: { Value: 'arn' },
+            ServiceEndpoint: { Value: 'url' }
+          }
         }
       })
-      expect(plugin.provider.request).not.toHaveBeenCalled()
-    })
 
-    it('returns an empty object if no distributionID', () => {
-      plugin._pendingAssociations = [
-        {
-          fnLogicalName: 'some-fn1'
-        }
-      ]
-      expect(plugin.getDistributionPhysicalIDs()).toEqual({})
-    })
-  })
+      it('adds a pending CloudFront Function association', () => {
+        plugin.modifyLambdaFunctions(functions, template)
 
-  describe('onBeforeDeployFinalize', () => {
-    beforeEach(() => {
-      plugin._pendingAssociations = []
-      plugin.getFunctionsToAssociate = jest.fn().mockResolvedValue({
-        ABC444: [
+        expect(plugin._pendingAssociations).toEqual([
           {
+            fnName: 'rewriteFn',
+            fnLogicalName: 'log_id_rewriteFn',
+            distributionID: '123ABC',
             eventType: 'viewer-request',
-            fnARN: 'some-fn1-arn'
+            pathPatterns: ['/docs/*'],
+            cloudFrontFunction: {
+              name: 'svc-dev-rewriteFn',
+              handler: 'src/rewrite.handler'
+            }
           }
-        ]
+        ])
       })
 
-      plugin.getDistributionPhysicalIDs = jest.fn().mockResolvedValue({
-        'some-fn1': {
-          distributionID: 'ABC444'
+      it('removes the compiled Lambda resources', () => {
+        plugin.modifyLambdaFunctions(functions, template)
+
+        expect(template).toEqual({
+          Resources: {
+            OtherLambdaVersion: {
+              Type: 'AWS::Lambda::Version',
+              Properties: { FunctionName: { Ref: 'log_id_otherFn' } }
+            }
+          },
+          Outputs: {
+            ServiceEndpoint: { Value: 'url' }
+          }
+        })
+      })
+
+      it('only allows viewer event types', () => {
+        functions.rewriteFn.cloudFrontFunction.eventType = 'origin-request'
+        expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+          '"origin-request" is not a valid event type, must be one of: viewer-request, viewer-response'
+        )
+      })
+
+      it('requires a distributionID', () => {
+        functions.rewriteFn.cloudFrontFunction.distributionID = null
+        expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+          'This plugin requires "cloudFrontFunction.distributionID" (or one of distributionAlias, distributionTag, distributionExport) to be set.'
+        )
+      })
+
+      it('requires the handler to be named handler', () => {
+        functions.rewriteFn.handler = 'src/rewrite.rewrite'
+        expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+          'The handler of CloudFront Function "rewriteFn" must be named "handler"'
+        )
+      })
+
+      it('does not allow lambdaAtEdge as well', () => {
+        functions.rewriteFn.lambdaAtEdge = {
+          distributionID: '123ABC',
+          eventType: 'origin-request'
         }
+        expect(() => plugin.modifyLambdaFunctions(functions, template)).toThrow(
+          'Function "rewriteFn" can not have both "lambdaAtEdge" and "cloudFrontFunction"'
+        )
       })
+    })
+  })
 
-      plugin.updateDistributionsAsNecessary = jest.fn().mockResolvedValue()
+  describe('onEdgeInvoke', () => {
+    beforeEach(() => {
+      functions.someFn.handler = 'handler.rewrite'
+      plugin._opts = { function: 'someFn', uri: '/foo', header: 'Accept:*/*' }
+      plugin.invokeHandler = jest.fn(async (fnName, fnDef, event) => {
+        const request = event.Records[0].cf.request
+
+        request.uri = '/foo/index.html'
+        return request
+      })
     })
 
-    it('returns if no pending associations', async () => {
-      await plugin.onBeforeDeployFinalize()
-      expect(plugin.getFunctionsToAssociate).not.toHaveBeenCalled()
+    it('invokes the function with an event for its event type', async () => {
+      await plugin.onEdgeInvoke()
+
+      const event = plugin.invokeHandler.mock.calls[0][2]
+      const cf = event.Records[0].cf
+
+      expect(plugin.invokeHandler.mock.calls[0][0]).toBe('someFn')
+      expect(cf.config.eventType).toBe('viewer-request')
+      expect(cf.request.headers.accept).toEqual([
+        { key: 'Accept', value: '*/*' }
+      ])
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith(
+        JSON.stringify(cf.request, null, 2)
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'The result of function "someFn" follows the Lambda@Edge rules for viewer-request events'
+      )
     })
 
-    it('updates pending associations', async () => {
-      plugin._pendingAssociations = [
-        {
-          fnLogicalName: 'some-fn1',
-          distributionID: 'ABC444'
-        }
-      ]
-      await plugin.onBeforeDeployFinalize()
+    it('fails if the result breaks the rules', async () => {
+      plugin.invokeHandler = jest.fn(async (fnName, fnDef, event) => {
+        const request = event.Records[0].cf.request
 
-      expect(plugin.getFunctionsToAssociate).toHaveBeenCalledTimes(1)
-      expect(plugin.getDistributionPhysicalIDs).toHaveBeenCalledTimes(1)
-      expect(plugin.updateDistributionsAsNecessary).toHaveBeenCalledWith(
-        {
-          ABC444: [
-            {
-              eventType: 'viewer-request',
-              fnARN: 'some-fn1-arn'
-            }
-          ]
-        },
-        {
-          'some-fn1': {
-            distributionID: 'ABC444'
-          }
-        }
+        request.method = 'DELETE'
+        return request
+      })
+
+      await expect(plugin.onEdgeInvoke()).rejects.toThrow(
+        'The result of function "someFn" breaks the Lambda@Edge rules for viewer-request events:\n  - the method of the request is read-only'
       )
     })
 
-    it('pluralizes message', async () => {
-      plugin._pendingAssociations = [
-        {
-          fnLogicalName: 'some-fn1',
-          distributionID: 'ABC'
-        },
+    it('fails for functions without lambdaAtEdge', async () => {
+      plugin._opts.function = 'nope'
+
+      await expect(plugin.onEdgeInvoke()).rejects.toThrow(
+        'Function "nope" is not configured with lambdaAtEdge'
+      )
+    })
+
+    it('requires --event-type for functions with several event types', async () => {
+      functions.someFn.lambdaAtEdge = [
+        { distributionID: '123ABC', eventType: 'viewer-request' },
         {
-          fnLogicalName: 'some-fn2',
-          distributionID: 'ABC'
+          distributionID: '123ABC',
+          eventType: 'origin-request',
+          includeBody: true
         }
       ]
-      await plugin.onBeforeDeployFinalize()
-      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
-        'Checking to see if 2 functions need to be associated to CloudFront.'
+
+      await expect(plugin.onEdgeInvoke()).rejects.toThrow(
+        'Function "someFn" is associated with several event types (viewer-request, origin-request), choose one with --event-type'
       )
+
+      plugin._opts['event-type'] = 'origin-request'
+      plugin._opts.body = 'a=1'
+      await plugin.onEdgeInvoke()
+
+      const cf = plugin.invokeHandler.mock.calls[0][2].Records[0].cf
+      expect(cf.config.eventType).toBe('origin-request')
+      expect(cf.request.body.data).toBe('YT0x')
     })
 
-    /// making sure it returns a promise
-    it('resolves undefined if no pending associations', () => {
-      plugin._pendingAssociations = []
-      return plugin.onBeforeDeployFinalize().then((res) => {
-        expect(res).toBeUndefined()
-        expect(plugin.getFunctionsToAssociate).not.toHaveBeenCalled()
-        expect(plugin.getDistributionPhysicalIDs).not.toHaveBeenCalled()
-      })
+    it('fails for event types the function is not associated with', async () => {
+      plugin._opts['event-type'] = 'origin-response'
+
+      await expect(plugin.onEdgeInvoke()).rejects.toThrow(
+        'Function "someFn" is not associated with origin-response events'
+      )
     })
   })
 
-  describe('updateDistributionAsNecessary', () => {
-    let _dist
+  describe('onEdgeSimulate', () => {
+    let originDir
+
     beforeEach(() => {
-      _dist = {
-        distributionID: '123ABC'
-      }
-      functions = {
-        '123ABC': [
-          {
-            eventType: 'viewer-request',
-            fnARN: 'web-dist1-arn'
-          }
-        ]
-      }
-      plugin.provider.request
-        .mockResolvedValueOnce({
-          Distribution: {
-            Status: 'Deploying'
-          }
-        })
-        .mockResolvedValueOnce()
-      plugin.modifyDistributionConfigIfNeeded = jest.fn().mockReturnValue(true)
-      plugin.waitForDistributionDeployed = jest.fn().mockResolvedValue({
-        Distribution: {
-          Status: 'Deployed',
-          DistributionConfig: {
-            Dist: 'config'
-          }
-        },
-        ETag: 'etag-1'
+      originDir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-origin-'))
+      fs.writeFileSync(path.join(originDir, 'index.html'), 'Home')
+      functions.someFn.handler = 'handler.auth'
+      plugin._opts = { origin: originDir, header: ['Accept:text/html'] }
+      plugin.invokeHandler = jest.fn(async (fnName, fnDef, event) => {
+        return event.Records[0].cf.request
       })
     })
 
-    it('update distribution if config changed', async () => {
-      await plugin.updateDistributionAsNecessary(functions, _dist)
-      expect(plugin.provider.request).toHaveBeenCalledWith(
-        'CloudFront',
-        'getDistribution',
-        {
-          Id: _dist.distributionID
-        }
-      )
+    afterEach(() => {
+      fs.unlinkSync(path.join(originDir, 'index.html'))
+      fs.rmdirSync(originDir)
+    })
 
-      expect(plugin.waitForDistributionDeployed).toHaveBeenCalledWith(
-        _dist.distributionID
-      )
+    it('runs the request through the functions and prints each stage', async () => {
+      await plugin.onEdgeSimulate()
 
-      expect(plugin._alreadyWaitingForUpdates).toContain(_dist.distributionID)
+      expect(plugin.invokeHandler).toHaveBeenCalledWith(
+        'someFn',
+        functions.someFn,
+        expect.anything()
+      )
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith(
+        '--- viewer-request (someFn) ---'
+      )
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith('--- origin ---')
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Simulating the default cache behavior of distribution "123ABC"'
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith('GET / returned 200')
+    })
+  })
 
-      expect(plugin.provider.request).toHaveBeenCalledWith(
-        'CloudFront',
-        'updateDistribution',
+  describe('onEdgeLogs', () => {
+    beforeEach(() => {
+      functions.someFn.name = 'svc-dev-someFn'
+      plugin._opts = { function: 'someFn', startTime: '2021-01-01T00:00:00Z' }
+      plugin.getEnabledRegions = jest
+        .fn()
+        .mockResolvedValue(['eu-west-1', 'us-east-1'])
+      plugin.getReplicaLogEvents = jest.fn().mockResolvedValue([
         {
-          Id: _dist.distributionID,
-          DistributionConfig: {
-            Dist: 'config'
-          },
-          IfMatch: 'etag-1'
+          region: 'us-east-1',
+          eventId: '1',
+          timestamp: Date.UTC(2021, 0, 1, 0, 0, 1),
+          message: 'START RequestId: a\n'
+        },
+        {
+          region: 'eu-west-1',
+          eventId: '2',
+          timestamp: Date.UTC(2021, 0, 1, 0, 0, 2),
+          message: 'START RequestId: b\n'
         }
-      )
+      ])
+    })
 
-      expect(plugin.waitForDistributionDeployed).toHaveBeenCalledTimes(2)
+    it('prints the events of every region with their region', async () => {
+      await plugin.onEdgeLogs()
+
+      expect(plugin.getReplicaLogEvents).toHaveBeenCalledWith(
+        '/aws/lambda/us-east-1.svc-dev-someFn',
+        ['eu-west-1', 'us-east-1'],
+        Date.UTC(2021, 0, 1)
+      )
+      expect(stubbedSls.cli.consoleLog.mock.calls).toEqual([
+        ['us-east-1       2021-01-01T00:00:01.000Z START RequestId: a'],
+        ['eu-west-1       2021-01-01T00:00:02.000Z START RequestId: b']
+      ])
     })
 
-    it('skips updates if not changed', async () => {
-      plugin.modifyDistributionConfigIfNeeded.mockReturnValue(false)
-      plugin.provider.request = jest.fn().mockResolvedValueOnce({
-        Distribution: {
-          Status: 'Deployed'
+    it('polls from the last event with --tail', async () => {
+      const events = await plugin.getReplicaLogEvents()
+
+      plugin.getReplicaLogEvents.mockImplementation(
+        async (logGroupName, regions, startTime) =>
+          events.filter((event) => event.timestamp >= startTime)
+      )
+      plugin._opts.tail = true
+      plugin._opts.interval = '5000'
+      plugin.sleep = jest.fn(async () => {
+        if (plugin.sleep.mock.calls.length === 2) {
+          plugin._opts.tail = false
         }
       })
-      await plugin.updateDistributionAsNecessary(functions, _dist)
-      expect(plugin.provider.request).toHaveBeenCalledWith(
-        'CloudFront',
-        'getDistribution',
-        {
-          Id: _dist.distributionID
-        }
-      )
 
-      expect(plugin.waitForDistributionDeployed).not.toHaveBeenCalled()
-      expect(plugin.provider.request).toHaveBeenCalledTimes(1)
+      await plugin.onEdgeLogs()
+
+      expect(plugin.getReplicaLogEvents).toHaveBeenCalledTimes(3)
+      expect(plugin.getReplicaLogEvents.mock.calls[2][2]).toBe(
+        Date.UTC(2021, 0, 1, 0, 0, 2)
+      )
+      expect(plugin.sleep).toHaveBeenCalledWith(5000)
+      // The events seen at the last timestamp are not printed again
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledTimes(2)
     })
-  })
 
-  describe('waitForDistributionDeployed', () => {
-    let cfWaitForStub
-    let cloudFrontStub
-    let distPhysicalID
+    it('starts 10 minutes ago by default', async () => {
+      delete plugin._opts.startTime
+      plugin.getReplicaLogEvents.mockResolvedValue([])
+      const before = Date.now()
 
-    beforeEach(() => {
-      jest.useFakeTimers()
-      distPhysicalID = 'success-dist-id'
+      await plugin.onEdgeLogs()
 
-      cfWaitForStub = jest.fn()
+      const startTime = plugin.getReplicaLogEvents.mock.calls[0][2]
+      expect(startTime).toBeGreaterThanOrEqual(before - 600000)
+      expect(startTime).toBeLessThanOrEqual(Date.now() - 600000)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'No logs found for function "someFn"'
+      )
+    })
 
-      cloudFrontStub = jest.fn().mockImplementation(() => {
-        return {
-          waitFor: jest.fn((evName, { Id }, cb) => {
-            cfWaitForStub(evName, { Id }, cb)
-            cloudFrontStub.__callback = cb
-          })
-        }
-      })
+    it('accepts durations', async () => {
+      plugin._opts.startTime = '2h'
+      const before = Date.now()
 
-      plugin.provider.sdk = {
-        CloudFront: cloudFrontStub
-      }
+      await plugin.onEdgeLogs()
+
+      expect(
+        plugin.getReplicaLogEvents.mock.calls[0][2]
+      ).toBeGreaterThanOrEqual(before - 7200000)
     })
 
-    afterEach(() => {
-      jest.useRealTimers()
+    it('rejects invalid start times', async () => {
+      plugin._opts.startTime = 'yesterday'
+
+      await expect(plugin.onEdgeLogs()).rejects.toThrow(
+        'Invalid start time "yesterday", use a date or a duration such as 30m, 2h or 1d'
+      )
     })
 
-    it('returns if already waiting', async () => {
-      plugin._distIdIsWaiting = distPhysicalID
-      expect(
-        await plugin.waitForDistributionDeployed(distPhysicalID)
-      ).toBeUndefined()
-      expect(cloudFrontStub).not.toHaveBeenCalled()
-      expect(stubbedSls.cli.log).not.toHaveBeenCalled()
+    it('fails for functions without lambdaAtEdge', async () => {
+      plugin._opts.function = 'nope'
+
+      await expect(plugin.onEdgeLogs()).rejects.toThrow(
+        'Function "nope" is not configured with lambdaAtEdge'
+      )
     })
+  })
 
-    it('prints out status', async () => {
-      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
-      expect(cloudFrontStub).toHaveBeenCalledWith({ aws: 'creds' })
-      jest.advanceTimersByTime(1000)
-      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
-        `Waiting for CloudFront distribution "${distPhysicalID}" to be deployed`
+  describe('getEnabledRegions', () => {
+    it('lists the regions enabled for the account', async () => {
+      plugin.provider.request.mockResolvedValueOnce({
+        Regions: [{ RegionName: 'us-east-1' }, { RegionName: 'eu-west-1' }]
+      })
+
+      await expect(plugin.getEnabledRegions()).resolves.toEqual([
+        'eu-west-1',
+        'us-east-1'
+      ])
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'EC2',
+        'describeRegions',
+        {}
       )
-      expect(stubbedSls.cli.log).toHaveBeenCalledTimes(2)
-      expect(stubbedSls.cli.printDot).toHaveBeenCalledTimes(1)
+    })
+  })
 
-      jest.advanceTimersByTime(2000)
-      expect(stubbedSls.cli.log).toHaveBeenCalledTimes(2)
-      expect(stubbedSls.cli.printDot).toHaveBeenCalledTimes(2)
+  describe('getReplicaLogEvents', () => {
+    it('merges the events of every region by time', async () => {
+      plugin._opts = { filter: 'ERROR' }
+      plugin.provider.request = jest.fn(async (svc, method, params, opts) => {
+        if (opts.region === 'ap-south-1') {
+          const err = new Error('The specified log group does not exist.')
+          err.providerError = { code: 'ResourceNotFoundException' }
+          throw err
+        }
 
-      cloudFrontStub.__callback(null, {
-        Distribution: {
-          Status: 'Deployed'
+        if (opts.region === 'us-east-1' && !params.nextToken) {
+          return { events: [{ eventId: 'a', timestamp: 3 }], nextToken: 'n' }
         }
-      })
 
-      expect(await prom).toEqual({
-        Distribution: {
-          Status: 'Deployed'
+        return {
+          events: [{ eventId: opts.region, timestamp: opts.region.length }]
         }
       })
-      expect(cfWaitForStub).toHaveBeenCalledWith(
-        'distributionDeployed',
-        { Id: distPhysicalID },
-        cloudFrontStub.__callback
-      )
 
-      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith('')
+      const events = await plugin.getReplicaLogEvents(
+        '/aws/lambda/us-east-1.fn',
+        ['us-east-1', 'eu-west-1', 'ap-south-1'],
+        1000
+      )
 
-      jest.runAllTimers()
-      expect(stubbedSls.cli.printDot).toHaveBeenCalledTimes(2)
+      expect(events).toEqual([
+        { region: 'us-east-1', eventId: 'a', timestamp: 3 },
+        { region: 'us-east-1', eventId: 'us-east-1', timestamp: 9 },
+        { region: 'eu-west-1', eventId: 'eu-west-1', timestamp: 9 }
+      ])
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudWatchLogs',
+        'filterLogEvents',
+        {
+          logGroupName: '/aws/lambda/us-east-1.fn',
+          startTime: 1000,
+          filterPattern: 'ERROR',
+          nextToken: 'n'
+        },
+        { region: 'us-east-1' }
+      )
     })
 
-    it('rejects on error', async () => {
-      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
+    it('fails on other errors', async () => {
+      plugin._opts = {}
+      plugin.provider.request.mockRejectedValueOnce(new Error('Access Denied'))
 
-      cloudFrontStub.__callback(new Error('AWS Timeout'))
-      await expect(prom).rejects.toThrow('AWS Timeout')
+      await expect(
+        plugin.getReplicaLogEvents('/aws/lambda/us-east-1.fn', ['us-east-1'], 0)
+      ).rejects.toThrow('Access Denied')
     })
   })
 
-  describe('updateDistributionsAsNecessary', () => {
+  describe('getSimulatedFunctions', () => {
     beforeEach(() => {
-      plugin.updateDistributionAsNecessary = jest.fn().mockResolvedValue()
-    })
-
-    it('updates each distribution sequentially', async () => {
-      const _dists = {
-        fn1: {
-          distributionID: 'FGE444',
-          fnARN: 'fn2-arn'
-        },
+      functions.someFn.lambdaAtEdge = [
+        { distributionID: '123ABC', eventType: 'viewer-request' },
+        {
+          distributionID: '123ABC',
+          eventType: 'origin-request',
+          pathPatterns: ['/api/*']
+        }
+      ]
+      functions.apiFn = {
+        lambdaAtEdge: {
+          distributionID: '123ABC',
+          eventType: 'origin-request',
+          pathPatterns: ['/api/v?/*'],
+          includeBody: true
+        }
+      }
+      functions.otherFn = {
+        lambdaAtEdge: {
+          distributionAlias: 'www.example.com',
+          eventType: 'viewer-response'
+        }
+      }
+      functions.plainFn = {}
+      plugin._opts = { distribution: '123ABC', uri: '/api/v1/users' }
+    })
+
+    it('picks the functions of the longest matching path pattern', () => {
+      const fns = plugin.getSimulatedFunctions()
+
+      expect(_.mapValues(fns, 'fnName')).toEqual({
+        'viewer-request': 'someFn',
+        'origin-request': 'apiFn'
+      })
+      expect(fns['origin-request'].includeBody).toBe(true)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Simulating the "/api/v?/*" cache behavior of distribution "123ABC"'
+      )
+    })
+
+    it('uses the given path pattern', () => {
+      plugin._opts['path-pattern'] = 'api/*'
+
+      expect(plugin.getSimulatedFunctions()['origin-request'].fnName).toBe(
+        'someFn'
+      )
+    })
+
+    it('uses the default behavior when no pattern matches', () => {
+      plugin._opts.uri = '/about'
+
+      expect(Object.keys(plugin.getSimulatedFunctions())).toEqual([
+        'viewer-request'
+      ])
+    })
+
+    it('finds distributions by alias', () => {
+      plugin._opts.distribution = 'www.example.com'
+
+      expect(Object.keys(plugin.getSimulatedFunctions())).toEqual([
+        'viewer-response'
+      ])
+    })
+
+    it('finds distributions by tags', () => {
+      functions.taggedFn = {
+        lambdaAtEdge: {
+          distributionTag: { app: 'shop', env: 'prod' },
+          eventType: 'origin-response'
+        }
+      }
+      plugin._opts.distribution = 'app=shop,env=prod'
+
+      expect(Object.keys(plugin.getSimulatedFunctions())).toEqual([
+        'origin-response'
+      ])
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Simulating the default cache behavior of distribution "app=shop,env=prod"'
+      )
+    })
+
+    it('uses the only tagged distribution without --distribution', () => {
+      functions.someFn.lambdaAtEdge = {
+        distributionTag: { app: 'shop' },
+        eventType: 'viewer-request'
+      }
+      delete functions.apiFn
+      delete functions.otherFn
+      delete plugin._opts.distribution
+
+      expect(plugin.getSimulatedFunctions()['viewer-request'].fnName).toBe(
+        'someFn'
+      )
+    })
+
+    it('requires --distribution if there are several', () => {
+      delete plugin._opts.distribution
+
+      expect(() => plugin.getSimulatedFunctions()).toThrow(
+        'Functions are associated with several distributions (123ABC, www.example.com), choose one with --distribution'
+      )
+    })
+
+    it('fails for unknown distributions', () => {
+      plugin._opts.distribution = 'NOPE'
+
+      expect(() => plugin.getSimulatedFunctions()).toThrow(
+        'No functions are associated with distribution "NOPE"'
+      )
+    })
+
+    it('fails if two functions have the same event type', () => {
+      plugin._opts['path-pattern'] = '/api/*'
+      functions.apiFn.lambdaAtEdge.pathPatterns.push('/api/*')
+
+      expect(() => plugin.getSimulatedFunctions()).toThrow(
+        'Functions "someFn" and "apiFn" are both associated with origin-request on this cache behavior'
+      )
+    })
+  })
+
+  describe('invokeHandler', () => {
+    let servicePath
+
+    beforeEach(() => {
+      servicePath = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-invoke-'))
+      fs.writeFileSync(
+        path.join(servicePath, 'handler.js'),
+        [
+          'exports.promise = async (event, context) => ({ event, context, remaining: context.getRemainingTimeInMillis() })',
+          'exports.callback = (event, context, cb) => cb(null, event)',
+          "exports.fails = (event, context, cb) => cb(new Error('boom'))",
+          'exports.notAFunction = 1'
+        ].join('\n')
+      )
+      stubbedSls.config = { servicePath }
+    })
+
+    afterEach(() => {
+      fs.unlinkSync(path.join(servicePath, 'handler.js'))
+      fs.rmdirSync(servicePath)
+    })
+
+    it('runs async handlers', async () => {
+      const result = await plugin.invokeHandler(
+        'someFn',
+        { handler: 'handler.promise', timeout: 5 },
+        { a: 1 }
+      )
+
+      expect(result.event).toEqual({ a: 1 })
+      expect(result.context.functionName).toBe('someFn')
+      expect(result.remaining).toBeGreaterThan(4000)
+      expect(result.remaining).toBeLessThanOrEqual(5000)
+    })
+
+    it('runs callback handlers', async () => {
+      await expect(
+        plugin.invokeHandler('someFn', { handler: 'handler.callback' }, 'e')
+      ).resolves.toBe('e')
+      await expect(
+        plugin.invokeHandler('someFn', { handler: 'handler.fails' }, 'e')
+      ).rejects.toThrow('boom')
+    })
+
+    it('fails if the handler is not a function', () => {
+      expect(() =>
+        plugin.invokeHandler('someFn', { handler: 'handler.notAFunction' }, {})
+      ).toThrow(
+        'Handler "handler.notAFunction" of function "someFn" is not a function'
+      )
+    })
+  })
+
+  describe('inlineEnvironments', () => {
+    let servicePath
+    let artifact
+
+    beforeEach(async () => {
+      servicePath = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-env-'))
+      fs.mkdirSync(path.join(servicePath, '.serverless'))
+      artifact = path.join(servicePath, '.serverless', 'service.zip')
+
+      const zip = new JSZip()
+      zip.file('src/headers.js', 'exports.handler = () => process.env')
+      fs.writeFileSync(
+        artifact,
+        await zip.generateAsync({ type: 'nodebuffer' })
+      )
+
+      stubbedSls.config = { servicePath }
+      Object.assign(stubbedSls.service, {
+        custom: { lambdaAtEdge: { inlineEnvironment: true } },
+        package: { artifact }
+      })
+      Object.assign(stubbedSls.service.provider, {
+        runtime: 'nodejs12.x',
+        environment: { API_HOST: 'api.example.com', RETRIES: 3 }
+      })
+      functions.someFn.handler = 'src/headers.handler'
+      functions.someFn.environment = { FEATURE_FLAG: 'on' }
+      functions.otherFn = { handler: 'src/other.handler' }
+    })
+
+    afterEach(() => {
+      const packagePath = path.join(servicePath, '.serverless')
+
+      fs.readdirSync(packagePath).forEach((file) =>
+        fs.unlinkSync(path.join(packagePath, file))
+      )
+      fs.rmdirSync(packagePath)
+      fs.rmdirSync(servicePath)
+    })
+
+    it('does nothing unless enabled', async () => {
+      stubbedSls.service.custom = {}
+
+      await plugin.inlineEnvironments()
+
+      expect(functions.someFn.handler).toBe('src/headers.handler')
+    })
+
+    it('wraps the handler of edge functions with their variables', async () => {
+      await plugin.inlineEnvironments()
+
+      const zip = await JSZip.loadAsync(fs.readFileSync(artifact))
+      const shim = await zip.file('_edge_env/someFn.js').async('string')
+
+      expect(functions.someFn.handler).toBe('_edge_env/someFn.handler')
+      expect(functions.otherFn.handler).toBe('src/other.handler')
+      expect(zip.file('src/headers.js')).not.toBeNull()
+      expect(shim).toBe(
+        [
+          "'use strict'",
+          'Object.assign(process.env, {',
+          '  "API_HOST": "api.example.com",',
+          '  "RETRIES": "3",',
+          '  "FEATURE_FLAG": "on"',
+          '})',
+          "exports.handler = require('../src/headers').handler",
+          ''
+        ].join('\n')
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Inlined 3 environment variables into function "someFn" because Lambda@Edge does not support environment variables'
+      )
+    })
+
+    it('inlines the same variables into the same bytes', async () => {
+      const original = fs.readFileSync(artifact)
+
+      await plugin.inlineEnvironments()
+      const first = fs.readFileSync(artifact)
+
+      fs.writeFileSync(artifact, original)
+      functions.someFn.handler = 'src/headers.handler'
+
+      // A minute later
+      const RealDate = Date
+      global.Date = class extends RealDate {
+        constructor(...args) {
+          super(...(args.length > 0 ? args : [RealDate.now() + 60000]))
+        }
+      }
+
+      try {
+        await plugin.inlineEnvironments()
+      } finally {
+        global.Date = RealDate
+      }
+
+      expect(fs.readFileSync(artifact).equals(first)).toBe(true)
+    })
+
+    it('uses the artifact of individually packaged functions', async () => {
+      stubbedSls.service.package = {}
+      functions.someFn.package = { artifact }
+
+      await plugin.inlineEnvironments()
+
+      const zip = await JSZip.loadAsync(fs.readFileSync(artifact))
+      expect(zip.file('_edge_env/someFn.js')).not.toBeNull()
+    })
+
+    it('copies artifacts given with package.artifact before changing them', async () => {
+      const userArtifact = path.join(servicePath, 'app.zip')
+
+      fs.renameSync(artifact, userArtifact)
+      stubbedSls.service.package = { artifact: 'app.zip' }
+
+      try {
+        await plugin.inlineEnvironments()
+
+        const copy = path.join(servicePath, '.serverless', 'app.zip')
+        const original = await JSZip.loadAsync(fs.readFileSync(userArtifact))
+        const zip = await JSZip.loadAsync(fs.readFileSync(copy))
+
+        expect(stubbedSls.service.package.artifact).toBe(copy)
+        expect(original.file('_edge_env/someFn.js')).toBeNull()
+        expect(zip.file('_edge_env/someFn.js')).not.toBeNull()
+      } finally {
+        fs.unlinkSync(userArtifact)
+      }
+    })
+
+    it('copies the package.artifact of a function', async () => {
+      const userArtifact = path.join(servicePath, 'app.zip')
+
+      fs.renameSync(artifact, userArtifact)
+      stubbedSls.service.package = {}
+      functions.someFn.package = { artifact: userArtifact }
+
+      try {
+        await plugin.inlineEnvironments()
+
+        const copy = path.join(servicePath, '.serverless', 'someFn-app.zip')
+        const original = await JSZip.loadAsync(fs.readFileSync(userArtifact))
+
+        expect(functions.someFn.package.artifact).toBe(copy)
+        expect(original.file('_edge_env/someFn.js')).toBeNull()
+        expect(fs.existsSync(copy)).toBe(true)
+      } finally {
+        fs.unlinkSync(userArtifact)
+      }
+    })
+
+    it('fails for values that are only known after deployment', async () => {
+      functions.someFn.environment.TABLE = { Ref: 'Table' }
+      functions.pyFn = {
+        runtime: 'python3.8',
+        lambdaAtEdge: functions.someFn.lambdaAtEdge
+      }
+
+      await expect(plugin.inlineEnvironments()).rejects.toThrow(
+        [
+          'Can not inline the environment variables of Lambda@Edge functions:',
+          '  - someFn: TABLE can not be inlined because they are only known after deployment',
+          '  - pyFn: environment variables can only be inlined into Node.js functions, not python3.8'
+        ].join('\n')
+      )
+    })
+
+    it('does not warn about the removed variables', () => {
+      template.Resources.log_id_someFn.Properties.Environment = {
+        Variables: { API_HOST: 'api.example.com' }
+      }
+
+      plugin.modifyLambdaFunctions(functions, template)
+
+      expect(template.Resources.log_id_someFn.Properties).toEqual({})
+      expect(stubbedSls.cli.log).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('validateEdgeFunctions', () => {
+    let assocs
+
+    beforeEach(() => {
+      assocs = [
+        { fnLogicalName: 'log_id_someFn', eventType: 'viewer-request' },
+        { fnLogicalName: 'log_id_otherFn', eventType: 'origin-request' }
+      ]
+      template.Resources.log_id_someFn.Properties = {
+        MemorySize: 128,
+        Timeout: 5,
+        Runtime: 'nodejs12.x'
+      }
+      template.Resources.log_id_otherFn = {
+        Properties: { MemorySize: 1024, Timeout: 30, Runtime: 'python3.8' }
+      }
+    })
+
+    it('accepts functions within the Lambda@Edge limits', () => {
+      expect(() => plugin.validateEdgeFunctions(assocs, template)).not.toThrow()
+    })
+
+    it('reports every problem at once', () => {
+      plugin.provider.getRegion.mockReturnValue('eu-west-1')
+      Object.assign(template.Resources.log_id_someFn.Properties, {
+        MemorySize: 512,
+        Timeout: 6,
+        Runtime: 'java11',
+        Architectures: ['arm64'],
+        Layers: ['arn:aws:lambda:us-east-1:123456789012:layer:deps:1'],
+        VpcConfig: { SubnetIds: [] },
+        DeadLetterConfig: { TargetArn: 'arn:aws:sqs:us-east-1:1:dlq' },
+        ReservedConcurrentExecutions: 5
+      })
+      template.Resources.log_id_otherFn.Properties.Timeout = 60
+
+      expect(() => plugin.validateEdgeFunctions(assocs, template)).toThrow(
+        [
+          "Lambda@Edge functions do not meet CloudFront's requirements:",
+          '  - Lambda@Edge functions must be deployed to us-east-1, not eu-west-1',
+          '  - log_id_someFn (viewer-request): memory size 512MB is above the 128MB allowed',
+          '  - log_id_someFn (viewer-request): timeout 6 seconds is above the 5 seconds allowed',
+          '  - log_id_someFn (viewer-request): runtime java11 is not supported',
+          '  - log_id_someFn (viewer-request): only the x86_64 architecture is supported',
+          '  - log_id_someFn (viewer-request): layers are not supported',
+          '  - log_id_someFn (viewer-request): VPC configuration is not supported',
+          '  - log_id_someFn (viewer-request): dead-letter queues are not supported',
+          '  - log_id_someFn (viewer-request): reserved concurrency is not supported',
+          '  - log_id_otherFn (origin-request): timeout 60 seconds is above the 30 seconds allowed'
+        ].join('\n')
+      )
+    })
+
+    it('applies the strictest limits to functions with several event types', () => {
+      assocs.push({
+        fnLogicalName: 'log_id_otherFn',
+        eventType: 'viewer-response'
+      })
+
+      expect(() => plugin.validateEdgeFunctions(assocs, template)).toThrow(
+        'log_id_otherFn (origin-request, viewer-response): memory size 1024MB is above the 128MB allowed'
+      )
+    })
+
+    it('lowers memory size and timeout with autoFix', () => {
+      plugin.serverless.service.custom = { lambdaAtEdge: { autoFix: true } }
+      template.Resources.log_id_someFn.Properties.MemorySize = 1024
+      template.Resources.log_id_otherFn.Properties.Timeout = 60
+
+      plugin.validateEdgeFunctions(assocs, template)
+
+      expect(template.Resources.log_id_someFn.Properties.MemorySize).toBe(128)
+      expect(template.Resources.log_id_otherFn.Properties.Timeout).toBe(30)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Lowering MemorySize of function "log_id_someFn" from 1024 to 128, the most Lambda@Edge allows for viewer-request'
+      )
+    })
+
+    it('ignores the region when there are no Lambda@Edge functions', () => {
+      plugin.provider.getRegion.mockReturnValue('eu-west-1')
+
+      expect(() => plugin.validateEdgeFunctions([], template)).not.toThrow()
+    })
+  })
+
+  describe('deployCloudFrontFunctions', () => {
+    beforeEach(() => {
+      plugin._pendingAssociations = [
+        {
+          distributionID: 'ABC',
+          eventType: 'viewer-request',
+          cloudFrontFunction: { name: 'cf-fn', handler: 'cf.handler' }
+        },
+        {
+          distributionID: 'DEF',
+          eventType: 'viewer-request',
+          cloudFrontFunction: { name: 'cf-fn', handler: 'cf.handler' }
+        },
+        {
+          distributionID: 'ABC',
+          eventType: 'origin-request',
+          fnCurrentVersionOutputName: 'LambdaFnArn'
+        }
+      ]
+      plugin.deployCloudFrontFunction = jest
+        .fn()
+        .mockResolvedValue('cf-fn-arn-published')
+      plugin.getCloudFrontFunctionARN = jest
+        .fn()
+        .mockResolvedValue('cf-fn-arn-live')
+    })
+
+    it('deploys each CloudFront Function once', async () => {
+      await plugin.deployCloudFrontFunctions(true)
+
+      expect(plugin.deployCloudFrontFunction).toHaveBeenCalledTimes(1)
+      expect(plugin.deployCloudFrontFunction).toHaveBeenCalledWith({
+        name: 'cf-fn',
+        handler: 'cf.handler'
+      })
+      expect(plugin._cloudFrontFunctionARNs).toEqual({
+        'cf-fn': 'cf-fn-arn-published'
+      })
+    })
+
+    it('only looks up the live ARNs without publishing', async () => {
+      await plugin.deployCloudFrontFunctions(false)
+
+      expect(plugin.deployCloudFrontFunction).not.toHaveBeenCalled()
+      expect(plugin.getCloudFrontFunctionARN).toHaveBeenCalledWith('cf-fn')
+      expect(plugin._cloudFrontFunctionARNs).toEqual({
+        'cf-fn': 'cf-fn-arn-live'
+      })
+    })
+
+    it('shows functions that are not published yet by name', async () => {
+      plugin.getCloudFrontFunctionARN.mockResolvedValue(null)
+
+      await plugin.deployCloudFrontFunctions(false)
+
+      expect(plugin._cloudFrontFunctionARNs).toEqual({
+        'cf-fn': 'cf-fn (not published yet)'
+      })
+    })
+  })
+
+  describe('deployCloudFrontFunction', () => {
+    const cfFunction = { name: 'cf-fn', handler: 'src/cf.handler' }
+    const published = {
+      FunctionSummary: {
+        FunctionMetadata: {
+          FunctionARN: 'arn:aws:cloudfront::123:function/cf-fn'
+        }
+      }
+    }
+
+    beforeEach(() => {
+      plugin.readCloudFrontFunctionCode = jest
+        .fn()
+        .mockReturnValue(Buffer.from('function handler(event) {}'))
+    })
+
+    it('creates and publishes a new function', async () => {
+      plugin.provider.request
+        .mockRejectedValueOnce(
+          Object.assign(new Error('The function does not exist'), {
+            providerError: { code: 'NoSuchFunctionExists' }
+          })
+        )
+        .mockResolvedValueOnce({ ETag: 'etag-created' })
+        .mockResolvedValueOnce(published)
+
+      await expect(plugin.deployCloudFrontFunction(cfFunction)).resolves.toBe(
+        'arn:aws:cloudfront::123:function/cf-fn'
+      )
+
+      expect(plugin.readCloudFrontFunctionCode).toHaveBeenCalledWith(
+        'src/cf.handler'
+      )
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'createFunction',
+        {
+          Name: 'cf-fn',
+          FunctionConfig: {
+            Comment: 'Deployed by some-stack',
+            Runtime: 'cloudfront-js-1.0'
+          },
+          FunctionCode: Buffer.from('function handler(event) {}')
+        }
+      )
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'publishFunction',
+        { Name: 'cf-fn', IfMatch: 'etag-created' }
+      )
+    })
+
+    it('updates and publishes a changed function', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          ETag: 'etag-current',
+          FunctionCode: Buffer.from('function handler(event) { old }')
+        })
+        .mockResolvedValueOnce({ ETag: 'etag-updated' })
+        .mockResolvedValueOnce(published)
+
+      await plugin.deployCloudFrontFunction(cfFunction)
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'updateFunction',
+        {
+          Name: 'cf-fn',
+          IfMatch: 'etag-current',
+          FunctionConfig: {
+            Comment: 'Deployed by some-stack',
+            Runtime: 'cloudfront-js-1.0'
+          },
+          FunctionCode: Buffer.from('function handler(event) {}')
+        }
+      )
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'publishFunction',
+        { Name: 'cf-fn', IfMatch: 'etag-updated' }
+      )
+    })
+
+    it('only publishes an unchanged function', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          ETag: 'etag-current',
+          FunctionCode: Buffer.from('function handler(event) {}')
+        })
+        .mockResolvedValueOnce(published)
+
+      await plugin.deployCloudFrontFunction(cfFunction)
+
+      expect(plugin.provider.request).toHaveBeenCalledTimes(2)
+      expect(plugin.provider.request).toHaveBeenLastCalledWith(
+        'CloudFront',
+        'publishFunction',
+        { Name: 'cf-fn', IfMatch: 'etag-current' }
+      )
+    })
+
+    it('rejects on other errors', async () => {
+      plugin.provider.request.mockRejectedValueOnce(new Error('Access Denied'))
+
+      await expect(plugin.deployCloudFrontFunction(cfFunction)).rejects.toThrow(
+        'Access Denied'
+      )
+    })
+  })
+
+  describe('getCloudFrontFunctionARN', () => {
+    it('resolves the ARN of the live function', async () => {
+      plugin.provider.request.mockResolvedValueOnce({
+        FunctionSummary: {
+          FunctionMetadata: { FunctionARN: 'cf-fn-arn' }
+        }
+      })
+
+      await expect(plugin.getCloudFrontFunctionARN('cf-fn')).resolves.toBe(
+        'cf-fn-arn'
+      )
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'describeFunction',
+        { Name: 'cf-fn', Stage: 'LIVE' }
+      )
+    })
+
+    it('resolves null for a function that was never published', async () => {
+      plugin.provider.request.mockRejectedValueOnce(
+        Object.assign(new Error('not found'), {
+          providerError: { code: 'NoSuchFunctionExists' }
+        })
+      )
+
+      await expect(plugin.getCloudFrontFunctionARN('cf-fn')).resolves.toBe(null)
+    })
+
+    it('rethrows other errors', async () => {
+      plugin.provider.request.mockRejectedValueOnce(new Error('Access Denied'))
+
+      await expect(plugin.getCloudFrontFunctionARN('cf-fn')).rejects.toThrow(
+        'Access Denied'
+      )
+    })
+  })
+
+  describe('readCloudFrontFunctionCode', () => {
+    it('reads the source file of the handler', () => {
+      const servicePath = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-fn-'))
+      fs.mkdirSync(path.join(servicePath, 'src'))
+      fs.writeFileSync(
+        path.join(servicePath, 'src', 'rewrite.js'),
+        'function handler(event) {}'
+      )
+      stubbedSls.config = { servicePath }
+
+      expect(
+        plugin.readCloudFrontFunctionCode('src/rewrite.handler').toString()
+      ).toBe('function handler(event) {}')
+
+      fs.unlinkSync(path.join(servicePath, 'src', 'rewrite.js'))
+      fs.rmdirSync(path.join(servicePath, 'src'))
+      fs.rmdirSync(servicePath)
+    })
+  })
+
+  describe('getDistributionPhysicalIDs()', function () {
+    it('adds each distribution id once', () => {
+      plugin._pendingAssociations = [
+        {
+          fnLogicalName: 'some-fn1',
+          distributionID: 'ABC'
+        },
+        {
+          fnLogicalName: 'some-fn2',
+          distributionID: 'DEF'
+        },
+        {
+          fnLogicalName: 'some-fn2',
+          distributionID: 'ABC'
+        }
+      ]
+
+      expect(plugin.getDistributionPhysicalIDs()).toEqual({
+        ABC: {
+          distributionID: 'ABC'
+        },
+        DEF: {
+          distributionID: 'DEF'
+        }
+      })
+      expect(plugin.provider.request).not.toHaveBeenCalled()
+    })
+
+    it('returns an empty object if no distributionID', () => {
+      plugin._pendingAssociations = [
+        {
+          fnLogicalName: 'some-fn1'
+        }
+      ]
+      expect(plugin.getDistributionPhysicalIDs()).toEqual({})
+    })
+  })
+
+  describe('onBeforeDeploy', () => {
+    beforeEach(() => {
+      functions.rewriteFn = {
+        name: 'rewrite-fn',
+        cloudFrontFunction: {
+          distributionID: '123ABC',
+          eventType: 'viewer-request'
+        }
+      }
+      plugin.getStackFunctionNames = jest.fn().mockResolvedValue(['old-fn'])
+      plugin.listOwnedCloudFrontFunctions = jest
+        .fn()
+        .mockResolvedValue(['rewrite-fn', 'old-cf-fn'])
+      plugin.detachFunctionsFromDistributions = jest.fn().mockResolvedValue()
+      plugin.deleteCloudFrontFunctions = jest.fn().mockResolvedValue()
+    })
+
+    it('detaches stack functions that are no longer at the edge', async () => {
+      await plugin.onBeforeDeploy()
+
+      const filter = plugin.getStackFunctionNames.mock.calls[0][0]
+      expect(filter('log_id_someFn')).toBe(false)
+      expect(filter('log_id_removedFn')).toBe(true)
+      expect(plugin.detachFunctionsFromDistributions).toHaveBeenCalledWith(
+        ['old-fn'],
+        ['old-cf-fn']
+      )
+    })
+
+    it('deletes CloudFront Functions that are no longer configured', async () => {
+      await plugin.onBeforeDeploy()
+
+      expect(plugin.deleteCloudFrontFunctions).toHaveBeenCalledWith([
+        'old-cf-fn'
+      ])
+    })
+
+    it('only plans the detachments on a dry run', async () => {
+      plugin._opts['edge-dry-run'] = true
+
+      await plugin.onBeforeDeploy()
+
+      expect(plugin.detachFunctionsFromDistributions).not.toHaveBeenCalled()
+      expect(plugin.deleteCloudFrontFunctions).not.toHaveBeenCalled()
+      expect(plugin._plannedDetachments).toEqual({
+        fnNames: ['old-fn'],
+        cfFnNames: ['old-cf-fn']
+      })
+    })
+  })
+
+  describe('onBeforeDeploy with pending associations', () => {
+    it('resolves the distribution IDs before detaching', async () => {
+      plugin._pendingAssociations = []
+      plugin.resolveDistributionIDs = jest.fn().mockResolvedValue()
+      plugin.getStackFunctionNames = jest.fn().mockResolvedValue([])
+      plugin.listOwnedCloudFrontFunctions = jest.fn().mockResolvedValue([])
+      plugin.detachFunctionsFromDistributions = jest.fn().mockResolvedValue()
+
+      await plugin.onBeforeDeploy()
+
+      expect(plugin.resolveDistributionIDs).toHaveBeenCalled()
+    })
+  })
+
+  describe('validateExternalRoles', () => {
+    const trustPolicy = (services) =>
+      encodeURIComponent(
+        JSON.stringify({
+          Version: '2012-10-17',
+          Statement: services.map((svc) => ({
+            Effect: 'Allow',
+            Principal: { Service: svc },
+            Action: 'sts:AssumeRole'
+          }))
+        })
+      )
+
+    beforeEach(() => {
+      plugin._externalRoles = {
+        'arn:aws:iam::123456789012:role/service/edge': ['someFn', 'otherFn']
+      }
+    })
+
+    it('accepts roles Lambda@Edge can assume', async () => {
+      plugin.provider.request.mockResolvedValue({
+        Role: {
+          AssumeRolePolicyDocument: trustPolicy([
+            'lambda.amazonaws.com',
+            ['edgelambda.amazonaws.com']
+          ])
+        }
+      })
+
+      await plugin.validateExternalRoles()
+
+      expect(plugin.provider.request).toHaveBeenCalledWith('IAM', 'getRole', {
+        RoleName: 'edge'
+      })
+    })
+
+    it('fails on roles Lambda@Edge can not assume', async () => {
+      plugin.provider.request.mockResolvedValue({
+        Role: {
+          AssumeRolePolicyDocument: trustPolicy(['lambda.amazonaws.com'])
+        }
+      })
+
+      await expect(plugin.validateExternalRoles()).rejects.toThrow(
+        'IAM role arn:aws:iam::123456789012:role/service/edge of functions "someFn", "otherFn" can not be used by Lambda@Edge: its trust policy must allow "edgelambda.amazonaws.com" to assume it'
+      )
+    })
+
+    it('fails on missing roles', async () => {
+      plugin._externalRoles = {
+        'arn:aws:iam::123456789012:role/edge': ['someFn']
+      }
+      plugin.provider.request.mockRejectedValue({
+        providerError: { code: 'NoSuchEntity' }
+      })
+
+      await expect(plugin.validateExternalRoles()).rejects.toThrow(
+        'IAM role arn:aws:iam::123456789012:role/edge of function "someFn" does not exist'
+      )
+    })
+
+    it('passes on other errors', async () => {
+      const err = new Error('Access denied')
+
+      plugin.provider.request.mockRejectedValue(err)
+
+      await expect(plugin.validateExternalRoles()).rejects.toBe(err)
+    })
+
+    it('runs before deploy', async () => {
+      plugin.validateExternalRoles = jest.fn().mockResolvedValue()
+      plugin.getStackFunctionNames = jest.fn().mockResolvedValue([])
+      plugin.listOwnedCloudFrontFunctions = jest.fn().mockResolvedValue([])
+      plugin.detachFunctionsFromDistributions = jest.fn().mockResolvedValue()
+
+      await plugin.onBeforeDeploy()
+
+      expect(plugin.validateExternalRoles).toHaveBeenCalled()
+    })
+  })
+
+  describe('onBeforeRemove', () => {
+    beforeEach(() => {
+      plugin.getStackFunctionNames = jest.fn().mockResolvedValue(['fn1', 'fn2'])
+      plugin.listOwnedCloudFrontFunctions = jest
+        .fn()
+        .mockResolvedValue(['cf-fn'])
+      plugin.detachFunctionsFromDistributions = jest.fn().mockResolvedValue()
+      plugin.deleteCloudFrontFunctions = jest.fn().mockResolvedValue()
+    })
+
+    it('detaches every stack function', async () => {
+      await plugin.onBeforeRemove()
+
+      const filter = plugin.getStackFunctionNames.mock.calls[0][0]
+      expect(filter('log_id_someFn')).toBe(true)
+      expect(plugin.detachFunctionsFromDistributions).toHaveBeenCalledWith(
+        ['fn1', 'fn2'],
+        ['cf-fn']
+      )
+    })
+
+    it('deletes the CloudFront Functions once detached', async () => {
+      plugin.detachFunctionsFromDistributions.mockImplementation(() => {
+        expect(plugin.deleteCloudFrontFunctions).not.toHaveBeenCalled()
+        return Promise.resolve()
+      })
+
+      await plugin.onBeforeRemove()
+
+      expect(plugin.deleteCloudFrontFunctions).toHaveBeenCalledWith(['cf-fn'])
+    })
+  })
+
+  describe('getStackFunctionNames', () => {
+    it('resolves the names of the matching stack functions', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          StackResourceSummaries: [
+            {
+              LogicalResourceId: 'FnOneLambdaFunction',
+              PhysicalResourceId: 'fn-one',
+              ResourceType: 'AWS::Lambda::Function'
+            },
+            {
+              LogicalResourceId: 'FnOneLogGroup',
+              PhysicalResourceId: '/aws/lambda/fn-one',
+              ResourceType: 'AWS::Logs::LogGroup'
+            }
+          ],
+          NextToken: 'next'
+        })
+        .mockResolvedValueOnce({
+          StackResourceSummaries: [
+            {
+              LogicalResourceId: 'FnTwoLambdaFunction',
+              PhysicalResourceId: 'fn-two',
+              ResourceType: 'AWS::Lambda::Function'
+            }
+          ]
+        })
+
+      await expect(
+        plugin.getStackFunctionNames((logicalID) =>
+          logicalID.startsWith('FnTwo')
+        )
+      ).resolves.toEqual(['fn-two'])
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFormation',
+        'listStackResources',
+        { StackName: 'some-stack', NextToken: 'next' }
+      )
+    })
+
+    it('resolves an empty array if the stack does not exist', async () => {
+      plugin.provider.request.mockRejectedValueOnce(
+        new Error('Stack with id some-stack does not exist')
+      )
+
+      await expect(plugin.getStackFunctionNames(() => true)).resolves.toEqual(
+        []
+      )
+    })
+
+    it('rejects on other errors', async () => {
+      plugin.provider.request.mockRejectedValueOnce(new Error('Access Denied'))
+
+      await expect(plugin.getStackFunctionNames(() => true)).rejects.toThrow(
+        'Access Denied'
+      )
+    })
+  })
+
+  describe('findDistributionsAssociatedWith', () => {
+    it('resolves ids of distributions associated with the functions', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          DistributionList: {
+            IsTruncated: true,
+            NextMarker: 'marker-1',
+            Items: [
+              {
+                Id: 'DIST1',
+                DefaultCacheBehavior: {
+                  LambdaFunctionAssociations: {
+                    Items: [
+                      {
+                        EventType: 'viewer-request',
+                        LambdaFunctionARN:
+                          'arn:aws:lambda:us-east-1:123:function:fn-one:2'
+                      }
+                    ]
+                  }
+                },
+                CacheBehaviors: { Quantity: 0 }
+              },
+              {
+                Id: 'DIST2',
+                DefaultCacheBehavior: {
+                  LambdaFunctionAssociations: { Quantity: 0 }
+                },
+                CacheBehaviors: { Quantity: 0 }
+              }
+            ]
+          }
+        })
+        .mockResolvedValueOnce({
+          DistributionList: {
+            IsTruncated: false,
+            Items: [
+              {
+                Id: 'DIST3',
+                DefaultCacheBehavior: {
+                  LambdaFunctionAssociations: { Quantity: 0 }
+                },
+                CacheBehaviors: {
+                  Items: [
+                    {
+                      LambdaFunctionAssociations: {
+                        Items: [
+                          {
+                            EventType: 'origin-request',
+                            LambdaFunctionARN:
+                              'arn:aws:lambda:us-east-1:123:function:fn-two:7'
+                          }
+                        ]
+                      }
+                    }
+                  ]
+                }
+              }
+            ]
+          }
+        })
+
+      await expect(
+        plugin.findDistributionsAssociatedWith(['fn-one', 'fn-two'])
+      ).resolves.toEqual(['DIST1', 'DIST3'])
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'listDistributions',
+        { Marker: 'marker-1' }
+      )
+    })
+
+    it('resolves ids of distributions associated with the CloudFront Functions', async () => {
+      plugin.provider.request.mockResolvedValueOnce({
+        DistributionList: {
+          IsTruncated: false,
+          Items: [
+            {
+              Id: 'DIST1',
+              DefaultCacheBehavior: {
+                FunctionAssociations: {
+                  Items: [
+                    {
+                      EventType: 'viewer-request',
+                      FunctionARN: 'arn:aws:cloudfront::123:function/cf-fn'
+                    }
+                  ]
+                }
+              },
+              CacheBehaviors: { Quantity: 0 }
+            },
+            {
+              Id: 'DIST2',
+              DefaultCacheBehavior: {
+                FunctionAssociations: {
+                  Items: [
+                    {
+                      EventType: 'viewer-request',
+                      FunctionARN: 'arn:aws:cloudfront::123:function/other-fn'
+                    }
+                  ]
+                }
+              },
+              CacheBehaviors: { Quantity: 0 }
+            }
+          ]
+        }
+      })
+
+      await expect(
+        plugin.findDistributionsAssociatedWith([], ['cf-fn'])
+      ).resolves.toEqual(['DIST1'])
+    })
+  })
+
+  describe('listOwnedCloudFrontFunctions', () => {
+    it('resolves the functions deployed by the stack', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          FunctionList: {
+            NextMarker: 'marker-1',
+            Items: [
+              {
+                Name: 'cf-fn',
+                FunctionConfig: { Comment: 'Deployed by some-stack' }
+              },
+              {
+                Name: 'foreign-fn',
+                FunctionConfig: { Comment: 'Deployed by other-stack' }
+              }
+            ]
+          }
+        })
+        .mockResolvedValueOnce({
+          FunctionList: {
+            Items: [
+              {
+                Name: 'other-cf-fn',
+                FunctionConfig: { Comment: 'Deployed by some-stack' }
+              },
+              { Name: 'bare-fn', FunctionConfig: {} }
+            ]
+          }
+        })
+
+      await expect(plugin.listOwnedCloudFrontFunctions()).resolves.toEqual([
+        'cf-fn',
+        'other-cf-fn'
+      ])
+      expect(plugin.provider.request).toHaveBeenLastCalledWith(
+        'CloudFront',
+        'listFunctions',
+        { Marker: 'marker-1' }
+      )
+    })
+  })
+
+  describe('deleteCloudFrontFunctions', () => {
+    const error = (code) => {
+      const err = new Error(code)
+      err.providerError = { code }
+      return err
+    }
+
+    it('deletes each function with its ETag', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({ ETag: 'ETAG1' })
+        .mockResolvedValueOnce({})
+
+      await plugin.deleteCloudFrontFunctions(['cf-fn'])
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'describeFunction',
+        { Name: 'cf-fn', Stage: 'DEVELOPMENT' }
+      )
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'deleteFunction',
+        { Name: 'cf-fn', IfMatch: 'ETAG1' }
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Deleted CloudFront Function "cf-fn"'
+      )
+    })
+
+    it('ignores functions that no longer exist', async () => {
+      plugin.provider.request.mockRejectedValueOnce(
+        error('NoSuchFunctionExists')
+      )
+
+      await plugin.deleteCloudFrontFunctions(['cf-fn'])
+
+      expect(plugin.provider.request).toHaveBeenCalledTimes(1)
+    })
+
+    it('warns about functions that are still in use', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({ ETag: 'ETAG1' })
+        .mockRejectedValueOnce(error('FunctionInUse'))
+        .mockResolvedValueOnce({ ETag: 'ETAG2' })
+        .mockResolvedValueOnce({})
+
+      await plugin.deleteCloudFrontFunctions(['cf-fn', 'other-cf-fn'])
+
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'WARNING: CloudFront Function "cf-fn" is still associated with a distribution and was not deleted'
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Deleted CloudFront Function "other-cf-fn"'
+      )
+    })
+
+    it('passes on other errors', async () => {
+      const err = error('AccessDenied')
+
+      plugin.provider.request.mockRejectedValueOnce(err)
+
+      await expect(plugin.deleteCloudFrontFunctions(['cf-fn'])).rejects.toBe(
+        err
+      )
+    })
+  })
+
+  describe('resolveDistributionIDs', () => {
+    it('resolves each distinct lookup once', async () => {
+      plugin._pendingAssociations = [
+        { distributionID: 'EXISTING' },
+        { distributionID: null, distributionAlias: 'www.example.com' },
+        { distributionID: null, distributionAlias: 'www.example.com' },
+        { distributionID: null, distributionExport: 'web-distribution' }
+      ]
+      plugin.findDistributionByAlias = jest.fn().mockResolvedValue('ALIASED')
+      plugin.getExportValue = jest.fn().mockResolvedValue('EXPORTED')
+
+      await plugin.resolveDistributionIDs()
+
+      expect(
+        plugin._pendingAssociations.map((pending) => pending.distributionID)
+      ).toEqual(['EXISTING', 'ALIASED', 'ALIASED', 'EXPORTED'])
+      expect(plugin.findDistributionByAlias).toHaveBeenCalledTimes(1)
+      expect(plugin.getExportValue).toHaveBeenCalledWith('web-distribution')
+    })
+
+    it('resolves tags', async () => {
+      plugin._pendingAssociations = [
+        { distributionID: null, distributionTag: { Service: 'web' } }
+      ]
+      plugin.findDistributionByTags = jest.fn().mockResolvedValue('TAGGED')
+
+      await plugin.resolveDistributionIDs()
+
+      expect(plugin._pendingAssociations[0].distributionID).toBe('TAGGED')
+      expect(plugin.findDistributionByTags).toHaveBeenCalledWith({
+        Service: 'web'
+      })
+    })
+  })
+
+  describe('findDistributionByAlias', () => {
+    beforeEach(() => {
+      plugin.listDistributionSummaries = jest.fn().mockResolvedValue([
+        { Id: 'DIST1', Aliases: { Quantity: 1, Items: ['www.example.com'] } },
+        { Id: 'DIST2', Aliases: { Quantity: 0 } },
+        {
+          Id: 'DIST3',
+          Aliases: { Quantity: 2, Items: ['shop.example.com', 'Dup.com'] }
+        },
+        { Id: 'DIST4', Aliases: { Quantity: 1, Items: ['dup.com'] } }
+      ])
+    })
+
+    it('finds the distribution with the alias', async () => {
+      await expect(
+        plugin.findDistributionByAlias('WWW.example.com')
+      ).resolves.toBe('DIST1')
+    })
+
+    it('fails if no distribution has the alias', async () => {
+      await expect(
+        plugin.findDistributionByAlias('nope.example.com')
+      ).rejects.toThrow(
+        'No CloudFront distribution matches alias "nope.example.com"'
+      )
+    })
+
+    it('fails if several distributions have the alias', async () => {
+      await expect(plugin.findDistributionByAlias('dup.com')).rejects.toThrow(
+        'Several CloudFront distributions match alias "dup.com": DIST3, DIST4'
+      )
+    })
+  })
+
+  describe('findDistributionByTags', () => {
+    it('finds the distribution with all the tags', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          ResourceTagMappingList: [],
+          PaginationToken: 'next'
+        })
+        .mockResolvedValueOnce({
+          ResourceTagMappingList: [
+            {
+              ResourceARN:
+                'arn:aws:cloudfront::123456789012:distribution/EDFDVBD6EXAMPLE'
+            }
+          ],
+          PaginationToken: ''
+        })
+
+      await expect(
+        plugin.findDistributionByTags({ Service: 'web', Stage: 'prod' })
+      ).resolves.toBe('EDFDVBD6EXAMPLE')
+
+      expect(plugin.provider.request).toHaveBeenLastCalledWith(
+        'ResourceGroupsTaggingAPI',
+        'getResources',
+        {
+          ResourceTypeFilters: ['cloudfront:distribution'],
+          TagFilters: [
+            { Key: 'Service', Values: ['web'] },
+            { Key: 'Stage', Values: ['prod'] }
+          ],
+          PaginationToken: 'next'
+        },
+        { region: 'us-east-1' }
+      )
+    })
+
+    it('fails if several distributions have the tags', async () => {
+      plugin.provider.request.mockResolvedValueOnce({
+        ResourceTagMappingList: [
+          { ResourceARN: 'arn:aws:cloudfront::1:distribution/DIST1' },
+          { ResourceARN: 'arn:aws:cloudfront::1:distribution/DIST2' }
+        ]
+      })
+
+      await expect(
+        plugin.findDistributionByTags({ Service: 'web' })
+      ).rejects.toThrow(
+        'Several CloudFront distributions match tags Service=web: DIST1, DIST2'
+      )
+    })
+  })
+
+  describe('getExportValue', () => {
+    it('pages through the exports', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          Exports: [{ Name: 'other', Value: 'OTHER' }],
+          NextToken: 'next'
+        })
+        .mockResolvedValueOnce({
+          Exports: [{ Name: 'web-distribution', Value: 'EXPORTED' }]
+        })
+
+      await expect(plugin.getExportValue('web-distribution')).resolves.toBe(
+        'EXPORTED'
+      )
+      expect(plugin.provider.request).toHaveBeenLastCalledWith(
+        'CloudFormation',
+        'listExports',
+        { NextToken: 'next' }
+      )
+    })
+
+    it('fails if the export does not exist', async () => {
+      plugin.provider.request.mockResolvedValueOnce({ Exports: [] })
+
+      await expect(plugin.getExportValue('missing')).rejects.toThrow(
+        'No CloudFormation export named "missing"'
+      )
+    })
+  })
+
+  describe('detachFunctionsFromDistributions', () => {
+    beforeEach(() => {
+      plugin.findDistributionsAssociatedWith = jest
+        .fn()
+        .mockResolvedValue(['DIST1', 'DIST2'])
+      plugin.updateDistributionConfig = jest.fn().mockResolvedValue(true)
+      plugin.removeAssociationsFromConfig = jest.fn()
+    })
+
+    it('does nothing without function names', async () => {
+      await plugin.detachFunctionsFromDistributions([])
+      expect(plugin.findDistributionsAssociatedWith).not.toHaveBeenCalled()
+    })
+
+    it('removes the associations from each distribution', async () => {
+      await plugin.detachFunctionsFromDistributions(['fn-one'])
+
+      expect(plugin.updateDistributionConfig).toHaveBeenCalledTimes(2)
+      expect(plugin.updateDistributionConfig).toHaveBeenCalledWith(
+        'DIST2',
+        expect.any(Function),
+        'to remove Lambda@Edge associations from it'
+      )
+
+      plugin.updateDistributionConfig.mock.calls[0][1]({ config: 1 })
+      expect(plugin.removeAssociationsFromConfig).toHaveBeenCalledWith(
+        { config: 1 },
+        ['fn-one'],
+        []
+      )
+    })
+
+    it('detaches CloudFront Functions too', async () => {
+      await plugin.detachFunctionsFromDistributions([], ['cf-fn'])
+
+      expect(plugin.findDistributionsAssociatedWith).toHaveBeenCalledWith(
+        [],
+        ['cf-fn']
+      )
+      plugin.updateDistributionConfig.mock.calls[0][1]({ config: 1 })
+      expect(plugin.removeAssociationsFromConfig).toHaveBeenCalledWith(
+        { config: 1 },
+        [],
+        ['cf-fn']
+      )
+    })
+  })
+
+  describe('removeAssociationsFromConfig', () => {
+    let distConfig
+
+    beforeEach(() => {
+      distConfig = {
+        DefaultCacheBehavior: {
+          LambdaFunctionAssociations: {
+            Quantity: 2,
+            Items: [
+              {
+                EventType: 'viewer-request',
+                LambdaFunctionARN:
+                  'arn:aws:lambda:us-east-1:123:function:fn-one:2'
+              },
+              {
+                EventType: 'origin-request',
+                LambdaFunctionARN:
+                  'arn:aws:lambda:us-east-1:123:function:other-fn:1'
+              }
+            ]
+          }
+        },
+        CacheBehaviors: {
+          Items: [
+            {
+              LambdaFunctionAssociations: {
+                Quantity: 0
+              }
+            }
+          ]
+        }
+      }
+    })
+
+    it('removes associations to the functions', () => {
+      expect(plugin.removeAssociationsFromConfig(distConfig, ['fn-one'])).toBe(
+        true
+      )
+
+      expect(
+        distConfig.DefaultCacheBehavior.LambdaFunctionAssociations
+      ).toEqual({
+        Quantity: 1,
+        Items: [
+          {
+            EventType: 'origin-request',
+            LambdaFunctionARN:
+              'arn:aws:lambda:us-east-1:123:function:other-fn:1'
+          }
+        ]
+      })
+      expect(
+        distConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations
+      ).toEqual({ Quantity: 0 })
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Removing Lambda@Edge association for viewer-request: arn:aws:lambda:us-east-1:123:function:fn-one:2'
+      )
+    })
+
+    it('returns false if nothing was removed', () => {
+      expect(
+        plugin.removeAssociationsFromConfig(distConfig, ['unknown-fn'])
+      ).toBe(false)
+    })
+
+    it('removes associations to the CloudFront Functions', () => {
+      distConfig.CacheBehaviors.Items[0].FunctionAssociations = {
+        Quantity: 2,
+        Items: [
+          {
+            EventType: 'viewer-request',
+            FunctionARN: 'arn:aws:cloudfront::123:function/cf-fn'
+          },
+          {
+            EventType: 'viewer-response',
+            FunctionARN: 'arn:aws:cloudfront::123:function/other-cf-fn'
+          }
+        ]
+      }
+
+      expect(
+        plugin.removeAssociationsFromConfig(distConfig, [], ['cf-fn'])
+      ).toBe(true)
+
+      expect(distConfig.CacheBehaviors.Items[0].FunctionAssociations).toEqual({
+        Quantity: 1,
+        Items: [
+          {
+            EventType: 'viewer-response',
+            FunctionARN: 'arn:aws:cloudfront::123:function/other-cf-fn'
+          }
+        ]
+      })
+      expect(
+        distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Quantity
+      ).toBe(2)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Removing CloudFront Function association for viewer-request: arn:aws:cloudfront::123:function/cf-fn'
+      )
+    })
+  })
+
+  describe('onBeforeDeployFinalize', () => {
+    beforeEach(() => {
+      plugin._pendingAssociations = []
+      plugin.getFunctionsToAssociate = jest.fn().mockResolvedValue({
+        ABC444: [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'some-fn1-arn'
+          }
+        ]
+      })
+
+      plugin.getDistributionPhysicalIDs = jest.fn().mockResolvedValue({
+        'some-fn1': {
+          distributionID: 'ABC444'
+        }
+      })
+
+      plugin.loadOwnedFunctionNames = jest.fn().mockResolvedValue()
+      plugin.updateDistributionsAsNecessary = jest.fn().mockResolvedValue()
+    })
+
+    it('returns if no pending associations', async () => {
+      await plugin.onBeforeDeployFinalize()
+      expect(plugin.getFunctionsToAssociate).not.toHaveBeenCalled()
+    })
+
+    it('updates pending associations', async () => {
+      plugin._pendingAssociations = [
+        {
+          fnLogicalName: 'some-fn1',
+          distributionID: 'ABC444'
+        }
+      ]
+      await plugin.onBeforeDeployFinalize()
+
+      expect(plugin.getFunctionsToAssociate).toHaveBeenCalledTimes(1)
+      expect(plugin.getDistributionPhysicalIDs).toHaveBeenCalledTimes(1)
+      expect(plugin.updateDistributionsAsNecessary).toHaveBeenCalledWith(
+        {
+          ABC444: [
+            {
+              eventType: 'viewer-request',
+              fnARN: 'some-fn1-arn'
+            }
+          ]
+        },
+        {
+          'some-fn1': {
+            distributionID: 'ABC444'
+          }
+        }
+      )
+    })
+
+    it('plans instead of updating on a dry run', async () => {
+      plugin._opts['edge-dry-run'] = true
+      plugin.planDistributions = jest.fn().mockResolvedValue()
+      plugin._pendingAssociations = [
+        {
+          fnLogicalName: 'some-fn1',
+          distributionID: 'ABC444'
+        }
+      ]
+      await plugin.onBeforeDeployFinalize()
+
+      expect(plugin.updateDistributionsAsNecessary).not.toHaveBeenCalled()
+      expect(plugin.planDistributions).toHaveBeenCalledWith(
+        {
+          ABC444: [
+            {
+              eventType: 'viewer-request',
+              fnARN: 'some-fn1-arn'
+            }
+          ]
+        },
+        {
+          'some-fn1': {
+            distributionID: 'ABC444'
+          }
+        }
+      )
+    })
+
+    it('plans the detachments on a dry run without associations', async () => {
+      plugin._opts['edge-dry-run'] = true
+      plugin._plannedDetachments = { fnNames: ['old-fn'], cfFnNames: [] }
+      plugin.planDistributions = jest.fn().mockResolvedValue()
+
+      await plugin.onBeforeDeployFinalize()
+
+      expect(plugin.updateDistributionsAsNecessary).not.toHaveBeenCalled()
+      expect(plugin.planDistributions).toHaveBeenCalledWith({}, {})
+    })
+
+    it('pluralizes message', async () => {
+      plugin._pendingAssociations = [
+        {
+          fnLogicalName: 'some-fn1',
+          distributionID: 'ABC'
+        },
+        {
+          fnLogicalName: 'some-fn2',
+          distributionID: 'ABC'
+        }
+      ]
+      await plugin.onBeforeDeployFinalize()
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Checking to see if 2 functions need to be associated to CloudFront.'
+      )
+    })
+
+    /// making sure it returns a promise
+    it('resolves undefined if no pending associations', () => {
+      plugin._pendingAssociations = []
+      return plugin.onBeforeDeployFinalize().then((res) => {
+        expect(res).toBeUndefined()
+        expect(plugin.getFunctionsToAssociate).not.toHaveBeenCalled()
+        expect(plugin.getDistributionPhysicalIDs).not.toHaveBeenCalled()
+      })
+    })
+  })
+
+  describe('updateDistributionAsNecessary', () => {
+    let _dist
+    beforeEach(() => {
+      _dist = {
+        distributionID: '123ABC'
+      }
+      functions = {
+        '123ABC': [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'web-dist1-arn'
+          }
+        ]
+      }
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          Distribution: {
+            Status: 'Deploying'
+          }
+        })
+        .mockResolvedValueOnce()
+      plugin.modifyDistributionConfigIfNeeded = jest.fn().mockReturnValue(true)
+      plugin.waitForDistributionDeployed = jest.fn().mockResolvedValue({
+        Distribution: {
+          Status: 'Deployed',
+          DistributionConfig: {
+            Dist: 'config'
+          }
+        },
+        ETag: 'etag-1'
+      })
+    })
+
+    it('update distribution if config changed', async () => {
+      await plugin.updateDistributionAsNecessary(functions, _dist)
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'getDistribution',
+        {
+          Id: _dist.distributionID
+        }
+      )
+
+      expect(plugin.waitForDistributionDeployed).toHaveBeenCalledWith(
+        _dist.distributionID
+      )
+
+      expect(plugin._alreadyWaitingForUpdates).toContain(_dist.distributionID)
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'updateDistribution',
+        {
+          Id: _dist.distributionID,
+          DistributionConfig: {
+            Dist: 'config'
+          },
+          IfMatch: 'etag-1'
+        }
+      )
+
+      expect(plugin.waitForDistributionDeployed).toHaveBeenCalledTimes(2)
+    })
+
+    describe('when the distribution is modified concurrently', () => {
+      let conflict
+      let updateError
+
+      beforeEach(() => {
+        let getCount = 0
+
+        conflict = Object.assign(
+          new Error(
+            "The request failed because it didn't meet the preconditions in one or more request-header fields."
+          ),
+          { providerError: { code: 'PreconditionFailed' } }
+        )
+        updateError = jest.fn()
+        plugin.sleep = jest.fn().mockResolvedValue()
+        plugin.waitForDistributionDeployed = jest.fn().mockResolvedValue()
+        plugin.provider.request = jest.fn(async (svc, method, params) => {
+          if (method === 'getDistribution') {
+            getCount++
+            return {
+              Distribution: {
+                Status: 'Deployed',
+                DistributionConfig: { Dist: 'config-' + getCount }
+              },
+              ETag: 'etag-' + getCount
+            }
+          }
+
+          const err = updateError(params)
+          if (err) {
+            throw err
+          }
+        })
+      })
+
+      it('re-applies the changes to a fresh config and retries', async () => {
+        updateError.mockReturnValueOnce(conflict)
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(plugin.modifyDistributionConfigIfNeeded).toHaveBeenCalledTimes(2)
+        expect(
+          plugin.modifyDistributionConfigIfNeeded
+        ).toHaveBeenLastCalledWith(
+          { Dist: 'config-2' },
+          functions['123ABC'],
+          []
+        )
+        expect(plugin.provider.request).toHaveBeenLastCalledWith(
+          'CloudFront',
+          'updateDistribution',
+          {
+            Id: _dist.distributionID,
+            DistributionConfig: { Dist: 'config-2' },
+            IfMatch: 'etag-2'
+          }
+        )
+        expect(plugin.sleep).toHaveBeenCalledWith(2000)
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Distribution "123ABC" was modified by someone else, retrying in 2 seconds (attempt 2 of 5)'
+        )
+        expect(plugin.waitForDistributionDeployed).toHaveBeenCalledTimes(1)
+      })
+
+      it('gives up after maxUpdateAttempts', async () => {
+        stubbedSls.service.custom = { lambdaAtEdge: { maxUpdateAttempts: 3 } }
+        updateError.mockReturnValue(
+          Object.assign(new Error('Invalid If-Match version'), {
+            providerError: { code: 'InvalidIfMatchVersion' }
+          })
+        )
+
+        await expect(
+          plugin.updateDistributionAsNecessary(functions, _dist)
+        ).rejects.toThrow(
+          'Distribution "123ABC" kept being modified by someone else, gave up after 3 attempts: Invalid If-Match version'
+        )
+        expect(plugin.sleep.mock.calls).toEqual([[2000], [4000]])
+        expect(plugin.waitForDistributionDeployed).not.toHaveBeenCalled()
+      })
+
+      it('does not retry other errors', async () => {
+        updateError.mockReturnValue(new Error('Access Denied'))
+
+        await expect(
+          plugin.updateDistributionAsNecessary(functions, _dist)
+        ).rejects.toThrow('Access Denied')
+        expect(plugin.sleep).not.toHaveBeenCalled()
+      })
+    })
+
+    it('does not wait if waitForDeployment is false', async () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { waitForDeployment: false } }
+      plugin.provider.request = jest
+        .fn()
+        .mockResolvedValueOnce({
+          Distribution: {
+            Status: 'InProgress',
+            DistributionConfig: { Dist: 'config' }
+          },
+          ETag: 'etag-2'
+        })
+        .mockResolvedValueOnce()
+
+      await plugin.updateDistributionAsNecessary(functions, _dist)
+
+      expect(plugin.waitForDistributionDeployed).not.toHaveBeenCalled()
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'updateDistribution',
+        {
+          Id: _dist.distributionID,
+          DistributionConfig: { Dist: 'config' },
+          IfMatch: 'etag-2'
+        }
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Not waiting for distribution "123ABC" to be deployed'
+      )
+    })
+
+    it('skips updates if not changed', async () => {
+      plugin.modifyDistributionConfigIfNeeded.mockReturnValue(false)
+      plugin.provider.request = jest.fn().mockResolvedValueOnce({
+        Distribution: {
+          Status: 'Deployed'
+        }
+      })
+      await plugin.updateDistributionAsNecessary(functions, _dist)
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'getDistribution',
+        {
+          Id: _dist.distributionID
+        }
+      )
+
+      expect(plugin.waitForDistributionDeployed).not.toHaveBeenCalled()
+      expect(plugin.provider.request).toHaveBeenCalledTimes(1)
+    })
+
+    describe('with invalidate', () => {
+      let config
+
+      beforeEach(() => {
+        config = {
+          DefaultCacheBehavior: {},
+          CacheBehaviors: {
+            Quantity: 2,
+            Items: [{ PathPattern: 'api/*' }, { PathPattern: '/img/*' }]
+          }
+        }
+        plugin.waitForDistributionDeployed = jest.fn().mockResolvedValue()
+        plugin.provider.request = jest.fn(async (svc, method) => {
+          if (method === 'getDistribution') {
+            return {
+              Distribution: { Status: 'Deployed', DistributionConfig: config },
+              ETag: 'etag-1'
+            }
+          }
+
+          if (method === 'createInvalidation') {
+            return { Invalidation: { Id: 'INV1', Status: 'InProgress' } }
+          }
+        })
+        plugin.modifyDistributionConfigIfNeeded.mockImplementation((cfg) => {
+          cfg.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+            Quantity: 1,
+            Items: [{ EventType: 'viewer-request', LambdaFunctionARN: 'arn' }]
+          }
+          return true
+        })
+      })
+
+      it('invalidates the configured paths', async () => {
+        stubbedSls.service.custom = {
+          lambdaAtEdge: { invalidate: ['/index.html', '/app/*'] }
+        }
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(plugin.provider.request).toHaveBeenLastCalledWith(
+          'CloudFront',
+          'createInvalidation',
+          {
+            DistributionId: '123ABC',
+            InvalidationBatch: {
+              CallerReference: expect.stringMatching(/^some-stack-\d+$/),
+              Paths: { Quantity: 2, Items: ['/index.html', '/app/*'] }
+            }
+          }
+        )
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Created invalidation "INV1" on distribution "123ABC" for /index.html, /app/*'
+        )
+      })
+
+      it('invalidates the behaviors that changed with auto', async () => {
+        stubbedSls.service.custom = { lambdaAtEdge: { invalidate: 'auto' } }
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(
+          plugin.provider.request.mock.calls[2][2].InvalidationBatch.Paths
+        ).toEqual({ Quantity: 1, Items: ['/api/*'] })
+      })
+
+      it('cuts path patterns at their first wildcard with auto', async () => {
+        stubbedSls.service.custom = { lambdaAtEdge: { invalidate: 'auto' } }
+        config.CacheBehaviors = {
+          Quantity: 5,
+          Items: [
+            { PathPattern: '*.jpg' },
+            { PathPattern: 'images/*.png' },
+            { PathPattern: '/images/*.gif' },
+            { PathPattern: 'v?/users' },
+            { PathPattern: 'robots.txt' }
+          ]
+        }
+        plugin.modifyDistributionConfigIfNeeded.mockImplementation((cfg) => {
+          cfg.CacheBehaviors.Items.forEach((beh) => {
+            beh.LambdaFunctionAssociations = { Quantity: 0, Items: [] }
+          })
+          return true
+        })
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(
+          plugin.provider.request.mock.calls[2][2].InvalidationBatch.Paths
+        ).toEqual({
+          Quantity: 4,
+          Items: ['/*', '/images/*', '/v*', '/robots.txt']
+        })
+      })
+
+      it('invalidates everything when the default behavior changed', async () => {
+        stubbedSls.service.custom = {
+          lambdaAtEdge: { invalidate: { paths: 'auto' } }
+        }
+        plugin.modifyDistributionConfigIfNeeded.mockImplementation((cfg) => {
+          cfg.CacheBehaviors.Items[1].FunctionAssociations = { Quantity: 0 }
+          cfg.DefaultCacheBehavior.FunctionAssociations = { Quantity: 0 }
+          return true
+        })
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(
+          plugin.provider.request.mock.calls[2][2].InvalidationBatch.Paths
+        ).toEqual({ Quantity: 1, Items: ['/*'] })
+      })
+
+      it('waits for the invalidation with wait', async () => {
+        stubbedSls.service.custom = {
+          lambdaAtEdge: { invalidate: { paths: ['/*'], wait: true } }
+        }
+        plugin.waitForInvalidation = jest.fn().mockResolvedValue()
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(plugin.waitForInvalidation).toHaveBeenCalledWith(
+          '123ABC',
+          'INV1'
+        )
+      })
+
+      it('does not invalidate without waiting for the deployment', async () => {
+        stubbedSls.service.custom = {
+          lambdaAtEdge: { invalidate: 'auto', waitForDeployment: false }
+        }
+
+        await plugin.updateDistributionAsNecessary(functions, _dist)
+
+        expect(plugin.provider.request).not.toHaveBeenCalledWith(
+          'CloudFront',
+          'createInvalidation',
+          expect.anything()
+        )
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Not invalidating distribution "123ABC" because we did not wait for it to be deployed'
+        )
+      })
+    })
+  })
+
+  describe('waitForInvalidation', () => {
+    beforeEach(() => {
+      plugin.sleep = jest.fn().mockResolvedValue()
+      plugin._opts = {}
+    })
+
+    it('polls until the invalidation is completed', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({ Invalidation: { Status: 'InProgress' } })
+        .mockResolvedValueOnce({ Invalidation: { Status: 'Completed' } })
+
+      await plugin.waitForInvalidation('123ABC', 'INV1')
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'getInvalidation',
+        { DistributionId: '123ABC', Id: 'INV1' }
+      )
+      expect(plugin.sleep).toHaveBeenCalledTimes(1)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Invalidation "INV1" is completed'
+      )
+    })
+
+    it('gives up after maxWaitSeconds', async () => {
+      const now = jest.spyOn(Date, 'now')
+
+      plugin._opts['edge-max-wait'] = '60'
+      now.mockReturnValueOnce(0).mockReturnValue(61000)
+      plugin.provider.request.mockResolvedValue({
+        Invalidation: { Status: 'InProgress' }
+      })
+
+      try {
+        await expect(
+          plugin.waitForInvalidation('123ABC', 'INV1')
+        ).rejects.toThrow(
+          'Timed out after 60 seconds waiting for invalidation "INV1" of distribution "123ABC" to complete'
+        )
+      } finally {
+        now.mockRestore()
+      }
+      expect(plugin.sleep).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('waitForDistributionDeployed', () => {
+    let cfWaitForStub
+    let cloudFrontStub
+    let distPhysicalID
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      distPhysicalID = 'success-dist-id'
+
+      cfWaitForStub = jest.fn()
+
+      cloudFrontStub = jest.fn().mockImplementation(() => {
+        return {
+          waitFor: jest.fn((evName, params, cb) => {
+            cfWaitForStub(evName, { Id: params.Id }, cb)
+            cloudFrontStub.__params = params
+            cloudFrontStub.__callback = cb
+          })
+        }
+      })
+
+      plugin.provider.sdk = {
+        CloudFront: cloudFrontStub
+      }
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('shares the wait if already waiting for the distribution', async () => {
+      const prom1 = plugin.waitForDistributionDeployed(distPhysicalID)
+      const prom2 = plugin.waitForDistributionDeployed(distPhysicalID)
+
+      expect(prom2).toBe(prom1)
+      expect(cloudFrontStub).toHaveBeenCalledTimes(1)
+
+      cloudFrontStub.__callback(null, {
+        Distribution: {
+          Status: 'Deployed'
+        }
+      })
+      await prom1
+
+      const prom3 = plugin.waitForDistributionDeployed(distPhysicalID)
+      expect(cloudFrontStub).toHaveBeenCalledTimes(2)
+
+      cloudFrontStub.__callback(null, {
+        Distribution: {
+          Status: 'Deployed'
+        }
+      })
+      await prom3
+    })
+
+    it('waits for different distributions separately', async () => {
+      const proms = [
+        plugin.waitForDistributionDeployed(distPhysicalID),
+        plugin.waitForDistributionDeployed('other-dist-id')
+      ]
+
+      expect(cfWaitForStub).toHaveBeenCalledWith(
+        'distributionDeployed',
+        { Id: 'other-dist-id' },
+        expect.any(Function)
+      )
+      expect(cloudFrontStub).toHaveBeenCalledTimes(2)
+
+      cfWaitForStub.mock.calls.forEach(([, , cb]) =>
+        cb(null, {
+          Distribution: {
+            Status: 'Deployed'
+          }
+        })
+      )
+      await Promise.all(proms)
+    })
+
+    it('prints out status', async () => {
+      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
+      expect(cloudFrontStub).toHaveBeenCalledWith({ aws: 'creds' })
+      jest.advanceTimersByTime(1000)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        `Waiting for CloudFront distribution "${distPhysicalID}" to be deployed`
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledTimes(2)
+      expect(stubbedSls.cli.printDot).toHaveBeenCalledTimes(1)
+
+      jest.advanceTimersByTime(2000)
+      expect(stubbedSls.cli.log).toHaveBeenCalledTimes(2)
+      expect(stubbedSls.cli.printDot).toHaveBeenCalledTimes(2)
+
+      cloudFrontStub.__callback(null, {
+        Distribution: {
+          Status: 'Deployed'
+        }
+      })
+
+      expect(await prom).toEqual({
+        Distribution: {
+          Status: 'Deployed'
+        }
+      })
+      expect(cfWaitForStub).toHaveBeenCalledWith(
+        'distributionDeployed',
+        { Id: distPhysicalID },
+        cloudFrontStub.__callback
+      )
+
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith('')
+
+      jest.runAllTimers()
+      expect(stubbedSls.cli.printDot).toHaveBeenCalledTimes(2)
+    })
+
+    it('rejects on error', async () => {
+      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
+
+      cloudFrontStub.__callback(new Error('AWS Timeout'))
+      await expect(prom).rejects.toThrow('AWS Timeout')
+    })
+
+    it('limits the wait to maxWaitSeconds', async () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { maxWaitSeconds: 300 } }
+      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
+
+      expect(cloudFrontStub.__params).toEqual({
+        Id: distPhysicalID,
+        $waiter: { delay: 60, maxAttempts: 5 }
+      })
+
+      cloudFrontStub.__callback(null, { Distribution: { Status: 'Deployed' } })
+      await prom
+    })
+
+    it('polls more often for short waits', async () => {
+      plugin._opts['edge-max-wait'] = '30'
+      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
+
+      expect(cloudFrontStub.__params).toEqual({
+        Id: distPhysicalID,
+        $waiter: { delay: 30, maxAttempts: 1 }
+      })
+
+      cloudFrontStub.__callback(null, { Distribution: { Status: 'Deployed' } })
+      await prom
+    })
+
+    it('rejects with the distribution status on timeout', async () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { maxWaitSeconds: 120 } }
+      plugin.provider.request.mockResolvedValueOnce({
+        Distribution: {
+          Status: 'InProgress',
+          LastModifiedTime: new Date('2021-01-13T10:00:00Z')
+        }
+      })
+      const prom = plugin.waitForDistributionDeployed(distPhysicalID)
+
+      cloudFrontStub.__callback(
+        Object.assign(new Error('Resource is not in the state'), {
+          code: 'ResourceNotReady'
+        })
+      )
+
+      await expect(prom).rejects.toThrow(
+        'Timed out after 120 seconds waiting for CloudFront distribution "success-dist-id" to be deployed. It is still "InProgress" (last modified 2021-01-13T10:00:00.000Z).'
+      )
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'getDistribution',
+        { Id: distPhysicalID }
+      )
+    })
+  })
+
+  describe('sleep', () => {
+    it('resolves after the delay', async () => {
+      jest.useFakeTimers()
+      const prom = plugin.sleep(2000)
+
+      jest.advanceTimersByTime(2000)
+      await expect(prom).resolves.toBeUndefined()
+      jest.useRealTimers()
+    })
+  })
+
+  describe('shouldWaitForDeployment', () => {
+    it('waits by default', () => {
+      expect(plugin.shouldWaitForDeployment()).toBe(true)
+    })
+
+    it('uses the custom setting', () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { waitForDeployment: false } }
+      expect(plugin.shouldWaitForDeployment()).toBe(false)
+    })
+
+    it('prefers the CLI option', () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { waitForDeployment: false } }
+      plugin._opts['edge-wait'] = true
+      expect(plugin.shouldWaitForDeployment()).toBe(true)
+
+      plugin._opts['edge-wait'] = 'false'
+      expect(plugin.shouldWaitForDeployment()).toBe(false)
+    })
+  })
+
+  describe('getMaxWaitSeconds', () => {
+    it('returns null by default', () => {
+      expect(plugin.getMaxWaitSeconds()).toBeNull()
+    })
+
+    it('prefers the CLI option', () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { maxWaitSeconds: 600 } }
+      expect(plugin.getMaxWaitSeconds()).toBe(600)
+
+      plugin._opts['edge-max-wait'] = '900'
+      expect(plugin.getMaxWaitSeconds()).toBe(900)
+    })
+
+    it('throws on an invalid value', () => {
+      plugin._opts['edge-max-wait'] = 'soon'
+      expect(() => plugin.getMaxWaitSeconds()).toThrow(
+        '"soon" is not a valid maximum wait, must be a positive number of seconds'
+      )
+    })
+  })
+
+  describe('updateDistributionsAsNecessary', () => {
+    beforeEach(() => {
+      plugin.updateDistributionAsNecessary = jest.fn().mockResolvedValue()
+    })
+
+    it('updates each distribution', async () => {
+      const _dists = {
+        FGE444: {
+          distributionID: 'FGE444'
+        },
+        ABC123: {
+          distributionID: 'ABC123'
+        }
+      }
+      await plugin.updateDistributionsAsNecessary(functions, _dists)
+      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledTimes(2)
+      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledWith(
+        functions,
+        _dists.FGE444
+      )
+      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledWith(
+        functions,
+        _dists.ABC123
+      )
+    })
+
+    it('updates a distribution listed twice once', async () => {
+      const _dists = {
+        fn1: {
+          distributionID: 'FGE444'
+        },
         fn2: {
-          distributionID: 'FGE444',
-          fnARN: 'fn2-arn'
+          distributionID: 'FGE444'
+        }
+      }
+      await plugin.updateDistributionsAsNecessary(functions, _dists)
+      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledTimes(1)
+    })
+
+    it('saves the history even if a distribution fails', async () => {
+      plugin.saveHistory = jest.fn().mockResolvedValue()
+      plugin.updateDistributionAsNecessary.mockRejectedValue(
+        new Error('Access Denied')
+      )
+
+      await expect(
+        plugin.updateDistributionsAsNecessary(functions, {
+          FGE444: { distributionID: 'FGE444' }
+        })
+      ).rejects.toThrow('Access Denied')
+      expect(plugin.saveHistory).toHaveBeenCalled()
+    })
+  })
+
+  describe('smokeTestDistribution', () => {
+    let server
+    let baseURL
+    let before
+    let config
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => {
+        res.statusCode = req.url === '/broken' ? 502 : 200
+        res.end('ok')
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      baseURL = `http://127.0.0.1:${server.address().port}`
+      plugin._opts = {}
+      before = {
+        DefaultCacheBehavior: {
+          LambdaFunctionAssociations: {
+            Quantity: 1,
+            Items: [{ EventType: 'viewer-request', LambdaFunctionARN: 'fn:1' }]
+          }
+        },
+        CacheBehaviors: {
+          Quantity: 1,
+          Items: [
+            {
+              PathPattern: 'api/*',
+              LambdaFunctionAssociations: { Quantity: 0, Items: [] }
+            }
+          ]
+        }
+      }
+      config = _.cloneDeep(before)
+      config.DefaultCacheBehavior.LambdaFunctionAssociations.Items[0].LambdaFunctionARN =
+        'fn:2'
+      config.CacheBehaviors.Items[0].LambdaFunctionAssociations = {
+        Quantity: 1,
+        Items: [{ EventType: 'origin-request', LambdaFunctionARN: 'or:1' }]
+      }
+      config.CacheBehaviors.Items[0].FunctionAssociations = { Quantity: 0 }
+      plugin.updateDistributionConfig = jest.fn(async (distID, modify) =>
+        modify(config)
+      )
+    })
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    it('does nothing unless configured', async () => {
+      await plugin.smokeTestDistribution('ABC', before)
+
+      expect(plugin.provider.request).not.toHaveBeenCalled()
+    })
+
+    it('runs the tests against the distribution', async () => {
+      stubbedSls.service.custom = {
+        lambdaAtEdge: { smokeTests: { tests: [{ url: `${baseURL}/` }] } }
+      }
+      plugin.provider.request.mockResolvedValue({
+        Distribution: { DomainName: 'd1.cloudfront.net' }
+      })
+
+      await plugin.smokeTestDistribution('ABC', before)
+
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Running 1 smoke tests against https://d1.cloudfront.net'
+      )
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Smoke tests passed on distribution "ABC"'
+      )
+    })
+
+    it('fails the deploy when a test fails', async () => {
+      stubbedSls.service.custom = {
+        lambdaAtEdge: {
+          smokeTests: { baseURL, tests: [{ url: '/' }, { url: '/broken' }] }
+        }
+      }
+
+      await expect(plugin.smokeTestDistribution('ABC', before)).rejects.toThrow(
+        `Smoke tests failed on distribution "ABC":\n  - GET ${baseURL}/broken: expected status 200, got 502`
+      )
+      expect(plugin.updateDistributionConfig).not.toHaveBeenCalled()
+    })
+
+    it('reverts the associations with revert', async () => {
+      stubbedSls.service.custom = {
+        lambdaAtEdge: {
+          smokeTests: { baseURL, revert: true, tests: [{ url: '/broken' }] }
+        }
+      }
+      plugin.recordHistory('ABC', [])
+      plugin.recordHistory('DEF', [])
+      plugin.invalidateDistribution = jest.fn().mockResolvedValue()
+
+      const failing = _.cloneDeep(config)
+
+      await expect(plugin.smokeTestDistribution('ABC', before)).rejects.toThrow(
+        'Its associations were reverted.'
+      )
+      expect(plugin.invalidateDistribution).toHaveBeenCalledWith(
+        'ABC',
+        failing,
+        config
+      )
+      expect(plugin.updateDistributionConfig).toHaveBeenCalledWith(
+        'ABC',
+        expect.any(Function),
+        'because its smoke tests failed'
+      )
+      expect(config).toEqual(before)
+      expect(_.keys(plugin._historyChanges)).toEqual(['DEF'])
+    })
+
+    it('does not run without waiting for the deployment', async () => {
+      plugin._opts['edge-wait'] = false
+      stubbedSls.service.custom = {
+        lambdaAtEdge: { smokeTests: { baseURL, tests: [{ url: '/broken' }] } }
+      }
+
+      await plugin.smokeTestDistribution('ABC', before)
+
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Not running smoke tests on distribution "ABC" because we did not wait for it to be deployed'
+      )
+    })
+
+    it('runs after updating a distribution', async () => {
+      plugin.modifyDistributionConfigIfNeeded = jest.fn().mockReturnValue(true)
+      plugin.invalidateDistribution = jest.fn().mockResolvedValue()
+      plugin.smokeTestDistribution = jest.fn().mockResolvedValue()
+
+      await plugin.updateDistributionAsNecessary(
+        { ABC: [] },
+        { distributionID: 'ABC' }
+      )
+
+      expect(plugin.smokeTestDistribution).toHaveBeenCalledWith('ABC', config)
+    })
+  })
+
+  describe('canary', () => {
+    let policy
+
+    beforeEach(() => {
+      stubbedSls.service.custom = { lambdaAtEdge: { canary: { weight: 0.1 } } }
+      policy = {
+        ContinuousDeploymentPolicy: {
+          ContinuousDeploymentPolicyConfig: {
+            StagingDistributionDnsNames: {
+              Quantity: 1,
+              Items: ['d2.cloudfront.net']
+            },
+            Enabled: true,
+            TrafficConfig: {
+              Type: 'SingleWeight',
+              SingleWeightConfig: { Weight: 0.1 }
+            }
+          }
+        },
+        ETag: 'policy-etag'
+      }
+      plugin.listDistributionSummaries = jest.fn().mockResolvedValue([
+        { Id: 'PRIMARY', DomainName: 'd1.cloudfront.net' },
+        { Id: 'STAGING', DomainName: 'd2.cloudfront.net', Staging: true }
+      ])
+    })
+
+    it('updates the staging distributions instead', async () => {
+      const fns = { PRIMARY: [{ eventType: 'viewer-request', fnARN: 'fn:2' }] }
+
+      plugin.saveHistory = jest.fn().mockResolvedValue()
+      plugin.getStagingDistributionID = jest.fn().mockResolvedValue('STAGING')
+      plugin.updateDistributionAsNecessary = jest.fn().mockResolvedValue()
+
+      await plugin.updateDistributionsAsNecessary(fns, {
+        PRIMARY: { distributionID: 'PRIMARY' }
+      })
+
+      expect(plugin.getStagingDistributionID).toHaveBeenCalledWith('PRIMARY')
+      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledWith(
+        { STAGING: fns.PRIMARY },
+        { distributionID: 'STAGING', staging: true }
+      )
+    })
+
+    it('does not invalidate staging distributions', async () => {
+      plugin.modifyDistributionConfigIfNeeded = jest.fn().mockReturnValue(true)
+      plugin.updateDistributionConfig = jest.fn(async (distID, modify) =>
+        modify({})
+      )
+      plugin.invalidateDistribution = jest.fn()
+
+      await plugin.updateDistributionAsNecessary(
+        { STAGING: [] },
+        { distributionID: 'STAGING', staging: true }
+      )
+
+      expect(plugin.invalidateDistribution).not.toHaveBeenCalled()
+    })
+
+    describe('getStagingDistributionID', () => {
+      beforeEach(() => {
+        plugin.updateDistributionConfig = jest.fn().mockResolvedValue(true)
+      })
+
+      it('finds the staging distribution of the policy', async () => {
+        plugin.provider.request
+          .mockResolvedValueOnce({
+            Distribution: {
+              DistributionConfig: { ContinuousDeploymentPolicyId: 'POLICY' }
+            }
+          })
+          .mockResolvedValueOnce(policy)
+
+        await expect(plugin.getStagingDistributionID('PRIMARY')).resolves.toBe(
+          'STAGING'
+        )
+        expect(plugin.provider.request).toHaveBeenLastCalledWith(
+          'CloudFront',
+          'getContinuousDeploymentPolicy',
+          { Id: 'POLICY' }
+        )
+        expect(plugin.updateDistributionConfig).not.toHaveBeenCalled()
+      })
+
+      it('updates the traffic config of the policy', async () => {
+        stubbedSls.service.custom.lambdaAtEdge.canary = {
+          header: { name: 'aws-cf-cd-canary', value: 'yes' }
+        }
+        plugin.provider.request
+          .mockResolvedValueOnce({
+            Distribution: {
+              DistributionConfig: { ContinuousDeploymentPolicyId: 'POLICY' }
+            }
+          })
+          .mockResolvedValueOnce(policy)
+          .mockResolvedValueOnce({})
+
+        await plugin.getStagingDistributionID('PRIMARY')
+
+        expect(plugin.provider.request).toHaveBeenLastCalledWith(
+          'CloudFront',
+          'updateContinuousDeploymentPolicy',
+          {
+            Id: 'POLICY',
+            IfMatch: 'policy-etag',
+            ContinuousDeploymentPolicyConfig: {
+              StagingDistributionDnsNames: {
+                Quantity: 1,
+                Items: ['d2.cloudfront.net']
+              },
+              Enabled: true,
+              TrafficConfig: {
+                Type: 'SingleHeader',
+                SingleHeaderConfig: {
+                  Header: 'aws-cf-cd-canary',
+                  Value: 'yes'
+                }
+              }
+            }
+          }
+        )
+      })
+
+      it('creates and links a staging distribution', async () => {
+        const config = { ContinuousDeploymentPolicyId: '' }
+
+        plugin.provider.request
+          .mockResolvedValueOnce({
+            Distribution: { DistributionConfig: config },
+            ETag: 'etag-1'
+          })
+          .mockResolvedValueOnce({
+            Distribution: { Id: 'STAGING', DomainName: 'd2.cloudfront.net' }
+          })
+          .mockResolvedValueOnce({ ContinuousDeploymentPolicy: { Id: 'NEW' } })
+
+        await expect(plugin.getStagingDistributionID('PRIMARY')).resolves.toBe(
+          'STAGING'
+        )
+        expect(plugin.provider.request).toHaveBeenCalledWith(
+          'CloudFront',
+          'copyDistribution',
+          {
+            PrimaryDistributionId: 'PRIMARY',
+            Staging: true,
+            CallerReference: expect.stringMatching(/^some-stack-\d+$/),
+            IfMatch: 'etag-1'
+          }
+        )
+        expect(plugin.provider.request).toHaveBeenLastCalledWith(
+          'CloudFront',
+          'createContinuousDeploymentPolicy',
+          {
+            ContinuousDeploymentPolicyConfig: {
+              StagingDistributionDnsNames: {
+                Quantity: 1,
+                Items: ['d2.cloudfront.net']
+              },
+              Enabled: true,
+              TrafficConfig: {
+                Type: 'SingleWeight',
+                SingleWeightConfig: { Weight: 0.1 }
+              }
+            }
+          }
+        )
+
+        const [
+          distID,
+          modify,
+          reason
+        ] = plugin.updateDistributionConfig.mock.calls[0]
+
+        expect(distID).toBe('PRIMARY')
+        expect(reason).toBe(
+          'to send part of its traffic to staging distribution "STAGING"'
+        )
+        expect(modify(config)).toBe(true)
+        expect(config.ContinuousDeploymentPolicyId).toBe('NEW')
+      })
+
+      it('fails if the staging distribution is gone', async () => {
+        plugin.listDistributionSummaries.mockResolvedValue([])
+        plugin.provider.request
+          .mockResolvedValueOnce({
+            Distribution: {
+              DistributionConfig: { ContinuousDeploymentPolicyId: 'POLICY' }
+            }
+          })
+          .mockResolvedValueOnce(policy)
+
+        await expect(
+          plugin.getStagingDistributionID('PRIMARY')
+        ).rejects.toThrow(
+          'The staging distribution "d2.cloudfront.net" of continuous deployment policy "POLICY" does not exist'
+        )
+      })
+    })
+
+    describe('promote', () => {
+      let primary
+      let staging
+
+      beforeEach(() => {
+        plugin._opts = {}
+        primary = {
+          Distribution: {
+            Status: 'Deployed',
+            DistributionConfig: { ContinuousDeploymentPolicyId: 'POLICY' }
+          },
+          ETag: 'primary-etag'
+        }
+        staging = {
+          Distribution: { Status: 'InProgress', DistributionConfig: {} },
+          ETag: 'staging-etag'
+        }
+        plugin.waitForDistributionDeployed = jest.fn(async (id) =>
+          id === 'STAGING'
+            ? Object.assign({}, staging, {
+                Distribution: Object.assign({}, staging.Distribution, {
+                  Status: 'Deployed'
+                }),
+                ETag: 'staging-etag-2'
+              })
+            : primary
+        )
+        plugin.invalidateDistribution = jest.fn().mockResolvedValue()
+        plugin.provider.request.mockImplementation(
+          async (svc, method, params) => {
+            if (method === 'getDistribution') {
+              return params.Id === 'PRIMARY' ? primary : staging
+            }
+
+            if (method === 'getContinuousDeploymentPolicy') {
+              return policy
+            }
+
+            return {}
+          }
+        )
+      })
+
+      it('promotes the staging distributions of the service', async () => {
+        plugin.promoteDistribution = jest.fn().mockResolvedValue()
+
+        await plugin.onEdgePromote()
+
+        expect(plugin.promoteDistribution.mock.calls).toEqual([['123ABC']])
+      })
+
+      it('does nothing without Lambda@Edge functions', async () => {
+        plugin.promoteDistribution = jest.fn()
+        delete functions.someFn.lambdaAtEdge
+
+        await plugin.onEdgePromote()
+
+        expect(plugin.promoteDistribution).not.toHaveBeenCalled()
+      })
+
+      it('copies the staging config once both are deployed', async () => {
+        await plugin.promoteDistribution('PRIMARY')
+
+        expect(plugin.waitForDistributionDeployed.mock.calls).toEqual([
+          ['STAGING'],
+          ['PRIMARY']
+        ])
+        expect(plugin.provider.request).toHaveBeenCalledWith(
+          'CloudFront',
+          'updateDistributionWithStagingConfig',
+          {
+            Id: 'PRIMARY',
+            StagingDistributionId: 'STAGING',
+            IfMatch: 'primary-etag, staging-etag-2'
+          }
+        )
+        expect(plugin.invalidateDistribution).toHaveBeenCalledWith(
+          'PRIMARY',
+          primary.Distribution.DistributionConfig,
+          staging.Distribution.DistributionConfig
+        )
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Done promoting distribution "PRIMARY"'
+        )
+      })
+
+      it('records the promoted associations so they can be rolled back', async () => {
+        const behaviors = (defaultARN, apiARN) => ({
+          ContinuousDeploymentPolicyId: 'POLICY',
+          DefaultCacheBehavior: {
+            LambdaFunctionAssociations: {
+              Quantity: 1,
+              Items: [
+                { EventType: 'origin-request', LambdaFunctionARN: defaultARN }
+              ]
+            }
+          },
+          CacheBehaviors: {
+            Quantity: 1,
+            Items: [
+              {
+                PathPattern: '/api/*',
+                LambdaFunctionAssociations: {
+                  Quantity: 1,
+                  Items: [
+                    { EventType: 'viewer-request', LambdaFunctionARN: apiARN }
+                  ]
+                }
+              }
+            ]
+          }
+        })
+
+        primary.Distribution.DistributionConfig = behaviors(
+          'rewrite:1',
+          'auth:3'
+        )
+        staging.Distribution.DistributionConfig = behaviors(
+          'rewrite:2',
+          'auth:3'
+        )
+
+        await plugin.promoteDistribution('PRIMARY')
+
+        expect(plugin._historyChanges).toEqual({
+          PRIMARY: [
+            {
+              time: expect.any(String),
+              associations: [
+                {
+                  pathPattern: null,
+                  eventType: 'origin-request',
+                  previousARN: 'rewrite:1',
+                  newARN: 'rewrite:2'
+                }
+              ]
+            }
+          ]
+        })
+
+        const promoted = _.cloneDeep(staging.Distribution.DistributionConfig)
+        const history = _.cloneDeep(plugin._historyChanges)
+
+        plugin.updateDistributionConfig = jest.fn(async (distID, modify) =>
+          modify(promoted)
+        )
+
+        await plugin.rollbackDistribution('PRIMARY', history, 1)
+
+        expect(promoted).toEqual(behaviors('rewrite:1', 'auth:3'))
+        expect(history.PRIMARY).toEqual([])
+      })
+
+      it('saves the history of the promoted distributions', async () => {
+        plugin.promoteDistribution = jest
+          .fn()
+          .mockRejectedValue(new Error('boom'))
+        plugin.saveHistory = jest.fn().mockResolvedValue()
+
+        await expect(plugin.onEdgePromote()).rejects.toThrow()
+
+        expect(plugin.saveHistory).toHaveBeenCalled()
+      })
+
+      it('does not wait with --no-edge-wait', async () => {
+        plugin._opts['edge-wait'] = false
+        staging.Distribution.Status = 'Deployed'
+
+        await plugin.promoteDistribution('PRIMARY')
+
+        expect(plugin.waitForDistributionDeployed).not.toHaveBeenCalled()
+        expect(plugin.invalidateDistribution).not.toHaveBeenCalled()
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Not waiting for distribution "PRIMARY" to be deployed'
+        )
+      })
+
+      it('fails without a staging distribution', async () => {
+        primary.Distribution.DistributionConfig.ContinuousDeploymentPolicyId =
+          ''
+
+        await expect(plugin.promoteDistribution('PRIMARY')).rejects.toThrow(
+          'Distribution "PRIMARY" has no staging distribution to promote, deploy with the canary setting first'
+        )
+      })
+    })
+  })
+
+  describe('history', () => {
+    const location = {
+      Bucket: 'deploy-bucket',
+      Key: 'serverless-lambda-at-edge/svc/dev/history.json'
+    }
+    const replaced = (previousARN, newARN) => ({
+      pathPattern: null,
+      eventType: 'origin-response',
+      previousARN,
+      newARN
+    })
+
+    beforeEach(() => {
+      stubbedSls.service.service = 'svc'
+    })
+
+    it('deletes the history on remove', async () => {
+      plugin.getStackFunctionNames = jest.fn().mockResolvedValue([])
+      plugin.listOwnedCloudFrontFunctions = jest.fn().mockResolvedValue([])
+      plugin.detachFunctionsFromDistributions = jest.fn().mockResolvedValue()
+
+      await plugin.onBeforeRemove()
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'S3',
+        'deleteObject',
+        location
+      )
+    })
+
+    it('ignores a missing deployment bucket on remove', async () => {
+      plugin.provider.getServerlessDeploymentBucketName.mockRejectedValueOnce(
+        new Error('Stack with id some-stack does not exist')
+      )
+
+      await expect(plugin.removeHistory()).resolves.toBeUndefined()
+
+      plugin.provider.request.mockRejectedValueOnce(
+        Object.assign(new Error('nope'), {
+          providerError: { code: 'NoSuchBucket' }
+        })
+      )
+      await expect(plugin.removeHistory()).resolves.toBeUndefined()
+
+      plugin.provider.request.mockRejectedValueOnce(new Error('Access Denied'))
+      await expect(plugin.removeHistory()).rejects.toThrow('Access Denied')
+    })
+
+    it('keeps the history outside of the deployment prefix', async () => {
+      const { Key } = await plugin.getHistoryLocation()
+
+      // Serverless lists this prefix to find the latest deployment
+      expect(Key.startsWith('serverless/svc/dev')).toBe(false)
+      expect(Key).toBe(location.Key)
+    })
+
+    it('records the replaced associations of updated distributions', async () => {
+      const config = {
+        DefaultCacheBehavior: {
+          LambdaFunctionAssociations: {
+            Quantity: 1,
+            Items: [{ EventType: 'origin-response', LambdaFunctionARN: 'fn:1' }]
+          }
+        },
+        CacheBehaviors: { Quantity: 0, Items: [] }
+      }
+
+      plugin.isOwnedFunctionARN = jest.fn().mockReturnValue(true)
+      plugin.waitForDistributionDeployed = jest.fn().mockResolvedValue()
+      plugin.provider.request.mockResolvedValueOnce({
+        Distribution: { Status: 'Deployed', DistributionConfig: config },
+        ETag: 'etag-1'
+      })
+
+      await plugin.updateDistributionAsNecessary(
+        { ABC: [{ eventType: 'origin-response', fnARN: 'fn:2' }] },
+        { distributionID: 'ABC' }
+      )
+
+      expect(plugin._historyChanges).toEqual({
+        ABC: [
+          {
+            time: expect.any(String),
+            associations: [replaced('fn:1', 'fn:2')]
+          }
+        ]
+      })
+    })
+
+    it('loads an empty history if there is none', async () => {
+      plugin.provider.request.mockRejectedValue({
+        providerError: { code: 'NoSuchKey' }
+      })
+
+      await expect(plugin.loadHistory()).resolves.toEqual({})
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'S3',
+        'getObject',
+        location
+      )
+    })
+
+    it('passes on other errors', async () => {
+      const err = new Error('Access Denied')
+
+      plugin.provider.request.mockRejectedValue(err)
+
+      await expect(plugin.loadHistory()).rejects.toBe(err)
+    })
+
+    it('appends the recorded updates to the history', async () => {
+      const old = _.times(20, (idx) => ({
+        time: String(idx),
+        associations: []
+      }))
+
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          Body: Buffer.from(JSON.stringify({ ABC: old, DEF: old.slice(0, 1) }))
+        })
+        .mockResolvedValueOnce({})
+      plugin.recordHistory('ABC', [replaced('fn:1', 'fn:2')])
+
+      await plugin.saveHistory()
+
+      const saved = plugin.provider.request.mock.calls[1][2]
+      const history = JSON.parse(saved.Body)
+
+      expect(saved).toMatchObject(
+        Object.assign({ ContentType: 'application/json' }, location)
+      )
+      expect(history.ABC).toHaveLength(20)
+      expect(history.ABC[0].time).toBe('1')
+      expect(history.ABC[19].associations).toEqual([replaced('fn:1', 'fn:2')])
+      expect(history.DEF).toEqual(old.slice(0, 1))
+      expect(plugin._historyChanges).toEqual({})
+    })
+
+    it('does not save without changes', async () => {
+      await plugin.saveHistory()
+
+      expect(plugin.provider.request).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('onEdgeRollback', () => {
+    let history
+
+    beforeEach(() => {
+      history = {
+        ABC: [
+          {
+            time: '1',
+            associations: [
+              {
+                pathPattern: 'api/*',
+                eventType: 'origin-request',
+                previousARN: 'fn:1',
+                newARN: 'fn:2'
+              }
+            ]
+          },
+          {
+            time: '2',
+            associations: [
+              {
+                pathPattern: 'api/*',
+                eventType: 'origin-request',
+                previousARN: 'fn:2',
+                newARN: 'fn:3'
+              },
+              {
+                pathPattern: null,
+                eventType: 'viewer-request',
+                previousARN: 'vr:5',
+                newARN: 'vr:6'
+              }
+            ]
+          }
+        ],
+        DEF: []
+      }
+      plugin._opts = {}
+      plugin.loadHistory = jest.fn(async () => history)
+      plugin.writeHistory = jest.fn().mockResolvedValue()
+      plugin.rollbackDistribution = jest.fn().mockResolvedValue()
+    })
+
+    it('rolls back the distributions with recorded updates', async () => {
+      await plugin.onEdgeRollback()
+
+      expect(plugin.rollbackDistribution).toHaveBeenCalledTimes(1)
+      expect(plugin.rollbackDistribution).toHaveBeenCalledWith(
+        'ABC',
+        history,
+        1
+      )
+      expect(plugin.writeHistory).toHaveBeenCalledWith(history)
+    })
+
+    it('rolls back --to deploys', async () => {
+      plugin._opts.to = '2'
+
+      await plugin.onEdgeRollback()
+
+      expect(plugin.rollbackDistribution).toHaveBeenCalledWith(
+        'ABC',
+        history,
+        2
+      )
+    })
+
+    it('requires a positive number of deploys', async () => {
+      plugin._opts.to = '0'
+
+      await expect(plugin.onEdgeRollback()).rejects.toThrow(
+        '"0" is not a valid number of deploys to roll back, must be a positive integer'
+      )
+    })
+
+    it('does nothing without history', async () => {
+      history = {}
+
+      await plugin.onEdgeRollback()
+
+      expect(plugin.rollbackDistribution).not.toHaveBeenCalled()
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'No Lambda@Edge association changes are recorded for stage "dev"'
+      )
+    })
+
+    describe('rollbackDistribution', () => {
+      let config
+
+      beforeEach(() => {
+        delete plugin.rollbackDistribution
+        config = {
+          DefaultCacheBehavior: {
+            LambdaFunctionAssociations: {
+              Quantity: 1,
+              Items: [
+                { EventType: 'viewer-request', LambdaFunctionARN: 'vr:6' }
+              ]
+            }
+          },
+          CacheBehaviors: {
+            Quantity: 1,
+            Items: [
+              {
+                PathPattern: 'api/*',
+                LambdaFunctionAssociations: {
+                  Quantity: 1,
+                  Items: [
+                    { EventType: 'origin-request', LambdaFunctionARN: 'fn:3' }
+                  ]
+                }
+              }
+            ]
+          }
+        }
+        plugin.updateDistributionConfig = jest.fn(async (distID, modify) =>
+          modify(config)
+        )
+        plugin.invalidateDistribution = jest.fn().mockResolvedValue()
+      })
+
+      it('restores the versions before the last deploy', async () => {
+        await plugin.rollbackDistribution('ABC', history, 1)
+
+        expect(
+          config.CacheBehaviors.Items[0].LambdaFunctionAssociations.Items[0]
+            .LambdaFunctionARN
+        ).toBe('fn:2')
+        expect(
+          config.DefaultCacheBehavior.LambdaFunctionAssociations.Items[0]
+            .LambdaFunctionARN
+        ).toBe('vr:5')
+        expect(history.ABC).toHaveLength(1)
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Rolling back origin-request of cache behavior "api/*" to fn:2 (was fn:3)'
+        )
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Rolling back viewer-request of cache behavior "*" to vr:5 (was vr:6)'
+        )
+        expect(plugin.invalidateDistribution).toHaveBeenCalledWith(
+          'ABC',
+          expect.any(Object),
+          config
+        )
+      })
+
+      it('restores the versions before older deploys', async () => {
+        await plugin.rollbackDistribution('ABC', history, 2)
+
+        expect(
+          config.CacheBehaviors.Items[0].LambdaFunctionAssociations.Items[0]
+            .LambdaFunctionARN
+        ).toBe('fn:1')
+        expect(history.ABC).toEqual([])
+      })
+
+      it('fails if there are not enough deploys recorded', async () => {
+        await expect(
+          plugin.rollbackDistribution('ABC', history, 3)
+        ).rejects.toThrow(
+          'Only 2 deploys are recorded for distribution "ABC", can not roll back 3'
+        )
+      })
+
+      it('fails if an association was changed since', async () => {
+        config.CacheBehaviors.Items[0].LambdaFunctionAssociations.Items[0].LambdaFunctionARN =
+          'other:1'
+
+        await expect(
+          plugin.rollbackDistribution('ABC', history, 1)
+        ).rejects.toThrow(
+          'The origin-request association of cache behavior "api/*" on distribution "ABC" is other:1, not fn:3 as deployed. It was changed since, so it can not be rolled back.'
+        )
+        expect(history.ABC).toHaveLength(2)
+      })
+
+      it('skips associations that are already rolled back', async () => {
+        config.CacheBehaviors.Items[0].LambdaFunctionAssociations.Items[0].LambdaFunctionARN =
+          'fn:2'
+        config.DefaultCacheBehavior.LambdaFunctionAssociations.Items[0].LambdaFunctionARN =
+          'vr:5'
+
+        await plugin.rollbackDistribution('ABC', history, 1)
+
+        expect(stubbedSls.cli.log).not.toHaveBeenCalled()
+        expect(plugin.invalidateDistribution).not.toHaveBeenCalled()
+        expect(history.ABC).toHaveLength(1)
+      })
+    })
+  })
+
+  describe('forEachDistribution', () => {
+    it('runs distributions concurrently up to the limit', async () => {
+      stubbedSls.service.custom = { lambdaAtEdge: { concurrency: 2 } }
+      const running = new Set()
+      let maxRunning = 0
+      const task = jest.fn(async (distID) => {
+        running.add(distID)
+        maxRunning = Math.max(maxRunning, running.size)
+        await new Promise((resolve) => setImmediate(resolve))
+        running.delete(distID)
+      })
+
+      await plugin.forEachDistribution(['D1', 'D2', 'D3', 'D1'], task)
+
+      expect(task).toHaveBeenCalledTimes(3)
+      expect(maxRunning).toBe(2)
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Processing 3 distributions, up to 2 at a time'
+      )
+    })
+
+    it('reports a failed distribution after the others finish', async () => {
+      const task = jest.fn(async (distID) => {
+        if (distID === 'D1') {
+          throw new Error('Access Denied')
+        }
+      })
+
+      await expect(
+        plugin.forEachDistribution(['D1', 'D2'], task)
+      ).rejects.toThrow('Access Denied')
+
+      expect(task).toHaveBeenCalledWith('D2')
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Failed to update distribution "D1": Access Denied'
+      )
+    })
+
+    it('reports every failed distribution', async () => {
+      const task = jest.fn().mockRejectedValue(new Error('Access Denied'))
+
+      await expect(
+        plugin.forEachDistribution(['D1', 'D2', 'D3'], task)
+      ).rejects.toThrow('Failed to update 3 distributions: D1, D2, D3')
+    })
+  })
+
+  describe('withDistributionLock', () => {
+    it('serializes tasks on the same distribution', async () => {
+      const order = []
+      const slowTask = async () => {
+        order.push('slow:start')
+        await new Promise((resolve) => setImmediate(resolve))
+        order.push('slow:end')
+        throw new Error('failed')
+      }
+      const fastTask = async () => {
+        order.push('fast')
+      }
+
+      const slow = plugin.withDistributionLock('D1', slowTask)
+      const fast = plugin.withDistributionLock('D1', fastTask)
+      const other = plugin.withDistributionLock('D2', async () => {
+        order.push('other')
+      })
+
+      await expect(slow).rejects.toThrow('failed')
+      await fast
+      await other
+
+      expect(order).toEqual(['slow:start', 'other', 'slow:end', 'fast'])
+    })
+  })
+
+  describe('association ownership', () => {
+    const ownARN = 'arn:aws:lambda:us-east-1:123456789012:function:svc-dev-fn:3'
+    const foreignARN =
+      'arn:aws:lambda:us-east-1:123456789012:function:other-team-fn:7'
+    let beh
+
+    beforeEach(async () => {
+      plugin._pendingAssociations = [
+        { cloudFrontFunction: { name: 'svc-dev-rewrite' } },
+        { fnLogicalName: 'log_id_someFn' }
+      ]
+      plugin.getStackFunctionNames = jest.fn().mockResolvedValue(['svc-dev-fn'])
+
+      await plugin.loadOwnedFunctionNames()
+
+      beh = {
+        PathPattern: '/api/*',
+        LambdaFunctionAssociations: {
+          Quantity: 1,
+          Items: [
+            { EventType: 'viewer-request', LambdaFunctionARN: foreignARN }
+          ]
+        }
+      }
+    })
+
+    it('owns the stack functions and deployed CloudFront Functions', () => {
+      expect(plugin.isOwnedFunctionARN(ownARN)).toBe(true)
+      expect(
+        plugin.isOwnedFunctionARN(
+          'arn:aws:cloudfront::123456789012:function/svc-dev-rewrite'
+        )
+      ).toBe(true)
+      expect(plugin.isOwnedFunctionARN(foreignARN)).toBe(false)
+      expect(
+        plugin.isOwnedFunctionARN(
+          'arn:aws:cloudfront::123456789012:function/other-rewrite'
+        )
+      ).toBe(false)
+    })
+
+    it('refuses to replace an association owned by someone else', () => {
+      expect(() =>
+        plugin.associateFunctionsToBehavior(beh, [
+          { eventType: 'viewer-request', fnARN: ownARN }
+        ])
+      ).toThrow(
+        `The viewer-request association of cache behavior "/api/*" belongs to another service (${foreignARN}). Set "force: true" on the association to replace it.`
+      )
+      expect(beh.LambdaFunctionAssociations.Items[0].LambdaFunctionARN).toBe(
+        foreignARN
+      )
+    })
+
+    it('refuses to replace a foreign CloudFront Function association', () => {
+      const foreignFnARN =
+        'arn:aws:cloudfront::123456789012:function/other-rewrite'
+
+      beh = {
+        LambdaFunctionAssociations: { Quantity: 0, Items: [] },
+        FunctionAssociations: {
+          Quantity: 1,
+          Items: [{ EventType: 'viewer-request', FunctionARN: foreignFnARN }]
+        }
+      }
+
+      expect(() =>
+        plugin.associateFunctionsToBehavior(beh, [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'arn:aws:cloudfront::123456789012:function/svc-dev-rewrite',
+            cloudFrontFunction: true
+          }
+        ])
+      ).toThrow(
+        `The viewer-request association of cache behavior "*" belongs to another service (${foreignFnARN}).`
+      )
+    })
+
+    it('replaces a foreign association when forced', () => {
+      const changed = plugin.associateFunctionsToBehavior(beh, [
+        { eventType: 'viewer-request', fnARN: ownARN, force: true }
+      ])
+
+      expect(changed).toBe(true)
+      expect(beh.LambdaFunctionAssociations.Items[0].LambdaFunctionARN).toBe(
+        ownARN
+      )
+    })
+
+    it('replaces older versions of its own functions', () => {
+      beh.LambdaFunctionAssociations.Items[0].LambdaFunctionARN = ownARN
+
+      const changed = plugin.associateFunctionsToBehavior(beh, [
+        {
+          eventType: 'viewer-request',
+          fnARN: ownARN.replace(/3$/, '4')
+        }
+      ])
+
+      expect(changed).toBe(true)
+    })
+  })
+
+  describe('getFunctionsToAssociate', () => {
+    beforeEach(() => {
+      plugin.provider.request = jest.fn(async (awsSvc, awsSvcMethod, args) => {
+        if (awsSvc === 'CloudFormation' && awsSvcMethod === 'describeStacks') {
+          if (args.StackName === 'some-stack') {
+            return {
+              Stacks: [
+                {
+                  StackName: 'some-stack',
+                  Outputs: [
+                    {
+                      OutputKey: 'LambdaFnArn',
+                      OutputValue: 'aws:lambda:34234:arn:fn'
+                    },
+                    {
+                      OutputKey: 'LambdaFn2Arn',
+                      OutputValue: 'aws:lambda:34234:arn:fn2'
+                    }
+                  ]
+                }
+              ]
+            }
+          } else if (args.StackName === 'stack-missing-output') {
+            return {
+              Stacks: [
+                {
+                  StackName: 'stack-missing-output',
+                  Outputs: [
+                    {
+                      OutputKey: 'LambdaFnArn',
+                      OutputValue: 'aws:lambda:34234:arn:fn'
+                    }
+                  ]
+                }
+              ]
+            }
+          }
+        }
+
+        return {
+          Stacks: []
+        }
+      })
+    })
+
+    it('resolves object with fnARN and eventType', async () => {
+      plugin._pendingAssociations = [
+        {
+          fnCurrentVersionOutputName: 'LambdaFnArn',
+          fnLogicalName: 'a-fn1',
+          distributionID: 'DEFFED2222',
+          eventType: 'viewer-request'
+        },
+        {
+          fnCurrentVersionOutputName: 'LambdaFn2Arn',
+          fnLogicalName: 'a-fn2',
+          distributionID: 'DEFFED2222',
+          eventType: 'viewer-response'
+        }
+      ]
+
+      await expect(plugin.getFunctionsToAssociate()).resolves.toEqual({
+        DEFFED2222: [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'aws:lambda:34234:arn:fn'
+          },
+          {
+            eventType: 'viewer-response',
+            fnARN: 'aws:lambda:34234:arn:fn2'
+          }
+        ]
+      })
+    })
+
+    it('uses the published ARN of CloudFront Functions', async () => {
+      plugin._cloudFrontFunctionARNs = { 'cf-fn': 'cf-fn-arn' }
+      plugin._pendingAssociations = [
+        {
+          fnCurrentVersionOutputName: 'LambdaFnArn',
+          fnLogicalName: 'a-fn1',
+          distributionID: 'DEFFED2222',
+          eventType: 'origin-request'
+        },
+        {
+          fnLogicalName: 'a-fn2',
+          distributionID: 'DEFFED2222',
+          eventType: 'viewer-request',
+          cloudFrontFunction: { name: 'cf-fn', handler: 'cf.handler' }
+        }
+      ]
+
+      await expect(plugin.getFunctionsToAssociate()).resolves.toEqual({
+        DEFFED2222: [
+          {
+            eventType: 'origin-request',
+            fnARN: 'aws:lambda:34234:arn:fn'
+          },
+          {
+            eventType: 'viewer-request',
+            fnARN: 'cf-fn-arn',
+            cloudFrontFunction: true
+          }
+        ]
+      })
+    })
+
+    it('rejects if stack not found', async () => {
+      plugin.provider.naming.getStackName.mockReturnValue('another-stack')
+      await expect(plugin.getFunctionsToAssociate()).rejects.toThrow(
+        `CloudFormation did not return a stack with name "another-stack"`
+      )
+    })
+
+    it('rejects if output not found in stack', async () => {
+      plugin._pendingAssociations = [
+        {
+          fnCurrentVersionOutputName: 'LambdaFnArnMissing',
+          fnLogicalName: 'a-fn1',
+          distributionID: 'DEFFED2222',
+          eventType: 'viewer-request'
+        },
+        {
+          fnCurrentVersionOutputName: 'LambdaFn2Arn',
+          fnLogicalName: 'a-fn2',
+          distributionID: 'DEFFED2222',
+          eventType: 'viewer-response'
+        }
+      ]
+      plugin.provider.naming.getStackName.mockReturnValue(
+        'stack-missing-output'
+      )
+      await expect(plugin.getFunctionsToAssociate()).rejects.toThrow(
+        `Stack "stack-missing-output" did not have an output with name "LambdaFnArnMissing"`
+      )
+    })
+  })
+
+  describe('onAfterDeployFinalize', () => {
+    beforeEach(() => {
+      plugin._opts = {}
+      plugin.manageReplicaLogGroups = jest.fn().mockResolvedValue()
+      plugin.manageMonitoring = jest.fn().mockResolvedValue()
+    })
+
+    it('manages the replica log groups and the monitoring', async () => {
+      await plugin.onAfterDeployFinalize()
+
+      expect(plugin.manageReplicaLogGroups).toHaveBeenCalled()
+      expect(plugin.manageMonitoring).toHaveBeenCalled()
+    })
+
+    it('does nothing on a dry run', async () => {
+      plugin._opts['edge-dry-run'] = true
+
+      await plugin.onAfterDeployFinalize()
+
+      expect(plugin.manageReplicaLogGroups).not.toHaveBeenCalled()
+      expect(plugin.manageMonitoring).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('manageMonitoring', () => {
+    beforeEach(() => {
+      functions.someFn.name = 'svc-dev-someFn'
+      functions.plainFn = { name: 'svc-dev-plainFn' }
+      plugin._pendingAssociations = [
+        { fnName: 'someFn', distributionID: 'ABC' },
+        { fnName: 'someFn', distributionID: 'ABC' },
+        { fnName: 'cfFn', distributionID: 'DEF', cloudFrontFunction: {} }
+      ]
+      stubbedSls.service.custom = {
+        lambdaAtEdge: {
+          monitoring: {
+            alarms: { errors: 1, duration: 3000, '5xxErrorRate': 5 },
+            alarmActions: ['arn:aws:sns:{region}:123456789012:alerts']
+          }
+        }
+      }
+      plugin.getEnabledRegions = jest
+        .fn()
+        .mockResolvedValue(['eu-west-1', 'us-east-1', 'us-west-2'])
+      plugin.reconcileAlarms = jest.fn().mockResolvedValue()
+      plugin.provider.request.mockImplementation(
+        async (svc, method, params, opts) => {
+          if (method === 'listMetrics') {
+            return {
+              Metrics: opts.region === 'us-west-2' ? [] : [{ params }]
+            }
+          }
+
+          return {}
+        }
+      )
+    })
+
+    it('does nothing unless enabled', async () => {
+      stubbedSls.service.custom = {}
+
+      await plugin.manageMonitoring()
+
+      expect(plugin.reconcileAlarms).not.toHaveBeenCalled()
+      expect(plugin.provider.request).not.toHaveBeenCalled()
+    })
+
+    it('puts alarms in the regions the functions have run in', async () => {
+      await plugin.manageMonitoring()
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudWatch',
+        'listMetrics',
+        {
+          Namespace: 'AWS/Lambda',
+          MetricName: 'Invocations',
+          Dimensions: [
+            { Name: 'FunctionName', Value: 'us-east-1.svc-dev-someFn' }
+          ]
+        },
+        { region: 'us-west-2' }
+      )
+      expect(
+        plugin.reconcileAlarms.mock.calls.map(([region]) => region)
+      ).toEqual(['us-east-1', 'eu-west-1', 'us-west-2'])
+
+      const [euAlarms, usAlarms, westAlarms] = [
+        'eu-west-1',
+        'us-east-1',
+        'us-west-2'
+      ].map(
+        (region) => _.find(plugin.reconcileAlarms.mock.calls, [0, region])[1]
+      )
+
+      expect(_.map(euAlarms, 'AlarmName')).toEqual([
+        'some-stack-edge-someFn-Errors',
+        'some-stack-edge-someFn-Duration'
+      ])
+      expect(euAlarms[0]).toEqual({
+        region: 'eu-west-1',
+        AlarmName: 'some-stack-edge-someFn-Errors',
+        Namespace: 'AWS/Lambda',
+        MetricName: 'Errors',
+        Statistic: 'Sum',
+        Dimensions: [
+          { Name: 'FunctionName', Value: 'us-east-1.svc-dev-someFn' }
+        ],
+        Period: 300,
+        EvaluationPeriods: 1,
+        Threshold: 1,
+        ComparisonOperator: 'GreaterThanOrEqualToThreshold',
+        TreatMissingData: 'notBreaching',
+        AlarmActions: ['arn:aws:sns:eu-west-1:123456789012:alerts'],
+        OKActions: ['arn:aws:sns:eu-west-1:123456789012:alerts']
+      })
+      expect(_.map(usAlarms, 'AlarmName')).toEqual([
+        'some-stack-edge-someFn-Errors',
+        'some-stack-edge-someFn-Duration',
+        'some-stack-edge-ABC-5xxErrorRate'
+      ])
+      expect(usAlarms[2]).toMatchObject({
+        Namespace: 'AWS/CloudFront',
+        MetricName: '5xxErrorRate',
+        Statistic: 'Average',
+        Dimensions: [
+          { Name: 'DistributionId', Value: 'ABC' },
+          { Name: 'Region', Value: 'Global' }
+        ],
+        Threshold: 5
+      })
+      expect(westAlarms).toEqual([])
+    })
+
+    it('puts a dashboard with the metrics of every region', async () => {
+      await plugin.manageMonitoring()
+
+      const call = _.find(plugin.provider.request.mock.calls, [
+        1,
+        'putDashboard'
+      ])
+      const body = JSON.parse(call[2].DashboardBody)
+
+      expect(call[2].DashboardName).toBe('some-stack-edge')
+      expect(call[3]).toEqual({ region: 'us-east-1' })
+      expect(_.map(body.widgets, 'properties.title')).toEqual([
+        'ABC 5xxErrorRate',
+        'ABC LambdaExecutionError',
+        'someFn Invocations',
+        'someFn Errors',
+        'someFn Throttles',
+        'someFn Duration'
+      ])
+      expect(body.widgets[3].properties).toMatchObject({
+        region: 'us-east-1',
+        stacked: true,
+        metrics: [
+          [
+            'AWS/Lambda',
+            'Errors',
+            'FunctionName',
+            'us-east-1.svc-dev-someFn',
+            { region: 'eu-west-1', label: 'eu-west-1', stat: 'Sum' }
+          ],
+          [
+            'AWS/Lambda',
+            'Errors',
+            'FunctionName',
+            'us-east-1.svc-dev-someFn',
+            { region: 'us-east-1', label: 'us-east-1', stat: 'Sum' }
+          ]
+        ]
+      })
+      expect(body.widgets[5].properties.stacked).toBe(false)
+    })
+
+    it('uses the configured regions without looking for replicas', async () => {
+      stubbedSls.service.custom.lambdaAtEdge.monitoring.regions = ['ap-south-1']
+      stubbedSls.service.custom.lambdaAtEdge.monitoring.dashboard = false
+
+      await plugin.manageMonitoring()
+
+      expect(plugin.getEnabledRegions).not.toHaveBeenCalled()
+      expect(plugin.provider.request).not.toHaveBeenCalled()
+      expect(
+        plugin.reconcileAlarms.mock.calls.map(([region]) => region)
+      ).toEqual(['us-east-1', 'ap-south-1'])
+      expect(_.map(plugin.reconcileAlarms.mock.calls[1][1], 'region')).toEqual([
+        'ap-south-1',
+        'ap-south-1'
+      ])
+    })
+  })
+
+  describe('reconcileAlarms', () => {
+    it('puts the alarms and deletes the others of the service', async () => {
+      plugin.provider.request
+        .mockResolvedValueOnce({
+          MetricAlarms: [{ AlarmName: 'some-stack-edge-oldFn-Errors' }],
+          NextToken: 'next'
+        })
+        .mockResolvedValueOnce({
+          MetricAlarms: [{ AlarmName: 'some-stack-edge-someFn-Errors' }]
+        })
+        .mockResolvedValue({})
+
+      await plugin.reconcileAlarms('eu-west-1', [
+        {
+          region: 'eu-west-1',
+          AlarmName: 'some-stack-edge-someFn-Errors',
+          Threshold: 1
+        }
+      ])
+
+      expect(plugin.provider.request.mock.calls).toEqual([
+        [
+          'CloudWatch',
+          'describeAlarms',
+          { AlarmNamePrefix: 'some-stack-edge-', NextToken: undefined },
+          { region: 'eu-west-1' }
+        ],
+        [
+          'CloudWatch',
+          'describeAlarms',
+          { AlarmNamePrefix: 'some-stack-edge-', NextToken: 'next' },
+          { region: 'eu-west-1' }
+        ],
+        [
+          'CloudWatch',
+          'putMetricAlarm',
+          { AlarmName: 'some-stack-edge-someFn-Errors', Threshold: 1 },
+          { region: 'eu-west-1' }
+        ],
+        [
+          'CloudWatch',
+          'deleteAlarms',
+          { AlarmNames: ['some-stack-edge-oldFn-Errors'] },
+          { region: 'eu-west-1' }
+        ]
+      ])
+    })
+  })
+
+  describe('removeMonitoring', () => {
+    beforeEach(() => {
+      stubbedSls.service.custom = {
+        lambdaAtEdge: { monitoring: { regions: ['eu-west-1'] } }
+      }
+      plugin.reconcileAlarms = jest.fn().mockResolvedValue()
+    })
+
+    it('deletes the alarms and the dashboard', async () => {
+      await plugin.removeMonitoring()
+
+      expect(plugin.reconcileAlarms.mock.calls).toEqual([
+        ['us-east-1', []],
+        ['eu-west-1', []]
+      ])
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudWatch',
+        'deleteDashboards',
+        { DashboardNames: ['some-stack-edge'] },
+        { region: 'us-east-1' }
+      )
+    })
+
+    it('ignores a missing dashboard', async () => {
+      plugin.provider.request.mockRejectedValue({
+        providerError: { code: 'ResourceNotFound' }
+      })
+
+      await expect(plugin.removeMonitoring()).resolves.toBeUndefined()
+    })
+
+    it('does nothing unless enabled', async () => {
+      stubbedSls.service.custom = {}
+
+      await plugin.removeMonitoring()
+
+      expect(plugin.reconcileAlarms).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('manageReplicaLogGroups', () => {
+    beforeEach(() => {
+      functions.someFn.name = 'svc-dev-someFn'
+      functions.plainFn = { name: 'svc-dev-plainFn' }
+      stubbedSls.service.provider.logRetentionInDays = 14
+      stubbedSls.service.custom = {
+        lambdaAtEdge: {
+          replicaLogs: { regions: ['us-east-1', 'eu-west-1'] }
+        }
+      }
+      plugin.reconcileReplicaLogGroup = jest
+        .fn()
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false)
+    })
+
+    it('does nothing unless enabled', async () => {
+      stubbedSls.service.custom = {}
+
+      await plugin.manageReplicaLogGroups()
+
+      expect(plugin.reconcileReplicaLogGroup).not.toHaveBeenCalled()
+    })
+
+    it('reconciles the log group of each function in each region', async () => {
+      await plugin.manageReplicaLogGroups()
+
+      expect(plugin.reconcileReplicaLogGroup.mock.calls).toEqual([
+        ['svc-dev-someFn', 'us-east-1', 14, undefined],
+        ['svc-dev-someFn', 'eu-west-1', 14, undefined]
+      ])
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Updated 1 of 2 replica log groups'
+      )
+    })
+
+    it('uses every enabled region by default', async () => {
+      stubbedSls.service.custom.lambdaAtEdge.replicaLogs = {
+        errorMetricFilter: true
+      }
+      plugin.getEnabledRegions = jest.fn().mockResolvedValue(['ap-south-1'])
+
+      await plugin.manageReplicaLogGroups()
+
+      expect(plugin.reconcileReplicaLogGroup).toHaveBeenCalledWith(
+        'svc-dev-someFn',
+        'ap-south-1',
+        14,
+        true
+      )
+    })
+
+    it('does nothing without Lambda@Edge functions', async () => {
+      delete functions.someFn.lambdaAtEdge
+
+      await plugin.manageReplicaLogGroups()
+
+      expect(plugin.reconcileReplicaLogGroup).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('reconcileReplicaLogGroup', () => {
+    const logGroupName = '/aws/lambda/us-east-1.svc-dev-someFn'
+    const filter = {
+      filterName: 'lambda-at-edge-errors',
+      filterPattern:
+        '?ERROR ?"Task timed out" ?"Process exited before completing"',
+      metricTransformations: [
+        {
+          metricName: 'svc-dev-someFn-Errors',
+          metricNamespace: 'LambdaAtEdge',
+          metricValue: '1',
+          defaultValue: 0
+        }
+      ]
+    }
+    let logGroups
+    let metricFilters
+
+    beforeEach(() => {
+      logGroups = []
+      metricFilters = []
+      plugin.provider.request = jest.fn(async (svc, method) => {
+        if (method === 'describeLogGroups') {
+          return { logGroups }
+        }
+
+        if (method === 'describeMetricFilters') {
+          return { metricFilters }
+        }
+
+        return {}
+      })
+    })
+
+    it('creates missing log groups with the retention', async () => {
+      await expect(
+        plugin.reconcileReplicaLogGroup('svc-dev-someFn', 'eu-west-1', 14)
+      ).resolves.toBe(true)
+
+      expect(plugin.provider.request.mock.calls).toEqual([
+        [
+          'CloudWatchLogs',
+          'describeLogGroups',
+          { logGroupNamePrefix: logGroupName },
+          { region: 'eu-west-1' }
+        ],
+        [
+          'CloudWatchLogs',
+          'createLogGroup',
+          { logGroupName },
+          { region: 'eu-west-1' }
+        ],
+        [
+          'CloudWatchLogs',
+          'putRetentionPolicy',
+          { logGroupName, retentionInDays: 14 },
+          { region: 'eu-west-1' }
+        ]
+      ])
+    })
+
+    it('only updates the retention of existing log groups', async () => {
+      logGroups = [
+        { logGroupName: `${logGroupName}-other` },
+        { logGroupName, retentionInDays: 30 }
+      ]
+
+      await expect(
+        plugin.reconcileReplicaLogGroup('svc-dev-someFn', 'eu-west-1', 14)
+      ).resolves.toBe(true)
+
+      expect(plugin.provider.request).not.toHaveBeenCalledWith(
+        'CloudWatchLogs',
+        'createLogGroup',
+        expect.anything(),
+        expect.anything()
+      )
+      expect(plugin.provider.request).toHaveBeenLastCalledWith(
+        'CloudWatchLogs',
+        'putRetentionPolicy',
+        { logGroupName, retentionInDays: 14 },
+        { region: 'eu-west-1' }
+      )
+    })
+
+    it('leaves log groups that are up to date alone', async () => {
+      logGroups = [{ logGroupName, retentionInDays: 14 }]
+      metricFilters = [Object.assign({ creationTime: 1 }, filter)]
+
+      await expect(
+        plugin.reconcileReplicaLogGroup('svc-dev-someFn', 'eu-west-1', 14, true)
+      ).resolves.toBe(false)
+      expect(plugin.provider.request).toHaveBeenCalledTimes(2)
+    })
+
+    it('leaves the retention alone if the service has none', async () => {
+      logGroups = [{ logGroupName, retentionInDays: 30 }]
+
+      await expect(
+        plugin.reconcileReplicaLogGroup('svc-dev-someFn', 'eu-west-1')
+      ).resolves.toBe(false)
+    })
+
+    it('puts the error metric filter', async () => {
+      logGroups = [{ logGroupName }]
+      metricFilters = [Object.assign({}, filter, { filterPattern: 'ERROR' })]
+
+      await expect(
+        plugin.reconcileReplicaLogGroup('svc-dev-someFn', 'eu-west-1', null, {
+          namespace: 'Edge'
+        })
+      ).resolves.toBe(true)
+
+      expect(plugin.provider.request).toHaveBeenLastCalledWith(
+        'CloudWatchLogs',
+        'putMetricFilter',
+        Object.assign({ logGroupName }, filter, {
+          metricTransformations: [
+            Object.assign({}, filter.metricTransformations[0], {
+              metricNamespace: 'Edge'
+            })
+          ]
+        }),
+        { region: 'eu-west-1' }
+      )
+    })
+  })
+
+  describe('onEdgePlan', () => {
+    beforeEach(() => {
+      plugin.getFunctionsToAssociate = jest.fn().mockResolvedValue({
+        '123ABC': [{ eventType: 'viewer-request', fnARN: 'some-fn-arn' }]
+      })
+      plugin.loadOwnedFunctionNames = jest.fn().mockResolvedValue()
+      plugin.planDistributions = jest.fn().mockResolvedValue()
+    })
+
+    it('plans the associations configured in serverless.yml', async () => {
+      await plugin.onEdgePlan()
+
+      expect(plugin._pendingAssociations).toEqual([
+        {
+          fnLogicalName: 'log_id_someFn',
+          distributionID: '123ABC',
+          fnCurrentVersionOutputName: 'lambda_ver_id_someFn',
+          eventType: 'viewer-request'
         }
-      }
-      await plugin.updateDistributionsAsNecessary(functions, _dists)
-      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledTimes(2)
-      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledWith(
-        functions,
-        _dists.fn1
+      ])
+      expect(plugin.planDistributions).toHaveBeenCalledWith(
+        {
+          '123ABC': [{ eventType: 'viewer-request', fnARN: 'some-fn-arn' }]
+        },
+        { '123ABC': { distributionID: '123ABC' } }
       )
-      expect(plugin.updateDistributionAsNecessary).toHaveBeenCalledWith(
-        functions,
-        _dists.fn2
+    })
+
+    it('does nothing without lambdaAtEdge functions', async () => {
+      stubbedSls.service.functions = { someFn: {} }
+
+      await plugin.onEdgePlan()
+
+      expect(plugin.getFunctionsToAssociate).not.toHaveBeenCalled()
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'No functions are configured with lambdaAtEdge'
       )
     })
   })
 
-  describe('getFunctionsToAssociate', () => {
+  describe('onEdgeInfo', () => {
+    const info = {
+      distributionID: '123ABC',
+      drift: true,
+      behaviors: [
+        {
+          pathPattern: null,
+          associations: [
+            {
+              eventType: 'viewer-request',
+              functionARN: null,
+              functionName: null,
+              version: null,
+              expectedARN: 'some-fn-arn',
+              status: 'missing'
+            }
+          ]
+        }
+      ]
+    }
+
     beforeEach(() => {
-      plugin.provider.request = jest.fn(async (awsSvc, awsSvcMethod, args) => {
-        if (awsSvc === 'CloudFormation' && awsSvcMethod === 'describeStacks') {
-          if (args.StackName === 'some-stack') {
-            return {
-              Stacks: [
+      plugin._opts = {}
+      plugin.getFunctionsToAssociate = jest.fn().mockResolvedValue({
+        '123ABC': [{ eventType: 'viewer-request', fnARN: 'some-fn-arn' }]
+      })
+      plugin.loadOwnedFunctionNames = jest.fn().mockResolvedValue()
+      plugin.getDistributionInfo = jest.fn().mockResolvedValue(info)
+    })
+
+    it('prints the associations of each distribution', async () => {
+      await plugin.onEdgeInfo()
+
+      expect(plugin.getDistributionInfo).toHaveBeenCalledWith('123ABC', [
+        { eventType: 'viewer-request', fnARN: 'some-fn-arn' }
+      ])
+      expect(stubbedSls.cli.consoleLog.mock.calls).toEqual([
+        ['Distribution "123ABC" (drifted):'],
+        ['  Default (*)'],
+        ['    missing   viewer-request: expected some-fn-arn']
+      ])
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        '1 of 1 distribution(s) drifted from the deployed stack'
+      )
+    })
+
+    it('prints only JSON with --json', async () => {
+      plugin._opts.json = true
+
+      await plugin.onEdgeInfo()
+
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(stubbedSls.cli.consoleLog.mock.calls[0][0])).toEqual([
+        info
+      ])
+      expect(stubbedSls.cli.log).not.toHaveBeenCalled()
+    })
+
+    it('does nothing without lambdaAtEdge functions', async () => {
+      stubbedSls.service.functions = { someFn: {} }
+
+      await plugin.onEdgeInfo()
+
+      expect(plugin.getFunctionsToAssociate).not.toHaveBeenCalled()
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'No functions are configured with lambdaAtEdge'
+      )
+    })
+
+    it('prints an empty JSON list without lambdaAtEdge functions', async () => {
+      stubbedSls.service.functions = { someFn: {} }
+      plugin._opts.json = true
+
+      await plugin.onEdgeInfo()
+
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith('[]')
+    })
+  })
+
+  describe('getDistributionInfo', () => {
+    const fnARN = (name, version) =>
+      `arn:aws:lambda:us-east-1:123456789012:function:${name}:${version}`
+    const cfARN = (name) => `arn:aws:cloudfront::123456789012:function/${name}`
+
+    beforeEach(() => {
+      plugin._ownedFunctionNames = new Set(['auth', 'old', 'rewrite'])
+      plugin.provider.request.mockResolvedValueOnce({
+        Distribution: {
+          DistributionConfig: {
+            DefaultCacheBehavior: {
+              LambdaFunctionAssociations: {
+                Quantity: 3,
+                Items: [
+                  {
+                    EventType: 'viewer-request',
+                    LambdaFunctionARN: fnARN('auth', 3)
+                  },
+                  {
+                    EventType: 'origin-request',
+                    LambdaFunctionARN: fnARN('rewrite', 1),
+                    IncludeBody: true
+                  },
+                  {
+                    EventType: 'viewer-response',
+                    LambdaFunctionARN: fnARN('other-service', 7)
+                  }
+                ]
+              },
+              FunctionAssociations: {
+                Quantity: 1,
+                Items: [
+                  { EventType: 'viewer-request', FunctionARN: cfARN('rewrite') }
+                ]
+              }
+            },
+            CacheBehaviors: {
+              Quantity: 2,
+              Items: [
                 {
-                  StackName: 'some-stack',
-                  Outputs: [
-                    {
-                      OutputKey: 'LambdaFnArn',
-                      OutputValue: 'aws:lambda:34234:arn:fn'
-                    },
-                    {
-                      OutputKey: 'LambdaFn2Arn',
-                      OutputValue: 'aws:lambda:34234:arn:fn2'
-                    }
-                  ]
-                }
-              ]
-            }
-          } else if (args.StackName === 'stack-missing-output') {
-            return {
-              Stacks: [
+                  PathPattern: '/api/*',
+                  LambdaFunctionAssociations: {
+                    Quantity: 1,
+                    Items: [
+                      {
+                        EventType: 'origin-response',
+                        LambdaFunctionARN: fnARN('old', 2)
+                      }
+                    ]
+                  }
+                },
                 {
-                  StackName: 'stack-missing-output',
-                  Outputs: [
-                    {
-                      OutputKey: 'LambdaFnArn',
-                      OutputValue: 'aws:lambda:34234:arn:fn'
-                    }
-                  ]
+                  PathPattern: 'static/*',
+                  LambdaFunctionAssociations: { Quantity: 0, Items: [] }
                 }
               ]
             }
           }
         }
+      })
+    })
 
-        return {
-          Stacks: []
+    it('compares each association with the deployed stack', async () => {
+      const info = await plugin.getDistributionInfo('ABC', [
+        {
+          eventType: 'viewer-request',
+          fnARN: fnARN('auth', 3),
+          defaultBehavior: true
+        },
+        {
+          eventType: 'origin-request',
+          fnARN: fnARN('rewrite', 2),
+          includeBody: true,
+          defaultBehavior: true
+        },
+        {
+          eventType: 'viewer-request',
+          fnARN: cfARN('rewrite'),
+          defaultBehavior: true,
+          cloudFrontFunction: true
+        },
+        {
+          eventType: 'viewer-request',
+          fnARN: fnARN('auth', 3),
+          pathPatterns: ['api/*']
+        }
+      ])
+
+      expect(plugin.provider.request).toHaveBeenCalledWith(
+        'CloudFront',
+        'getDistribution',
+        { Id: 'ABC' }
+      )
+      expect(info).toEqual({
+        distributionID: 'ABC',
+        drift: true,
+        behaviors: [
+          {
+            pathPattern: null,
+            associations: [
+              {
+                eventType: 'viewer-request',
+                functionARN: fnARN('auth', 3),
+                functionName: 'auth',
+                version: '3',
+                expectedARN: fnARN('auth', 3),
+                status: 'current'
+              },
+              {
+                eventType: 'origin-request',
+                functionARN: fnARN('rewrite', 1),
+                functionName: 'rewrite',
+                version: '1',
+                expectedARN: fnARN('rewrite', 2),
+                status: 'outdated'
+              },
+              {
+                eventType: 'viewer-response',
+                functionARN: fnARN('other-service', 7),
+                functionName: 'other-service',
+                version: '7',
+                expectedARN: null,
+                status: 'unmanaged'
+              },
+              {
+                eventType: 'viewer-request',
+                functionARN: cfARN('rewrite'),
+                functionName: 'rewrite',
+                version: null,
+                expectedARN: cfARN('rewrite'),
+                status: 'current'
+              }
+            ]
+          },
+          {
+            pathPattern: '/api/*',
+            associations: [
+              {
+                eventType: 'origin-response',
+                functionARN: fnARN('old', 2),
+                functionName: 'old',
+                version: '2',
+                expectedARN: null,
+                status: 'stale'
+              },
+              {
+                eventType: 'viewer-request',
+                functionARN: null,
+                functionName: null,
+                version: null,
+                expectedARN: fnARN('auth', 3),
+                status: 'missing'
+              }
+            ]
+          },
+          { pathPattern: 'static/*', associations: [] }
+        ]
+      })
+    })
+
+    it('flags a changed IncludeBody as outdated', async () => {
+      const info = await plugin.getDistributionInfo('ABC', [
+        {
+          eventType: 'origin-request',
+          fnARN: fnARN('rewrite', 1),
+          defaultBehavior: true
         }
+      ])
+
+      expect(info.behaviors[0].associations[1]).toMatchObject({
+        eventType: 'origin-request',
+        status: 'outdated'
       })
     })
 
-    it('resolves object with fnARN and eventType', async () => {
-      plugin._pendingAssociations = [
+    it('has not drifted when every association is current or unmanaged', async () => {
+      plugin._ownedFunctionNames = new Set(['auth', 'rewrite'])
+
+      const info = await plugin.getDistributionInfo('ABC', [
         {
-          fnCurrentVersionOutputName: 'LambdaFnArn',
-          fnLogicalName: 'a-fn1',
-          distributionID: 'DEFFED2222',
-          eventType: 'viewer-request'
+          eventType: 'viewer-request',
+          fnARN: fnARN('auth', 3),
+          defaultBehavior: true
         },
         {
-          fnCurrentVersionOutputName: 'LambdaFn2Arn',
-          fnLogicalName: 'a-fn2',
-          distributionID: 'DEFFED2222',
-          eventType: 'viewer-response'
+          eventType: 'origin-request',
+          fnARN: fnARN('rewrite', 1),
+          includeBody: true,
+          defaultBehavior: true
+        },
+        {
+          eventType: 'viewer-request',
+          fnARN: cfARN('rewrite'),
+          defaultBehavior: true,
+          cloudFrontFunction: true
         }
-      ]
+      ])
+
+      expect(info.drift).toBe(false)
+    })
+  })
+
+  describe('printDistributionInfo', () => {
+    it('prints each association with its status', () => {
+      const assoc = (status, functionARN, expectedARN) => ({
+        eventType: 'viewer-request',
+        functionARN,
+        expectedARN,
+        status
+      })
+
+      plugin.printDistributionInfo({
+        distributionID: 'ABC',
+        drift: false,
+        behaviors: [
+          {
+            pathPattern: null,
+            associations: [
+              assoc('current', 'fn:1', 'fn:1'),
+              assoc('outdated', 'fn:1', 'fn:2'),
+              assoc('outdated', 'fn:2', 'fn:2'),
+              assoc('missing', null, 'fn:3'),
+              assoc('stale', 'old:1', null),
+              assoc('unmanaged', 'other:1', null)
+            ]
+          },
+          { pathPattern: '/api/*', associations: [] }
+        ]
+      })
+
+      expect(stubbedSls.cli.consoleLog.mock.calls).toEqual([
+        ['Distribution "ABC":'],
+        ['  Default (*)'],
+        ['    current   viewer-request: fn:1'],
+        ['    outdated  viewer-request: fn:1, expected fn:2'],
+        ['    outdated  viewer-request: fn:2, IncludeBody differs'],
+        ['    missing   viewer-request: expected fn:3'],
+        ['    stale     viewer-request: old:1'],
+        ['    unmanaged viewer-request: other:1'],
+        ['  /api/*'],
+        ['    (no associations)']
+      ])
+    })
+  })
+
+  describe('planDistributions', () => {
+    it('plans each distribution and summarizes', async () => {
+      plugin.planDistribution = jest
+        .fn()
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false)
+
+      await plugin.planDistributions(functions, {
+        ABC: { distributionID: 'ABC' },
+        DEF: { distributionID: 'DEF' }
+      })
+
+      expect(plugin.planDistribution).toHaveBeenCalledWith(functions, {
+        distributionID: 'DEF'
+      })
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Dry run: 1 of 2 distribution(s) would be updated'
+      )
+    })
+
+    it('plans the distributions of detached functions too', async () => {
+      plugin._plannedDetachments = { fnNames: ['old-fn'], cfFnNames: [] }
+      plugin.findDistributionsAssociatedWith = jest
+        .fn()
+        .mockResolvedValue(['ABC', 'XYZ'])
+      plugin.planDistribution = jest.fn().mockResolvedValue(true)
+
+      await plugin.planDistributions(functions, {
+        ABC: { distributionID: 'ABC' }
+      })
+
+      expect(plugin.findDistributionsAssociatedWith).toHaveBeenCalledWith(
+        ['old-fn'],
+        []
+      )
+      expect(plugin.planDistribution.mock.calls).toEqual([
+        [functions, { distributionID: 'ABC' }],
+        [functions, { distributionID: 'XYZ' }]
+      ])
+      expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+        'Dry run: 2 of 2 distribution(s) would be updated'
+      )
+    })
+  })
+
+  describe('planDistribution', () => {
+    let distConfig
+
+    beforeEach(() => {
+      plugin.isOwnedFunctionARN = jest.fn().mockReturnValue(true)
+      distConfig = {
+        DefaultCacheBehavior: {
+          LambdaFunctionAssociations: {
+            Quantity: 2,
+            Items: [
+              {
+                EventType: 'origin-response',
+                LambdaFunctionARN: 'arn-old-fn2'
+              },
+              {
+                EventType: 'viewer-response',
+                LambdaFunctionARN: 'arn-fn3'
+              }
+            ]
+          }
+        },
+        CacheBehaviors: {
+          Quantity: 1,
+          Items: [
+            {
+              PathPattern: '/api/*',
+              LambdaFunctionAssociations: { Quantity: 0, Items: [] }
+            }
+          ]
+        }
+      }
+      plugin.provider.request.mockResolvedValueOnce({
+        Distribution: { DistributionConfig: distConfig },
+        ETag: 'etag-1'
+      })
+    })
 
-      await expect(plugin.getFunctionsToAssociate()).resolves.toEqual({
-        DEFFED2222: [
+    it('prints the diff per behavior without updating', async () => {
+      const fns = {
+        ABC: [
+          { eventType: 'viewer-request', fnARN: 'arn-fn1' },
           {
-            eventType: 'viewer-request',
-            fnARN: 'aws:lambda:34234:arn:fn'
+            eventType: 'origin-response',
+            fnARN: 'arn-fn2',
+            defaultBehavior: true
           },
           {
             eventType: 'viewer-response',
-            fnARN: 'aws:lambda:34234:arn:fn2'
+            fnARN: 'arn-fn3',
+            defaultBehavior: true
           }
         ]
-      })
+      }
+
+      await expect(
+        plugin.planDistribution(fns, { distributionID: 'ABC' })
+      ).resolves.toBe(true)
+
+      expect(plugin.provider.request).toHaveBeenCalledTimes(1)
+      expect(
+        distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
+      ).toHaveLength(2)
+      expect(stubbedSls.cli.consoleLog.mock.calls).toEqual([
+        ['Distribution "ABC":'],
+        ['  Default (*)'],
+        ['    replaced  origin-response: arn-old-fn2 -> arn-fn2'],
+        ['    unchanged viewer-response: arn-fn3'],
+        ['    added     viewer-request: arn-fn1'],
+        ['  /api/*'],
+        ['    added     viewer-request: arn-fn1']
+      ])
     })
 
-    it('rejects if stack not found', async () => {
-      plugin.provider.naming.getStackName.mockReturnValue('another-stack')
-      await expect(plugin.getFunctionsToAssociate()).rejects.toThrow(
-        `CloudFormation did not return a stack with name "another-stack"`
-      )
+    it('lists the associations of detached functions as removed', async () => {
+      plugin._plannedDetachments = { fnNames: ['old-fn'], cfFnNames: [] }
+      distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items[0].LambdaFunctionARN =
+        'arn:aws:lambda:us-east-1:123:function:old-fn:4'
+
+      await expect(
+        plugin.planDistribution({}, { distributionID: 'ABC' })
+      ).resolves.toBe(true)
+
+      expect(
+        distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
+      ).toHaveLength(2)
+      expect(stubbedSls.cli.consoleLog.mock.calls).toEqual([
+        ['Distribution "ABC":'],
+        ['  Default (*)'],
+        ['    unchanged viewer-response: arn-fn3'],
+        [
+          '    removed   origin-response: arn:aws:lambda:us-east-1:123:function:old-fn:4'
+        ],
+        ['  /api/*'],
+        ['    (no associations)']
+      ])
     })
 
-    it('rejects if output not found in stack', async () => {
-      plugin._pendingAssociations = [
-        {
-          fnCurrentVersionOutputName: 'LambdaFnArnMissing',
-          fnLogicalName: 'a-fn1',
-          distributionID: 'DEFFED2222',
-          eventType: 'viewer-request'
-        },
-        {
-          fnCurrentVersionOutputName: 'LambdaFn2Arn',
-          fnLogicalName: 'a-fn2',
-          distributionID: 'DEFFED2222',
-          eventType: 'viewer-response'
-        }
-      ]
-      plugin.provider.naming.getStackName.mockReturnValue(
-        'stack-missing-output'
-      )
-      await expect(plugin.getFunctionsToAssociate()).rejects.toThrow(
-        `Stack "stack-missing-output" did not have an output with name "LambdaFnArnMissing"`
+    it('includes CloudFront Function associations', async () => {
+      distConfig.DefaultCacheBehavior.FunctionAssociations = {
+        Quantity: 1,
+        Items: [{ EventType: 'viewer-request', FunctionARN: 'cf-arn-old' }]
+      }
+      const fns = {
+        ABC: [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'cf-arn-new',
+            defaultBehavior: true,
+            cloudFrontFunction: true
+          }
+        ]
+      }
+
+      await plugin.planDistribution(fns, { distributionID: 'ABC' })
+
+      expect(stubbedSls.cli.consoleLog).toHaveBeenCalledWith(
+        '    replaced  viewer-request: cf-arn-old -> cf-arn-new'
       )
     })
+
+    it('notes distributions without changes', async () => {
+      const fns = {
+        ABC: [
+          {
+            eventType: 'viewer-response',
+            fnARN: 'arn-fn3',
+            defaultBehavior: true
+          }
+        ]
+      }
+
+      await expect(
+        plugin.planDistribution(fns, { distributionID: 'ABC' })
+      ).resolves.toBe(false)
+
+      expect(stubbedSls.cli.consoleLog.mock.calls).toEqual([
+        ['Distribution "ABC" (no changes):'],
+        ['  Default (*)'],
+        ['    unchanged origin-response: arn-old-fn2'],
+        ['    unchanged viewer-response: arn-fn3'],
+        ['  /api/*'],
+        ['    (no associations)']
+      ])
+    })
   })
 
   describe('modifyDistributionConfigIfNeeded', () => {
     let distConfig
     let moddedFns
     beforeEach(() => {
+      plugin.isOwnedFunctionARN = jest.fn().mockReturnValue(true)
+
       // This is generated by `getFunctionsToAssociate()`
       moddedFns = [
         {
@@ -721,10 +5721,25 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
 
     describe('returns true', () => {
       it('modifies default cache behavior', () => {
+        const replaced = []
+
         expect(
-          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+          plugin.modifyDistributionConfigIfNeeded(
+            distConfig,
+            moddedFns,
+            replaced
+          )
         ).toBe(true)
 
+        expect(replaced).toEqual([
+          {
+            pathPattern: null,
+            eventType: 'origin-response',
+            previousARN: 'arn-old-fn2',
+            newARN: 'arn-fn2'
+          }
+        ])
+
         expect(
           distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
         ).toEqual([
@@ -738,7 +5753,8 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
           },
           {
             EventType: 'viewer-request',
-            LambdaFunctionARN: 'arn-fn1'
+            LambdaFunctionARN: 'arn-fn1',
+            IncludeBody: false
           }
         ])
       })
@@ -758,6 +5774,7 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
           CacheBehaviors: {
             Items: [
               {
+                PathPattern: '/some/*',
                 LambdaFunctionAssociations: {
                   Items: []
                 }
@@ -801,13 +5818,290 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
         ).toEqual([
           {
             EventType: 'viewer-request',
-            LambdaFunctionARN: 'arn-fn1'
+            LambdaFunctionARN: 'arn-fn1',
+            IncludeBody: false
           },
           {
             EventType: 'origin-response',
-            LambdaFunctionARN: 'arn-fn2'
+            LambdaFunctionARN: 'arn-fn2',
+            IncludeBody: false
+          }
+        ])
+      })
+    })
+
+    describe('with path patterns', () => {
+      beforeEach(() => {
+        distConfig = {
+          CacheBehaviors: {
+            Items: [
+              {
+                PathPattern: '/api/*',
+                LambdaFunctionAssociations: {
+                  Items: []
+                }
+              },
+              {
+                PathPattern: 'static/*',
+                LambdaFunctionAssociations: {
+                  Items: []
+                }
+              }
+            ]
+          },
+          DefaultCacheBehavior: {
+            LambdaFunctionAssociations: {
+              Items: []
+            }
+          }
+        }
+      })
+
+      it('only modifies matching cache behaviors', () => {
+        moddedFns = [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'arn-fn1',
+            pathPatterns: ['/api/*']
+          },
+          {
+            eventType: 'viewer-request',
+            fnARN: 'arn-fn2',
+            pathPatterns: ['/static/*']
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(true)
+
+        expect(
+          distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
+        ).toEqual([])
+        expect(
+          distConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations.Items
+        ).toEqual([
+          {
+            EventType: 'viewer-request',
+            LambdaFunctionARN: 'arn-fn1',
+            IncludeBody: false
+          }
+        ])
+        expect(
+          distConfig.CacheBehaviors.Items[1].LambdaFunctionAssociations.Items
+        ).toEqual([
+          {
+            EventType: 'viewer-request',
+            LambdaFunctionARN: 'arn-fn2',
+            IncludeBody: false
+          }
+        ])
+      })
+
+      it('only modifies the default cache behavior', () => {
+        moddedFns = [
+          {
+            eventType: 'origin-request',
+            fnARN: 'arn-fn1',
+            defaultBehavior: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(true)
+
+        expect(
+          distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
+        ).toEqual([
+          {
+            EventType: 'origin-request',
+            LambdaFunctionARN: 'arn-fn1',
+            IncludeBody: false
+          }
+        ])
+        expect(
+          distConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations.Items
+        ).toEqual([])
+        expect(
+          distConfig.CacheBehaviors.Items[1].LambdaFunctionAssociations.Items
+        ).toEqual([])
+      })
+
+      it('throws if a path pattern matches no cache behavior', () => {
+        moddedFns = [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'arn-fn1',
+            pathPatterns: ['/api/*', '/missing/*']
+          }
+        ]
+
+        expect(() =>
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toThrow(
+          'Path pattern "/missing/*" for arn-fn1 does not match any cache behavior on the distribution'
+        )
+      })
+    })
+
+    describe('with CloudFront Functions', () => {
+      it('adds new function associations', () => {
+        moddedFns = [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'cf-arn-1',
+            cloudFrontFunction: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(true)
+
+        expect(distConfig.DefaultCacheBehavior.FunctionAssociations).toEqual({
+          Quantity: 1,
+          Items: [
+            {
+              EventType: 'viewer-request',
+              FunctionARN: 'cf-arn-1'
+            }
+          ]
+        })
+        expect(
+          distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
+        ).toHaveLength(2)
+      })
+
+      it('updates existing function associations', () => {
+        distConfig.DefaultCacheBehavior.FunctionAssociations = {
+          Quantity: 1,
+          Items: [
+            {
+              EventType: 'viewer-request',
+              FunctionARN: 'cf-arn-old'
+            }
+          ]
+        }
+        moddedFns = [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'cf-arn-1',
+            cloudFrontFunction: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(true)
+
+        expect(
+          distConfig.DefaultCacheBehavior.FunctionAssociations.Items
+        ).toEqual([
+          {
+            EventType: 'viewer-request',
+            FunctionARN: 'cf-arn-1'
           }
         ])
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Updating viewer-request to use CloudFront Function cf-arn-1 (was cf-arn-old)'
+        )
+      })
+
+      it('returns false if function associations are unchanged', () => {
+        distConfig.DefaultCacheBehavior.FunctionAssociations = {
+          Quantity: 1,
+          Items: [
+            {
+              EventType: 'viewer-response',
+              FunctionARN: 'cf-arn-1'
+            }
+          ]
+        }
+        moddedFns = [
+          {
+            eventType: 'viewer-response',
+            fnARN: 'cf-arn-1',
+            cloudFrontFunction: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(false)
+      })
+    })
+
+    describe('with includeBody', () => {
+      it('adds IncludeBody to new associations', () => {
+        moddedFns = [
+          {
+            eventType: 'viewer-request',
+            fnARN: 'arn-fn1',
+            includeBody: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(true)
+
+        expect(
+          distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items
+        ).toContainEqual({
+          EventType: 'viewer-request',
+          LambdaFunctionARN: 'arn-fn1',
+          IncludeBody: true
+        })
+      })
+
+      it('updates IncludeBody on existing associations', () => {
+        distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items.push({
+          EventType: 'origin-request',
+          LambdaFunctionARN: 'arn-fn4',
+          IncludeBody: false
+        })
+        moddedFns = [
+          {
+            eventType: 'origin-request',
+            fnARN: 'arn-fn4',
+            includeBody: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(true)
+
+        expect(
+          distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items[2]
+        ).toEqual({
+          EventType: 'origin-request',
+          LambdaFunctionARN: 'arn-fn4',
+          IncludeBody: true
+        })
+        expect(stubbedSls.cli.log).toHaveBeenCalledWith(
+          'Updating origin-request to set IncludeBody to true for arn-fn4'
+        )
+      })
+
+      it('returns false if IncludeBody is unchanged', () => {
+        distConfig.DefaultCacheBehavior.LambdaFunctionAssociations.Items.push({
+          EventType: 'origin-request',
+          LambdaFunctionARN: 'arn-fn4',
+          IncludeBody: true
+        })
+        moddedFns = [
+          {
+            eventType: 'origin-request',
+            fnARN: 'arn-fn4',
+            includeBody: true
+          }
+        ]
+
+        expect(
+          plugin.modifyDistributionConfigIfNeeded(distConfig, moddedFns)
+        ).toBe(false)
       })
     })
 
@@ -822,6 +6116,7 @@ describe('serverless-plugin-existing-cloudfront-lambda-edge', function () {
         CacheBehaviors: {
           Items: [
             {
+              PathPattern: '/some/*',
               LambdaFunctionAssociations: {
                 Items: [
                   {